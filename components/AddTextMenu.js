@@ -0,0 +1,49 @@
+import { useState, useEffect, useRef } from "react";
+import { Type } from "lucide-react";
+import { TEXT_PRESETS } from "../utils/textClips";
+
+// "Text" button with the text presets (title, lower third, caption)
+export default function AddTextMenu({ onAddText }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const menuRef = useRef(null);
+
+  // Close when clicking anywhere else
+  useEffect(() => {
+    if (!isOpen) return;
+    const handleClick = (e) => {
+      if (!menuRef.current?.contains(e.target)) setIsOpen(false);
+    };
+    document.addEventListener("mousedown", handleClick);
+    return () => document.removeEventListener("mousedown", handleClick);
+  }, [isOpen]);
+
+  return (
+    <div ref={menuRef} className="relative">
+      <button
+        onClick={() => setIsOpen((open) => !open)}
+        className="flex items-center gap-2 px-4 py-2 bg-white text-gray-800 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+        title="Add text at the playhead"
+      >
+        <Type className="w-5 h-5" />
+        <span>Text</span>
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 mt-1 w-40 z-50 bg-white border border-gray-200 rounded-lg shadow-lg py-1">
+          {Object.entries(TEXT_PRESETS).map(([key, preset]) => (
+            <button
+              key={key}
+              onClick={() => {
+                onAddText(key);
+                setIsOpen(false);
+              }}
+              className="w-full text-left px-3 py-2 text-sm text-gray-800 hover:bg-gray-50"
+            >
+              {preset.label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,26 +1,10 @@
 import { useEffect, useRef, useState } from "react";
+import { loadAudioBuffer } from "../utils/audioBuffers";
+import { getClipGainAt, getEnvelopeValue } from "../utils/audioEnvelope";
+import { getClipSourceTime } from "../utils/timelineEngine";
 
-// Single AudioContext instance to prevent conflicts
-let globalAudioContext = null;
-let audioContextPromise = null;
-
-function getAudioContext() {
-  if (!globalAudioContext) {
-    audioContextPromise = new Promise((resolve, reject) => {
-      try {
-        globalAudioContext = new (window.AudioContext || window.webkitAudioContext)();
-        resolve(globalAudioContext);
-      } catch (error) {
-        console.error("Failed to create AudioContext:", error);
-        reject(error);
-      }
-    });
-  }
-  return audioContextPromise;
-}
-
-// Cache decoded buffers by URL
-const bufferCache = new Map();
+// Colour of the volume envelope line
+const ENVELOPE_COLOR = "#FACC15";
 
 export default function AudioClipWaveform({
   audioUrl,
@@ -33,9 +17,18 @@ export default function AudioClipWaveform({
   // NEW: trims in seconds
   trimStart = 0,
   trimEnd = 0,
+  // Volume (see utils/audioEnvelope.js): the waveform is drawn at the level
+  // it will play at, with the envelope line on top
+  gain = 1,
+  fadeIn = 0,
+  fadeOut = 0,
+  envelope = null,
+  // Playback speed / reverse: the trimmed window is stretched over the
+  // width, and drawn tail first when reversed
+  speed = 1,
+  reverse = false,
 }) {
   const canvasRef = useRef(null);
-  const audioCtxRef = useRef(null);
   const [error, setError] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
 
@@ -50,34 +43,8 @@ export default function AudioClipWaveform({
       setError(null);
 
       try {
-        // 1) Decode & cache buffer (by URL)
-        let cached = bufferCache.get(audioUrl);
-        if (!cached) {
-          const audioCtx = await getAudioContext();
-          audioCtxRef.current = audioCtx;
-
-          if (audioCtx.state === "suspended") {
-            await audioCtx.resume();
-          }
-
-          const response = await fetch(audioUrl);
-          if (!response.ok) throw new Error(`Failed to fetch audio: ${response.status}`);
-
-          const buf = await response.arrayBuffer();
-          const decoded = await audioCtx.decodeAudioData(buf);
-          const data = decoded.getChannelData(0);
-          const sampleRate = decoded.sampleRate;
-          const durationSec = decoded.length / sampleRate;
-
-          cached = { decoded, data, sampleRate, durationSec };
-          bufferCache.set(audioUrl, cached);
-
-          // Limit cache size
-          if (bufferCache.size > 50) {
-            const firstKey = bufferCache.keys().next().value;
-            bufferCache.delete(firstKey);
-          }
-        }
+        // 1) Decode (cached by URL)
+        const cached = await loadAudioBuffer(audioUrl);
 
         const { data, sampleRate } = cached;
 
@@ -99,7 +66,9 @@ export default function AudioClipWaveform({
         const waveform = new Array(bins).fill(0);
 
         for (let i = 0; i < bins; i++) {
-          const base = visibleStartSample + i * step;
+          const base = reverse
+            ? Math.max(visibleStartSample, visibleEndSample - (i + 1) * step)
+            : visibleStartSample + i * step;
           let sum = 0, count = 0;
           for (let j = 0; j < step && base + j < visibleEndSample; j++) {
             sum += Math.abs(data[base + j] || 0);
@@ -108,6 +77,26 @@ export default function AudioClipWaveform({
           waveform[i] = count ? sum / count : 0;
         }
 
+        // 3b) Shape the bins by the clip's gain, fades and envelope
+        const volumeClip = {
+          type: "audio",
+          startTime: 0,
+          duration: d,
+          trimStart: safeTrimStart,
+          trimEnd: safeTrimEnd,
+          speed,
+          reverse,
+          gain,
+          fadeIn,
+          fadeOut,
+          envelope,
+        };
+        const visibleLen = (visibleEndSec - visibleStartSec) / (speed || 1);
+        const binTime = (i) => (i / bins) * visibleLen;
+        for (let i = 0; i < bins; i++) {
+          waveform[i] *= getClipGainAt(volumeClip, binTime(i));
+        }
+
         // 4) Draw
         ctx.clearRect(0, 0, width, height);
 
@@ -131,6 +120,23 @@ export default function AudioClipWaveform({
         ctx.closePath();
         ctx.fill();
 
+        // Envelope line: 0 at the bottom, 1 at the top
+        if (envelope?.length) {
+          ctx.strokeStyle = ENVELOPE_COLOR;
+          ctx.lineWidth = 1.5;
+          ctx.beginPath();
+          for (let i = 0; i <= bins; i++) {
+            const level = getEnvelopeValue(
+              envelope,
+              getClipSourceTime(volumeClip, binTime(i))
+            );
+            const y = 2 + (1 - level) * (height - 4);
+            if (i === 0) ctx.moveTo(i, y);
+            else ctx.lineTo(i, y);
+          }
+          ctx.stroke();
+        }
+
         // Progress overlay & line (expect progress normalized to trimmed width)
         if (progress > 0) {
           ctx.fillStyle = "rgba(255,255,255,0.2)";
@@ -167,14 +173,23 @@ export default function AudioClipWaveform({
     }
 
     renderWave();
-  }, [audioUrl, width, height, color, progress, isSelected, trimStart, trimEnd, duration]);
-
-  // Cleanup on unmount
-  useEffect(() => {
-    return () => {
-      audioCtxRef.current = null;
-    };
-  }, []);
+  }, [
+    audioUrl,
+    width,
+    height,
+    color,
+    progress,
+    isSelected,
+    trimStart,
+    trimEnd,
+    duration,
+    speed,
+    reverse,
+    gain,
+    fadeIn,
+    fadeOut,
+    envelope,
+  ]);
 
   if (error) {
     return (
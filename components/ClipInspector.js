@@ -0,0 +1,592 @@
+import {
+  AlignLeft,
+  AlignCenter,
+  AlignRight,
+  Bold,
+  CopyPlus,
+  FoldHorizontal,
+  Link2,
+  Lock,
+  Merge,
+  Unlink2,
+} from "lucide-react";
+import {
+  MIN_CLIP_DURATION,
+  MIN_CLIP_SPEED,
+  MAX_CLIP_SPEED,
+  getClipLength,
+  getClipSpeed,
+  getClipTransform,
+  isAudibleClip,
+  isGapClip,
+  isSubtitleClip,
+  isTextClip,
+  isVisualClip,
+} from "../utils/timelineEngine";
+import { getClipGain, MAX_CLIP_GAIN } from "../utils/audioEnvelope";
+import { getTextStyle, TEXT_FONTS } from "../utils/textClips";
+import {
+  TRANSITION_TYPES,
+  createTransition,
+  MIN_TRANSITION_DURATION,
+  MAX_TRANSITION_DURATION,
+} from "../utils/transitions";
+
+const ALIGN_ICONS = { left: AlignLeft, center: AlignCenter, right: AlignRight };
+
+// Labelled range input; a whole slider drag is reported as one gesture so it
+// becomes a single undo step.
+function Slider({
+  label,
+  value,
+  min,
+  max,
+  step,
+  format = (v) => v.toFixed(2),
+  onChange,
+  onGestureStart,
+  onGestureEnd,
+}) {
+  return (
+    <label className="flex items-center gap-2 text-sm text-gray-800">
+      <span className="w-20 text-gray-600">{label}</span>
+      <input
+        type="range"
+        min={min}
+        max={max}
+        step={step}
+        value={value}
+        onPointerDown={onGestureStart}
+        onPointerUp={onGestureEnd}
+        onChange={(e) => onChange(Number(e.target.value))}
+        className="w-40 h-1 bg-gray-200 rounded-lg cursor-pointer"
+      />
+      <span className="w-14 text-right font-mono text-xs">{format(value)}</span>
+    </label>
+  );
+}
+
+// Content and style of a text clip. Typing is coalesced into one undo step
+// per focus of the text box.
+function TextControls({ clip, onUpdate, onGestureStart, onGestureEnd }) {
+  const style = getTextStyle(clip);
+  const gestureProps = { onGestureStart, onGestureEnd };
+
+  return (
+    <div className="flex flex-wrap items-start gap-x-6 gap-y-2 w-full">
+      <textarea
+        value={style.text}
+        rows={2}
+        onFocus={onGestureStart}
+        onBlur={onGestureEnd}
+        onChange={(e) => onUpdate({ text: e.target.value })}
+        className="w-64 px-2 py-1 rounded-md border border-gray-300 bg-white text-sm text-gray-800 resize-y"
+      />
+
+      <div className="flex flex-col gap-2">
+        <div className="flex items-center gap-2">
+          <select
+            value={style.fontFamily}
+            onChange={(e) => onUpdate({ fontFamily: e.target.value })}
+            className="h-8 px-2 rounded-md border border-gray-300 bg-white text-sm"
+          >
+            {TEXT_FONTS.map((font) => (
+              <option key={font.value} value={font.value}>
+                {font.label}
+              </option>
+            ))}
+          </select>
+
+          <button
+            onClick={() =>
+              onUpdate({
+                fontWeight: style.fontWeight === "bold" ? "normal" : "bold",
+              })
+            }
+            className={`w-8 h-8 flex items-center justify-center rounded-md border ${
+              style.fontWeight === "bold"
+                ? "bg-indigo-600 border-indigo-600 text-white"
+                : "bg-white border-gray-300 text-gray-700"
+            }`}
+            title="Bold"
+          >
+            <Bold className="w-4 h-4" />
+          </button>
+
+          {Object.entries(ALIGN_ICONS).map(([align, Icon]) => (
+            <button
+              key={align}
+              onClick={() => onUpdate({ align })}
+              className={`w-8 h-8 flex items-center justify-center rounded-md border ${
+                style.align === align
+                  ? "bg-indigo-600 border-indigo-600 text-white"
+                  : "bg-white border-gray-300 text-gray-700"
+              }`}
+              title={`Align ${align}`}
+            >
+              <Icon className="w-4 h-4" />
+            </button>
+          ))}
+
+          <input
+            type="color"
+            value={style.color}
+            onFocus={onGestureStart}
+            onBlur={onGestureEnd}
+            onChange={(e) => onUpdate({ color: e.target.value })}
+            className="w-8 h-8 rounded-md border border-gray-300 cursor-pointer"
+            title="Text colour"
+          />
+        </div>
+
+        <Slider
+          label="Size"
+          value={style.fontSize}
+          min={12}
+          max={160}
+          step={1}
+          format={(v) => `${v}px`}
+          onChange={(v) => onUpdate({ fontSize: v })}
+          {...gestureProps}
+        />
+
+        <div className="flex items-center gap-2 text-sm text-gray-800">
+          <label className="flex items-center gap-2 w-20 text-gray-600">
+            <input
+              type="checkbox"
+              checked={!!style.background}
+              onChange={(e) =>
+                onUpdate({ background: e.target.checked ? "#000000" : null })
+              }
+            />
+            Box
+          </label>
+          {style.background && (
+            <>
+              <input
+                type="color"
+                value={style.background}
+                onFocus={onGestureStart}
+                onBlur={onGestureEnd}
+                onChange={(e) => onUpdate({ background: e.target.value })}
+                className="w-8 h-8 rounded-md border border-gray-300 cursor-pointer"
+                title="Box colour"
+              />
+              <input
+                type="range"
+                min={0}
+                max={1}
+                step={0.01}
+                value={style.backgroundOpacity}
+                onPointerDown={onGestureStart}
+                onPointerUp={onGestureEnd}
+                onChange={(e) =>
+                  onUpdate({ backgroundOpacity: Number(e.target.value) })
+                }
+                className="w-24 h-1 bg-gray-200 rounded-lg cursor-pointer"
+                title="Box opacity"
+              />
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Text and timing of a subtitle cue. Start moves the cue's first edge only,
+// so the end stays put, like trimming it on the timeline.
+function SubtitleControls({
+  clip,
+  canMerge,
+  onUpdate,
+  onMerge,
+  onGestureStart,
+  onGestureEnd,
+}) {
+  const setStart = (value) => {
+    const startTime = Math.min(
+      Math.max(0, value),
+      clip.endTime - MIN_CLIP_DURATION
+    );
+    onUpdate({ startTime, duration: clip.endTime - startTime });
+  };
+  const setEnd = (value) => {
+    const endTime = Math.max(value, clip.startTime + MIN_CLIP_DURATION);
+    onUpdate({ endTime, duration: endTime - clip.startTime });
+  };
+  const timeInput = (label, value, onChange) => (
+    <label className="flex items-center gap-2 text-sm text-gray-800">
+      <span className="text-gray-600">{label}</span>
+      <input
+        type="number"
+        min={0}
+        step={0.1}
+        value={Math.round(value * 1000) / 1000}
+        onFocus={onGestureStart}
+        onBlur={onGestureEnd}
+        onChange={(e) => {
+          const n = Number(e.target.value);
+          if (e.target.value !== "" && Number.isFinite(n)) onChange(n);
+        }}
+        className="w-20 h-8 px-2 rounded-md border border-gray-300 bg-white text-sm"
+      />
+      s
+    </label>
+  );
+
+  return (
+    <div className="flex flex-wrap items-start gap-x-6 gap-y-2 w-full">
+      <textarea
+        value={clip.text}
+        rows={2}
+        onFocus={onGestureStart}
+        onBlur={onGestureEnd}
+        onChange={(e) => onUpdate({ text: e.target.value })}
+        className="w-64 px-2 py-1 rounded-md border border-gray-300 bg-white text-sm text-gray-800 resize-y"
+        placeholder="Subtitle text"
+      />
+      {timeInput("Start", clip.startTime, setStart)}
+      {timeInput("End", clip.endTime, setEnd)}
+      <button
+        onClick={onMerge}
+        disabled={!canMerge}
+        title="Join this cue with the one after it"
+        className="h-8 px-3 flex items-center gap-1.5 rounded-md border border-gray-300 bg-white text-sm text-gray-800 hover:bg-gray-50 disabled:opacity-40"
+      >
+        <Merge className="w-4 h-4" />
+        Merge with next
+      </button>
+    </div>
+  );
+}
+
+// Volume and fades of a clip with sound; the envelope itself is edited on
+// the waveform in the timeline
+function AudioControls({ clip, onUpdate, onGestureStart, onGestureEnd }) {
+  const gestureProps = { onGestureStart, onGestureEnd };
+  const maxFade = Math.max(0.1, Math.floor(getClipLength(clip) * 10) / 10);
+  const seconds = (v) => `${v.toFixed(1)}s`;
+  const envelopePoints = clip.envelope?.length || 0;
+
+  return (
+    <div className="flex flex-wrap items-center gap-x-8 gap-y-2">
+      <Slider
+        label="Volume"
+        value={getClipGain(clip)}
+        min={0}
+        max={MAX_CLIP_GAIN}
+        step={0.01}
+        format={(v) => `${Math.round(v * 100)}%`}
+        onChange={(v) => onUpdate({ gain: v })}
+        {...gestureProps}
+      />
+      <Slider
+        label="Fade in"
+        value={Math.min(clip.fadeIn || 0, maxFade)}
+        min={0}
+        max={maxFade}
+        step={0.1}
+        format={seconds}
+        onChange={(v) => onUpdate({ fadeIn: v })}
+        {...gestureProps}
+      />
+      <Slider
+        label="Fade out"
+        value={Math.min(clip.fadeOut || 0, maxFade)}
+        min={0}
+        max={maxFade}
+        step={0.1}
+        format={seconds}
+        onChange={(v) => onUpdate({ fadeOut: v })}
+        {...gestureProps}
+      />
+      {envelopePoints > 0 && (
+        <button
+          onClick={() => onUpdate({ envelope: null })}
+          className="h-8 px-3 rounded-md border border-gray-300 bg-white text-sm text-gray-800 hover:bg-gray-50"
+        >
+          Clear envelope ({envelopePoints})
+        </button>
+      )}
+    </div>
+  );
+}
+
+// Playback speed of a video / audio clip (slow motion, timelapse) and, for
+// videos, reverse
+function SpeedControls({ clip, onUpdate, onGestureStart, onGestureEnd }) {
+  return (
+    <div className="flex flex-wrap items-center gap-x-8 gap-y-2">
+      <Slider
+        label="Speed"
+        value={getClipSpeed(clip)}
+        min={MIN_CLIP_SPEED}
+        max={MAX_CLIP_SPEED}
+        step={0.05}
+        format={(v) => `${v.toFixed(2)}x`}
+        onChange={(v) => onUpdate({ speed: v })}
+        onGestureStart={onGestureStart}
+        onGestureEnd={onGestureEnd}
+      />
+      {clip.type === "video" && (
+        <label className="flex items-center gap-2 text-sm text-gray-800">
+          <input
+            type="checkbox"
+            checked={!!clip.reverse}
+            onChange={(e) => onUpdate({ reverse: e.target.checked })}
+          />
+          <span className="text-gray-600">Reverse</span>
+        </label>
+      )}
+    </div>
+  );
+}
+
+// Incoming transition of a main-track clip
+function TransitionControls({ clip, onUpdate, onGestureStart, onGestureEnd }) {
+  const { transition } = clip;
+  return (
+    <div className="flex items-center gap-4 text-sm text-gray-800">
+      <label className="flex items-center gap-2">
+        <span className="text-gray-600">Transition in</span>
+        <select
+          value={transition?.type || ""}
+          onChange={(e) =>
+            onUpdate({
+              transition: e.target.value
+                ? createTransition(e.target.value, transition?.duration)
+                : null,
+            })
+          }
+          className="h-8 px-2 rounded-md border border-gray-300 bg-white text-sm"
+        >
+          <option value="">None (cut)</option>
+          {TRANSITION_TYPES.map(({ type, label }) => (
+            <option key={type} value={type}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </label>
+      {transition && (
+        <Slider
+          label="Duration"
+          value={transition.duration}
+          min={MIN_TRANSITION_DURATION}
+          max={MAX_TRANSITION_DURATION}
+          step={0.1}
+          format={(v) => `${v.toFixed(1)}s`}
+          onChange={(v) =>
+            onUpdate({ transition: { ...transition, duration: v } })
+          }
+          onGestureStart={onGestureStart}
+          onGestureEnd={onGestureEnd}
+        />
+      )}
+    </div>
+  );
+}
+
+// Properties of the selected clip
+export default function ClipInspector({
+  clip,
+  visualTrackCount = 1,
+  canHaveTransition = false, // main-track clip that follows another
+  canReattachAudio = false, // detached video, or its linked audio clip
+  canMergeSubtitle = false, // subtitle cue with another one after it
+  isLocked = false, // on a locked track: shown, but not editable
+  selectionCount = 1, // clips selected on the timeline, this one included
+  onUpdate = () => {},
+  onDetachAudio = () => {},
+  onReattachAudio = () => {},
+  onMergeSubtitle = () => {},
+  onCloseGap = () => {}, // remove the selected gap, pulling later shots back
+  onDuplicate = () => {}, // copy the selected clips in after them
+  onGestureStart = () => {},
+  onGestureEnd = () => {},
+}) {
+  if (!clip) return null;
+
+  const gestureProps = { onGestureStart, onGestureEnd };
+  const { x, y, scale, opacity } = getClipTransform(clip);
+
+  return (
+    <fieldset
+      disabled={isLocked}
+      className={`flex flex-wrap items-center gap-x-8 gap-y-3 bg-gray-100 px-4 py-3 rounded-lg ${
+        isLocked ? "opacity-60" : ""
+      }`}
+    >
+      <span className="text-sm font-medium text-gray-700 truncate max-w-[12rem]">
+        {clip.fileName}
+      </span>
+      {isLocked && (
+        <span className="flex items-center gap-1 text-xs text-gray-600">
+          <Lock className="w-3 h-3" />
+          Track locked
+        </span>
+      )}
+      {selectionCount > 1 && (
+        <span
+          className="text-xs text-gray-600"
+          title="Moves, deletes, nudges, gain and splits apply to all of them"
+        >
+          {selectionCount} clips selected
+        </span>
+      )}
+
+      {canHaveTransition && (
+        <TransitionControls
+          clip={clip}
+          onUpdate={onUpdate}
+          onGestureStart={onGestureStart}
+          onGestureEnd={onGestureEnd}
+        />
+      )}
+
+      {(canReattachAudio || (clip.type === "video" && clip.hasAudio)) && (
+        <button
+          onClick={canReattachAudio ? onReattachAudio : onDetachAudio}
+          title={
+            canReattachAudio
+              ? "Put the sound back on the video"
+              : "Move the sound onto its own audio clip"
+          }
+          className="h-8 px-3 flex items-center gap-1.5 rounded-md border border-gray-300 bg-white text-sm text-gray-800 hover:bg-gray-50"
+        >
+          {canReattachAudio ? (
+            <Link2 className="w-4 h-4" />
+          ) : (
+            <Unlink2 className="w-4 h-4" />
+          )}
+          {canReattachAudio ? "Re-attach audio" : "Detach audio"}
+        </button>
+      )}
+
+      {!isGapClip(clip) && (
+        <button
+          onClick={onDuplicate}
+          title="Duplicate the selected clips (Ctrl+D)"
+          className="h-8 px-3 flex items-center gap-1.5 rounded-md border border-gray-300 bg-white text-sm text-gray-800 hover:bg-gray-50"
+        >
+          <CopyPlus className="w-4 h-4" />
+          Duplicate
+        </button>
+      )}
+
+      {isGapClip(clip) && (
+        <button
+          onClick={onCloseGap}
+          title="Remove the gap and move the shots after it back"
+          className="h-8 px-3 flex items-center gap-1.5 rounded-md border border-gray-300 bg-white text-sm text-gray-800 hover:bg-gray-50"
+        >
+          <FoldHorizontal className="w-4 h-4" />
+          Close gap
+        </button>
+      )}
+
+      {isSubtitleClip(clip) && (
+        <SubtitleControls
+          clip={clip}
+          canMerge={canMergeSubtitle}
+          onUpdate={onUpdate}
+          onMerge={onMergeSubtitle}
+          onGestureStart={onGestureStart}
+          onGestureEnd={onGestureEnd}
+        />
+      )}
+
+      {isTextClip(clip) && (
+        <TextControls
+          clip={clip}
+          onUpdate={onUpdate}
+          onGestureStart={onGestureStart}
+          onGestureEnd={onGestureEnd}
+        />
+      )}
+
+      {(clip.type === "video" || clip.type === "audio") && (
+        <SpeedControls
+          clip={clip}
+          onUpdate={onUpdate}
+          onGestureStart={onGestureStart}
+          onGestureEnd={onGestureEnd}
+        />
+      )}
+
+      {isAudibleClip(clip) && (
+        <AudioControls
+          clip={clip}
+          onUpdate={onUpdate}
+          onGestureStart={onGestureStart}
+          onGestureEnd={onGestureEnd}
+        />
+      )}
+
+      {isVisualClip(clip) && (
+        <>
+          <label className="flex items-center gap-2 text-sm text-gray-800">
+            <span className="text-gray-600">Track</span>
+            <select
+              value={clip.track || 0}
+              onChange={(e) => onUpdate({ track: Number(e.target.value) })}
+              className="h-8 px-2 rounded-md border border-gray-300 bg-white text-sm"
+            >
+              {Array.from({ length: visualTrackCount + 1 }, (_, track) => (
+                <option key={track} value={track}>
+                  {track === 0
+                    ? "Main"
+                    : track === visualTrackCount
+                    ? `V${track + 1} (new overlay)`
+                    : `V${track + 1} (overlay)`}
+                </option>
+              ))}
+            </select>
+          </label>
+
+          <div className="grid grid-cols-2 gap-x-8 gap-y-2">
+            <Slider
+              label="Position X"
+              value={x}
+              min={-0.5}
+              max={0.5}
+              step={0.01}
+              onChange={(v) => onUpdate({ x: v })}
+              {...gestureProps}
+            />
+            <Slider
+              label="Position Y"
+              value={y}
+              min={-0.5}
+              max={0.5}
+              step={0.01}
+              onChange={(v) => onUpdate({ y: v })}
+              {...gestureProps}
+            />
+            <Slider
+              label="Scale"
+              value={scale}
+              min={0.1}
+              max={2}
+              step={0.01}
+              format={(v) => `${Math.round(v * 100)}%`}
+              onChange={(v) => onUpdate({ scale: v })}
+              {...gestureProps}
+            />
+            <Slider
+              label="Opacity"
+              value={opacity}
+              min={0}
+              max={1}
+              step={0.01}
+              format={(v) => `${Math.round(v * 100)}%`}
+              onChange={(v) => onUpdate({ opacity: v })}
+              {...gestureProps}
+            />
+          </div>
+        </>
+      )}
+    </fieldset>
+  );
+}
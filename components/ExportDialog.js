@@ -0,0 +1,331 @@
+import { useState, useRef, useEffect } from "react";
+import { X, Download } from "lucide-react";
+import {
+  exportTimeline,
+  isExportAvailable,
+  EXPORT_FORMATS,
+  EXPORT_RESOLUTIONS,
+  EXPORT_BITRATES,
+  EXPORT_FRAME_RATES,
+} from "../utils/exporter";
+import { renderOnServer } from "../utils/renderClient";
+import { serializeProject } from "../utils/projectFile";
+import { isSubtitleClip } from "../utils/timelineEngine";
+
+const PHASE_LABELS = {
+  audio: "Mixing audio...",
+  video: "Rendering frames...",
+  finalizing: "Finalizing file...",
+  upload: "Uploading media...",
+  render: "Rendering on server...",
+};
+
+// Share of the progress bar given to the first phase (audio mix in the
+// browser, media upload for server renders); the rest is rendering
+const FIRST_PHASE_WEIGHT = 0.1;
+const FIRST_PHASES = ["audio", "upload"];
+
+const formatDuration = (sec) => {
+  const mins = Math.floor(sec / 60);
+  const secs = Math.floor(sec % 60);
+  return `${mins}:${secs.toString().padStart(2, "0")}`;
+};
+
+function SelectField({ label, value, onChange, disabled, children }) {
+  return (
+    <label className="flex items-center justify-between gap-4 text-sm text-gray-800">
+      <span className="text-gray-600">{label}</span>
+      <select
+        value={value}
+        disabled={disabled}
+        onChange={(e) => onChange(e.target.value)}
+        className="h-8 w-40 px-2 rounded-md border border-gray-300 bg-white text-sm disabled:opacity-50"
+      >
+        {children}
+      </select>
+    </label>
+  );
+}
+
+// Export settings, progress and download of the rendered file
+export default function ExportDialog({
+  clips = [],
+  tracks = {},
+  background,
+  duration = 0,
+  projectName = "project",
+  onClose = () => {},
+}) {
+  const [target, setTarget] = useState("browser"); // browser | server
+  const [format, setFormat] = useState("webm");
+  const [resolution, setResolution] = useState("720p");
+  const [bitrate, setBitrate] = useState(EXPORT_BITRATES[1].value);
+  const [fps, setFps] = useState(30);
+  const [burnSubtitles, setBurnSubtitles] = useState(true);
+  const [status, setStatus] = useState("idle"); // idle | running | done | error
+  const [progress, setProgress] = useState({ phase: null, value: 0 });
+  const [error, setError] = useState(null);
+  const [result, setResult] = useState(null); // { url, fileName, size, isRemote }
+  const abortRef = useRef(null);
+
+  const isRunning = status === "running";
+  const isServer = target === "server";
+  // Server renders always produce MP4 with ffmpeg
+  const outputFormat = isServer ? "mp4" : format;
+  const supported = isServer || isExportAvailable();
+  const hasSubtitles = clips.some(isSubtitleClip);
+
+  // Cancel a running export and free the output when the dialog goes away
+  useEffect(() => {
+    return () => abortRef.current?.abort();
+  }, []);
+
+  useEffect(() => {
+    return () => {
+      if (result && !result.isRemote) URL.revokeObjectURL(result.url);
+    };
+  }, [result]);
+
+  const handleExport = async () => {
+    const preset = EXPORT_RESOLUTIONS.find((r) => r.label === resolution);
+    const controller = new AbortController();
+    abortRef.current = controller;
+
+    setResult(null);
+    setError(null);
+    setStatus("running");
+    setProgress({ phase: isServer ? "upload" : "audio", value: 0 });
+
+    const onProgress = ({ phase, progress }) => {
+      const value = FIRST_PHASES.includes(phase)
+        ? progress * FIRST_PHASE_WEIGHT
+        : phase === "finalizing"
+        ? 1
+        : FIRST_PHASE_WEIGHT + progress * (1 - FIRST_PHASE_WEIGHT);
+      setProgress({ phase, value });
+    };
+    const safeName = (projectName || "project").replace(/[^\w-]+/g, "_");
+    const fileName = `${safeName}.${EXPORT_FORMATS[outputFormat].extension}`;
+
+    try {
+      if (isServer) {
+        const url = await renderOnServer({
+          project: serializeProject({
+            clips,
+            tracks,
+            background,
+            name: projectName,
+          }),
+          settings: {
+            width: preset.width,
+            height: preset.height,
+            fps,
+            videoBitrate: bitrate,
+            burnSubtitles,
+          },
+          signal: controller.signal,
+          onProgress,
+        });
+        setResult({ url, fileName, size: null, isRemote: true });
+      } else {
+        const blob = await exportTimeline({
+          clips,
+          tracks,
+          duration,
+          width: preset.width,
+          height: preset.height,
+          fps,
+          videoBitrate: bitrate,
+          format,
+          burnSubtitles,
+          background,
+          signal: controller.signal,
+          onProgress,
+        });
+        setResult({ url: URL.createObjectURL(blob), fileName, size: blob.size });
+      }
+      setStatus("done");
+    } catch (err) {
+      if (err.name === "AbortError") {
+        setStatus("idle");
+      } else {
+        console.error("❌ Export failed:", err);
+        setError(err.message || String(err));
+        setStatus("error");
+      }
+    } finally {
+      abortRef.current = null;
+    }
+  };
+
+  const handleCancel = () => {
+    abortRef.current?.abort();
+  };
+
+  const handleDownload = () => {
+    if (!result) return;
+    const a = document.createElement("a");
+    a.href = result.url;
+    a.download = result.fileName;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40">
+      <div className="w-full max-w-md bg-white rounded-xl shadow-xl border border-gray-200">
+        {/* Header */}
+        <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200">
+          <span className="text-sm font-medium text-gray-700">
+            Export video ({formatDuration(duration)})
+          </span>
+          <button
+            onClick={onClose}
+            className="w-8 h-8 flex items-center justify-center rounded-md hover:bg-gray-50"
+            title="Close"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+
+        {/* Settings */}
+        <div className="px-4 py-3 space-y-3">
+          {!supported && (
+            <div className="text-sm text-red-600">
+              Export needs a browser with WebCodecs support (e.g. recent
+              Chrome or Edge).
+            </div>
+          )}
+
+          <SelectField
+            label="Render on"
+            value={target}
+            onChange={setTarget}
+            disabled={isRunning}
+          >
+            <option value="browser">This browser</option>
+            <option value="server">Server (ffmpeg)</option>
+          </SelectField>
+
+          <SelectField
+            label="Format"
+            value={outputFormat}
+            onChange={setFormat}
+            disabled={isRunning || isServer}
+          >
+            {Object.entries(EXPORT_FORMATS).map(([key, preset]) => (
+              <option key={key} value={key}>
+                {preset.label}
+              </option>
+            ))}
+          </SelectField>
+
+          <SelectField
+            label="Resolution"
+            value={resolution}
+            onChange={setResolution}
+            disabled={isRunning}
+          >
+            {EXPORT_RESOLUTIONS.map((r) => (
+              <option key={r.label} value={r.label}>
+                {r.label} ({r.width}×{r.height})
+              </option>
+            ))}
+          </SelectField>
+
+          <SelectField
+            label="Quality"
+            value={bitrate}
+            onChange={(v) => setBitrate(Number(v))}
+            disabled={isRunning}
+          >
+            {EXPORT_BITRATES.map((b) => (
+              <option key={b.value} value={b.value}>
+                {b.label} ({b.value / 1_000_000} Mbps)
+              </option>
+            ))}
+          </SelectField>
+
+          <SelectField
+            label="Frame rate"
+            value={fps}
+            onChange={(v) => setFps(Number(v))}
+            disabled={isRunning}
+          >
+            {EXPORT_FRAME_RATES.map((rate) => (
+              <option key={rate} value={rate}>
+                {rate} fps
+              </option>
+            ))}
+          </SelectField>
+
+          {hasSubtitles && (
+            <label className="flex items-center justify-between gap-4 text-sm text-gray-800">
+              <span className="text-gray-600">Burn in subtitles</span>
+              <input
+                type="checkbox"
+                checked={burnSubtitles}
+                disabled={isRunning}
+                onChange={(e) => setBurnSubtitles(e.target.checked)}
+              />
+            </label>
+          )}
+        </div>
+
+        {/* Progress / result */}
+        {(isRunning || status === "done") && (
+          <div className="px-4 pb-3 space-y-1">
+            <div className="flex justify-between text-xs text-gray-600">
+              <span>
+                {status === "done" ? "Export complete" : PHASE_LABELS[progress.phase]}
+              </span>
+              <span>{Math.round(progress.value * 100)}%</span>
+            </div>
+            <div className="h-2 bg-gray-200 rounded-full overflow-hidden">
+              <div
+                className="h-full bg-indigo-600 transition-[width]"
+                style={{ width: `${progress.value * 100}%` }}
+              />
+            </div>
+          </div>
+        )}
+
+        {status === "error" && (
+          <div className="px-4 pb-3 text-sm text-red-600">{error}</div>
+        )}
+
+        {/* Actions */}
+        <div className="flex justify-end gap-2 px-4 py-3 border-t border-gray-200">
+          {isRunning ? (
+            <button
+              onClick={handleCancel}
+              className="h-9 px-3 rounded-md border border-gray-300 text-sm hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+          ) : (
+            <button
+              onClick={handleExport}
+              disabled={!supported || duration <= 0}
+              className="h-9 px-3 rounded-md border border-gray-300 text-sm hover:bg-gray-50 disabled:opacity-50"
+            >
+              {status === "done" ? "Export again" : "Export"}
+            </button>
+          )}
+          {status === "done" && result && (
+            <button
+              onClick={handleDownload}
+              className="h-9 px-3 flex items-center gap-2 rounded-md bg-indigo-600 text-white text-sm hover:bg-indigo-700"
+            >
+              <Download className="w-4 h-4" />
+              Download
+              {result.size != null &&
+                ` (${(result.size / (1024 * 1024)).toFixed(1)} MB)`}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,154 @@
+import { useEffect, useRef, useState } from "react";
+
+// Meter scale (dBFS): bottom of the bar and where yellow / red start
+const MIN_DB = -60;
+const WARN_DB = -12;
+const HOT_DB = -3;
+// Peak hold: how long the tick stays before it falls (ms), then its fall
+// rate and the release of the bars (dB per second)
+const PEAK_HOLD_TIME = 1500;
+const PEAK_FALL_RATE = 20;
+const RELEASE_RATE = 30;
+
+const toDb = (amplitude) =>
+  amplitude > 0 ? 20 * Math.log10(amplitude) : -Infinity;
+
+// 0..1 along the bar
+const dbToPosition = (db) =>
+  Math.min(1, Math.max(0, (db - MIN_DB) / -MIN_DB));
+
+const formatDb = (db) => (db > MIN_DB ? `${db.toFixed(1)} dB` : "-∞ dB");
+
+// Horizontal peak / RMS meter, one bar per channel, with a peak-hold tick
+// per channel and a clip indicator that stays lit until clicked. Polls
+// `getLevels` every frame instead of going through React state, so it
+// doesn't re-render anything while playing.
+export default function LevelMeter({
+  getLevels, // () => [{ peak, rms }] per channel (linear), or null
+  height = 8, // px
+  className = "",
+}) {
+  const canvasRef = useRef(null);
+  const [clipped, setClipped] = useState(false);
+  const clippedRef = useRef(false);
+  const getLevelsRef = useRef(getLevels);
+  const peakTitleRef = useRef(null);
+
+  useEffect(() => {
+    getLevelsRef.current = getLevels;
+  }, [getLevels]);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const ctx = canvas.getContext("2d");
+    // Per channel: displayed bar levels and the held peak (dB)
+    let meters = [];
+    let last = performance.now();
+    let frame;
+
+    const draw = (now) => {
+      frame = requestAnimationFrame(draw);
+      const dt = (now - last) / 1000;
+      last = now;
+
+      const levels = getLevelsRef.current?.() || [];
+      meters = levels.map((level, i) => {
+        const prev = meters[i] || {
+          peak: -Infinity,
+          rms: -Infinity,
+          hold: -Infinity,
+          holdAt: 0,
+        };
+        const peak = Math.max(toDb(level.peak), prev.peak - RELEASE_RATE * dt);
+        const rms = Math.max(toDb(level.rms), prev.rms - RELEASE_RATE * dt);
+        let { hold, holdAt } = prev;
+        if (peak >= hold) {
+          hold = peak;
+          holdAt = now;
+        } else if (now - holdAt > PEAK_HOLD_TIME) {
+          hold -= PEAK_FALL_RATE * dt;
+        }
+        if (level.peak >= 1 && !clippedRef.current) {
+          clippedRef.current = true;
+          setClipped(true);
+        }
+        return { peak, rms, hold, holdAt };
+      });
+
+      const width = canvas.clientWidth;
+      const dpr = window.devicePixelRatio || 1;
+      if (canvas.width !== Math.round(width * dpr)) {
+        canvas.width = Math.round(width * dpr);
+        canvas.height = Math.round(height * dpr);
+      }
+      ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+      ctx.clearRect(0, 0, width, height);
+      ctx.fillStyle = "#E5E7EB";
+      ctx.fillRect(0, 0, width, height);
+
+      const gradient = ctx.createLinearGradient(0, 0, width, 0);
+      gradient.addColorStop(0, "#22C55E");
+      gradient.addColorStop(dbToPosition(WARN_DB), "#22C55E");
+      gradient.addColorStop(dbToPosition(WARN_DB), "#EAB308");
+      gradient.addColorStop(dbToPosition(HOT_DB), "#EAB308");
+      gradient.addColorStop(dbToPosition(HOT_DB), "#EF4444");
+      gradient.addColorStop(1, "#EF4444");
+
+      const rows = Math.max(1, meters.length);
+      const rowHeight = height / rows;
+      meters.forEach(({ peak, rms, hold }, i) => {
+        const y = i * rowHeight;
+        const barHeight = Math.max(1, rowHeight - (rows > 1 ? 1 : 0));
+        // Peak: faint bar; RMS: solid bar on top
+        ctx.globalAlpha = 0.45;
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, y, dbToPosition(peak) * width, barHeight);
+        ctx.globalAlpha = 1;
+        ctx.fillRect(0, y, dbToPosition(rms) * width, barHeight);
+        if (hold > MIN_DB) {
+          ctx.fillStyle = hold >= 0 ? "#B91C1C" : "#374151";
+          ctx.fillRect(
+            Math.min(width - 2, dbToPosition(hold) * width),
+            y,
+            2,
+            barHeight
+          );
+        }
+      });
+
+      if (peakTitleRef.current) {
+        const hold = Math.max(-Infinity, ...meters.map((m) => m.hold));
+        peakTitleRef.current.title = `Peak ${formatDb(hold)}`;
+      }
+    };
+    frame = requestAnimationFrame(draw);
+    return () => cancelAnimationFrame(frame);
+  }, [height]);
+
+  const resetClip = (e) => {
+    e.stopPropagation();
+    clippedRef.current = false;
+    setClipped(false);
+  };
+
+  return (
+    <div className={`flex items-center gap-1 ${className}`}>
+      <div ref={peakTitleRef} className="flex-1 min-w-0">
+        <canvas
+          ref={canvasRef}
+          className="block w-full rounded-sm"
+          style={{ height: `${height}px` }}
+        />
+      </div>
+      <button
+        onClick={resetClip}
+        title={clipped ? "Clipped - click to reset" : "No clipping"}
+        className={`w-2 shrink-0 rounded-sm ${
+          clipped ? "bg-red-500" : "bg-gray-300"
+        }`}
+        style={{ height: `${height}px` }}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,163 @@
+import {
+  BookmarkPlus,
+  ChevronLeft,
+  ChevronRight,
+  Download,
+  Trash2,
+} from "lucide-react";
+import { MARKER_COLORS } from "../utils/markers";
+import {
+  downloadChapters,
+  getYouTubeChapterIssues,
+  toWebVTTChapters,
+  toYouTubeChapters,
+} from "../utils/chapters";
+
+const formatTime = (t) =>
+  `${Math.floor(t / 60)}:${(t % 60).toFixed(2).padStart(5, "0")}`;
+
+// Markers of the edit: add at the playhead, jump between them, rename,
+// recolour, give them a length, and export them as chapters
+export default function MarkerPanel({
+  markers = [],
+  duration = 0, // length of the edit (sec), where the last chapter ends
+  projectName = "project",
+  onAdd = () => {}, // add a marker at the playhead
+  onChange = () => {}, // (markerId, updates) => void
+  onRemove = () => {}, // (markerId) => void
+  onSeek = () => {}, // (time) => void
+  onPrevious = () => {},
+  onNext = () => {},
+}) {
+  const safeName = (projectName || "project").replace(/[^\w-]+/g, "_");
+  const youTubeIssues = markers.length
+    ? getYouTubeChapterIssues(markers, duration)
+    : [];
+
+  const buttonClass =
+    "h-8 px-3 flex items-center gap-1.5 rounded-md border border-gray-300 bg-white text-sm text-gray-800 hover:bg-gray-50 disabled:opacity-40";
+
+  return (
+    <div className="space-y-2 text-sm">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="text-gray-600">Markers</span>
+        <button
+          onClick={onAdd}
+          className={buttonClass}
+          title="Add at playhead (M)"
+        >
+          <BookmarkPlus className="w-4 h-4" />
+          Add
+        </button>
+        <button
+          onClick={onPrevious}
+          disabled={!markers.length}
+          className={buttonClass}
+          title="Previous marker ([)"
+        >
+          <ChevronLeft className="w-4 h-4" />
+        </button>
+        <button
+          onClick={onNext}
+          disabled={!markers.length}
+          className={buttonClass}
+          title="Next marker (])"
+        >
+          <ChevronRight className="w-4 h-4" />
+        </button>
+        <div className="w-px h-4 mx-1 bg-gray-300" />
+        <button
+          onClick={() =>
+            downloadChapters(
+              toWebVTTChapters(markers, duration),
+              `${safeName}.chapters.vtt`,
+              "text/vtt"
+            )
+          }
+          disabled={!markers.length}
+          className={buttonClass}
+          title="WebVTT chapters track"
+        >
+          <Download className="w-4 h-4" />
+          WebVTT
+        </button>
+        <button
+          onClick={() =>
+            downloadChapters(
+              toYouTubeChapters(markers, duration),
+              `${safeName}.chapters.txt`
+            )
+          }
+          disabled={!markers.length}
+          className={buttonClass}
+          title="Chapter list for a YouTube description"
+        >
+          <Download className="w-4 h-4" />
+          YouTube
+        </button>
+        {youTubeIssues.length > 0 && (
+          <span className="text-xs text-amber-700">
+            ⚠️ {youTubeIssues.join("; ")}
+          </span>
+        )}
+      </div>
+
+      {markers.map((marker) => (
+        <div key={marker.id} className="flex flex-wrap items-center gap-2">
+          <div className="flex gap-0.5">
+            {MARKER_COLORS.map((color) => (
+              <button
+                key={color}
+                onClick={() => onChange(marker.id, { color })}
+                className={`w-4 h-4 rounded-full ${
+                  marker.color === color
+                    ? "ring-2 ring-offset-1 ring-gray-500"
+                    : ""
+                }`}
+                style={{ backgroundColor: color }}
+                title="Colour"
+              />
+            ))}
+          </div>
+          <button
+            onClick={() => onSeek(marker.time)}
+            className="w-20 font-mono text-xs text-indigo-700 hover:underline"
+            title="Jump to marker"
+          >
+            {formatTime(marker.time)}
+          </button>
+          <input
+            type="text"
+            value={marker.name}
+            onChange={(e) => onChange(marker.id, { name: e.target.value })}
+            className="w-48 h-7 px-2 rounded border border-gray-300"
+            placeholder="Name"
+          />
+          <label className="flex items-center gap-1 text-xs text-gray-600">
+            Length
+            <input
+              type="number"
+              min={0}
+              step={0.5}
+              value={marker.duration}
+              onChange={(e) =>
+                onChange(marker.id, {
+                  duration: Math.max(0, Number(e.target.value) || 0),
+                })
+              }
+              className="w-16 h-7 px-1 rounded border border-gray-300"
+            />
+            s
+          </label>
+          <button
+            onClick={() => onRemove(marker.id)}
+            className="w-7 h-7 flex items-center justify-center rounded text-gray-500 hover:bg-red-50 hover:text-red-600"
+            title="Delete marker"
+          >
+            <Trash2 className="w-4 h-4" />
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
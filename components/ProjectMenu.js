@@ -0,0 +1,47 @@
+import { useRef } from "react";
+import { Save, FolderOpen } from "lucide-react";
+
+// Save / Open actions for the project file. Opening accepts the project JSON
+// together with any media files so clips saved with blob: URLs can be relinked.
+export default function ProjectMenu({ onSave, onOpen }) {
+  const fileInputRef = useRef(null);
+
+  const handleFileSelect = (e) => {
+    const files = Array.from(e.target.files || []);
+    if (files.length) onOpen(files);
+    if (fileInputRef.current) {
+      fileInputRef.current.value = "";
+    }
+  };
+
+  return (
+    <div className="flex items-center gap-2">
+      <button
+        onClick={onSave}
+        className="flex items-center gap-2 px-4 py-2 bg-white text-gray-800 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+        title="Save project"
+      >
+        <Save className="w-5 h-5" />
+        <span>Save</span>
+      </button>
+
+      <button
+        onClick={() => fileInputRef.current?.click()}
+        className="flex items-center gap-2 px-4 py-2 bg-white text-gray-800 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+        title="Open project (select the project file plus its media to relink)"
+      >
+        <FolderOpen className="w-5 h-5" />
+        <span>Open</span>
+      </button>
+
+      <input
+        ref={fileInputRef}
+        type="file"
+        multiple
+        accept=".json,application/json,video/*,audio/*,image/*"
+        onChange={handleFileSelect}
+        className="hidden"
+      />
+    </div>
+  );
+}
@@ -0,0 +1,127 @@
+import { useEffect, useState } from "react";
+import { RotateCcw, X } from "lucide-react";
+import {
+  DEFAULT_BINDINGS,
+  SHORTCUTS,
+  SHORTCUT_GROUPS,
+  eventToCombo,
+  formatCombo,
+  rebindShortcut,
+} from "../utils/shortcuts";
+
+// Cheat sheet of the keyboard shortcuts. Clicking a binding waits for the
+// next key combo and binds it instead (Escape cancels); the page saves the
+// result (see utils/shortcuts.js).
+export default function ShortcutSheet({
+  bindings = DEFAULT_BINDINGS,
+  onChange = () => {}, // (bindings) => void
+  onClose = () => {},
+}) {
+  const [recordingId, setRecordingId] = useState(null);
+
+  // Capture the next combo while recording, ahead of the page's shortcuts;
+  // otherwise Escape closes the sheet
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!recordingId) {
+        if (e.code === "Escape") onClose();
+        return;
+      }
+      e.preventDefault();
+      e.stopPropagation();
+      if (e.code === "Escape") {
+        setRecordingId(null);
+        return;
+      }
+      const combo = eventToCombo(e);
+      if (!combo) return; // wait for the key that goes with the modifiers
+      onChange(rebindShortcut(bindings, recordingId, combo));
+      setRecordingId(null);
+    };
+
+    window.addEventListener("keydown", handleKeyDown, true);
+    return () => window.removeEventListener("keydown", handleKeyDown, true);
+  }, [recordingId, bindings, onChange, onClose]);
+
+  const isDefault = (s) => (bindings[s.id] || []).join() === s.keys.join();
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40">
+      <div className="w-full max-w-3xl max-h-[85vh] flex flex-col bg-white rounded-xl shadow-xl border border-gray-200">
+        {/* Header */}
+        <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200">
+          <span className="text-sm font-medium text-gray-700">
+            Keyboard shortcuts
+          </span>
+          <div className="flex items-center gap-1">
+            <button
+              onClick={() => onChange({ ...DEFAULT_BINDINGS })}
+              disabled={SHORTCUTS.every(isDefault)}
+              className="h-8 px-3 flex items-center gap-1.5 rounded-md text-xs text-gray-600 hover:bg-gray-50 disabled:opacity-40"
+              title="Restore every default binding"
+            >
+              <RotateCcw className="w-3.5 h-3.5" />
+              Reset all
+            </button>
+            <button
+              onClick={onClose}
+              className="w-8 h-8 flex items-center justify-center rounded-md hover:bg-gray-50"
+              title="Close"
+            >
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+        </div>
+
+        <p className="px-4 pt-3 text-xs text-gray-500">
+          Click a shortcut to change it, then press the new keys. Shortcuts
+          are ignored while typing in a field.
+        </p>
+
+        <div className="px-4 py-3 overflow-y-auto grid grid-cols-2 gap-x-8 gap-y-4">
+          {SHORTCUT_GROUPS.map((group) => (
+            <div key={group} className="space-y-1">
+              <div className="text-xs font-semibold uppercase text-gray-500">
+                {group}
+              </div>
+              {SHORTCUTS.filter((s) => s.group === group).map((s) => (
+                <div
+                  key={s.id}
+                  className="flex items-center justify-between gap-2 text-sm"
+                >
+                  <span className="text-gray-700">{s.label}</span>
+                  <div className="flex items-center gap-1">
+                    <button
+                      onClick={() => setRecordingId(s.id)}
+                      className={`min-w-[4rem] h-7 px-2 rounded border font-mono text-xs ${
+                        recordingId === s.id
+                          ? "border-indigo-500 bg-indigo-50 text-indigo-700"
+                          : "border-gray-300 bg-gray-50 text-gray-800 hover:bg-gray-100"
+                      }`}
+                      title="Change"
+                    >
+                      {recordingId === s.id
+                        ? "Press keys…"
+                        : (bindings[s.id] || []).map(formatCombo).join(" / ") ||
+                          "None"}
+                    </button>
+                    <button
+                      onClick={() =>
+                        onChange({ ...bindings, [s.id]: s.keys })
+                      }
+                      disabled={isDefault(s)}
+                      className="w-7 h-7 flex items-center justify-center rounded text-gray-500 hover:bg-gray-100 disabled:invisible"
+                      title={`Reset to ${s.keys.map(formatCombo).join(" / ")}`}
+                    >
+                      <RotateCcw className="w-3.5 h-3.5" />
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,179 @@
+import { useState, useEffect, useCallback } from "react";
+import { X, Trash2 } from "lucide-react";
+import {
+  listMedia,
+  deleteMedia,
+  getStorageEstimate,
+} from "../utils/mediaStore";
+import { readClipboard } from "../utils/clipboard";
+
+const formatBytes = (bytes) => {
+  if (bytes == null) return "–";
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  if (bytes < 1024 * 1024 * 1024)
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+};
+
+const getClipboardMediaIds = () =>
+  (readClipboard()?.clips ?? []).map((c) => c.mediaId).filter(Boolean);
+
+// Storage usage view: lists media kept in IndexedDB and lets the user purge
+// assets that neither the timeline, its undo / redo steps (historySteps, one
+// clip list per step) nor the clipboard still use.
+export default function StorageManager({
+  clips = [],
+  historySteps = [],
+  onClose = () => {},
+}) {
+  const [assets, setAssets] = useState([]);
+  const [estimate, setEstimate] = useState({ usage: null, quota: null });
+  const [clipboardIds, setClipboardIds] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+
+  const usedIds = new Set(
+    [...clips, ...historySteps.flat()]
+      .map((c) => c.mediaId)
+      .filter(Boolean)
+      .concat(clipboardIds)
+  );
+  const unusedAssets = assets.filter((a) => !usedIds.has(a.id));
+
+  const refresh = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const [list, est] = await Promise.all([
+        listMedia(),
+        getStorageEstimate(),
+      ]);
+      setAssets(list.sort((a, b) => b.createdAt - a.createdAt));
+      setEstimate(est);
+      setClipboardIds(getClipboardMediaIds());
+    } catch (err) {
+      console.warn("⚠️ Failed to read media storage:", err);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  // Another tab may have copied clips since the last refresh
+  const handlePurge = () => {
+    const copied = new Set(getClipboardMediaIds());
+    handleDelete(unusedAssets.map((a) => a.id).filter((id) => !copied.has(id)));
+  };
+
+  const handleDelete = async (ids) => {
+    try {
+      await Promise.all(ids.map((id) => deleteMedia(id)));
+    } catch (err) {
+      console.warn("⚠️ Failed to delete media:", err);
+    }
+    refresh();
+  };
+
+  const usagePercent =
+    estimate.usage != null && estimate.quota
+      ? Math.min(100, (estimate.usage / estimate.quota) * 100)
+      : 0;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40">
+      <div className="w-full max-w-xl bg-white rounded-xl shadow-xl border border-gray-200">
+        {/* Header */}
+        <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200">
+          <span className="text-sm font-medium text-gray-700">
+            Stored media
+          </span>
+          <button
+            onClick={onClose}
+            className="w-8 h-8 flex items-center justify-center rounded-md hover:bg-gray-50"
+            title="Close"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+
+        {/* Usage */}
+        <div className="px-4 py-3 space-y-2">
+          <div className="flex justify-between text-xs text-gray-600">
+            <span>
+              {formatBytes(estimate.usage)} used of{" "}
+              {formatBytes(estimate.quota)}
+            </span>
+            <span>{assets.length} assets</span>
+          </div>
+          <div className="h-2 bg-gray-200 rounded-full overflow-hidden">
+            <div
+              className="h-full bg-indigo-600"
+              style={{ width: `${usagePercent}%` }}
+            />
+          </div>
+        </div>
+
+        {/* Asset list */}
+        <div className="max-h-80 overflow-y-auto px-4">
+          {isLoading ? (
+            <div className="py-6 text-center text-sm text-gray-500">
+              Loading...
+            </div>
+          ) : assets.length === 0 ? (
+            <div className="py-6 text-center text-sm text-gray-500">
+              No stored media
+            </div>
+          ) : (
+            assets.map((asset) => {
+              const inUse = usedIds.has(asset.id);
+              return (
+                <div
+                  key={asset.id}
+                  className="flex items-center gap-3 py-2 border-b border-gray-100 text-sm"
+                >
+                  <span className="flex-1 truncate text-gray-800">
+                    {asset.fileName}
+                  </span>
+                  <span className="text-xs text-gray-500 capitalize">
+                    {asset.type}
+                  </span>
+                  <span className="w-20 text-right text-xs text-gray-500">
+                    {formatBytes(asset.size)}
+                  </span>
+                  {inUse ? (
+                    <span className="w-8 text-xs text-green-600">In use</span>
+                  ) : (
+                    <button
+                      onClick={() => handleDelete([asset.id])}
+                      className="w-8 h-8 flex items-center justify-center rounded-md text-red-600 hover:bg-red-50"
+                      title="Delete"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  )}
+                </div>
+              );
+            })
+          )}
+        </div>
+
+        {/* Footer */}
+        <div className="flex items-center justify-between px-4 py-3 border-t border-gray-200">
+          <span className="text-xs text-gray-500">
+            Unused: {unusedAssets.length} (
+            {formatBytes(unusedAssets.reduce((sum, a) => sum + a.size, 0))})
+          </span>
+          <button
+            onClick={handlePurge}
+            disabled={!unusedAssets.length}
+            className="px-3 h-8 rounded-md bg-red-600 text-white text-xs font-medium hover:bg-red-700 disabled:opacity-40 disabled:cursor-not-allowed"
+          >
+            Purge unused
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
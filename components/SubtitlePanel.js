@@ -0,0 +1,85 @@
+import { useRef } from "react";
+import { Captions, Download, FileUp } from "lucide-react";
+import {
+  SUBTITLE_FILE_TYPES,
+  downloadSubtitles,
+  getSubtitleClips,
+  toSRT,
+  toVTT,
+} from "../utils/subtitles";
+
+// Subtitle track actions: import an .srt / .vtt file, add a cue at the
+// playhead, and export the cues. Cue text and timing are edited on the
+// timeline (double-click a cue) or in the clip inspector.
+export default function SubtitlePanel({
+  clips = [],
+  projectName = "project",
+  onImport = () => {}, // (fileText) => void
+  onAdd = () => {}, // add a cue at the playhead
+}) {
+  const fileInputRef = useRef(null);
+  const cueCount = getSubtitleClips(clips).length;
+  const safeName = (projectName || "project").replace(/[^\w-]+/g, "_");
+
+  const handleFileSelect = async (e) => {
+    const file = e.target.files?.[0];
+    if (file) onImport(await file.text());
+    if (fileInputRef.current) {
+      fileInputRef.current.value = "";
+    }
+  };
+
+  const buttonClass =
+    "h-8 px-3 flex items-center gap-1.5 rounded-md border border-gray-300 bg-white text-sm text-gray-800 hover:bg-gray-50 disabled:opacity-40";
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-sm">
+      <span className="text-gray-600">
+        Subtitles{cueCount > 0 && ` (${cueCount})`}
+      </span>
+      <button
+        onClick={() => fileInputRef.current?.click()}
+        className={buttonClass}
+        title="Import SubRip or WebVTT subtitles"
+      >
+        <FileUp className="w-4 h-4" />
+        Import
+      </button>
+      <button onClick={onAdd} className={buttonClass} title="Add at playhead">
+        <Captions className="w-4 h-4" />
+        Add cue
+      </button>
+      <div className="w-px h-4 mx-1 bg-gray-300" />
+      <button
+        onClick={() =>
+          downloadSubtitles(toSRT(clips), `${safeName}.srt`, "application/x-subrip")
+        }
+        disabled={!cueCount}
+        className={buttonClass}
+        title="SubRip subtitles"
+      >
+        <Download className="w-4 h-4" />
+        SRT
+      </button>
+      <button
+        onClick={() =>
+          downloadSubtitles(toVTT(clips), `${safeName}.vtt`, "text/vtt")
+        }
+        disabled={!cueCount}
+        className={buttonClass}
+        title="WebVTT subtitles"
+      >
+        <Download className="w-4 h-4" />
+        VTT
+      </button>
+
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept={SUBTITLE_FILE_TYPES}
+        onChange={handleFileSelect}
+        className="hidden"
+      />
+    </div>
+  );
+}
@@ -1,8 +1,15 @@
+import { Undo2, Redo2, Scissors } from "lucide-react";
+
 export function Toolbar({
   currentTime,
   totalDuration,
   videoZoom,
   setVideoZoom,
+  onUndo = () => {},
+  onRedo = () => {},
+  canUndo = false,
+  canRedo = false,
+  onSplit = () => {},
 }) {
   const formatTime = (sec) => {
     const mins = Math.floor(sec / 60);
@@ -12,6 +19,33 @@ export function Toolbar({
 
   return (
     <div className="flex items-center gap-4 bg-gray-100 px-4 py-3 rounded-lg">
+      {/* History */}
+      <div className="flex items-center gap-1">
+        <button
+          onClick={onUndo}
+          disabled={!canUndo}
+          className="w-8 h-8 flex items-center justify-center rounded-md bg-white text-gray-800 hover:bg-gray-50 transition-colors disabled:opacity-40 disabled:cursor-not-allowed"
+          title="Undo (Ctrl+Z)"
+        >
+          <Undo2 className="w-4 h-4" />
+        </button>
+        <button
+          onClick={onRedo}
+          disabled={!canRedo}
+          className="w-8 h-8 flex items-center justify-center rounded-md bg-white text-gray-800 hover:bg-gray-50 transition-colors disabled:opacity-40 disabled:cursor-not-allowed"
+          title="Redo (Ctrl+Shift+Z)"
+        >
+          <Redo2 className="w-4 h-4" />
+        </button>
+        <button
+          onClick={onSplit}
+          className="w-8 h-8 flex items-center justify-center rounded-md bg-white text-gray-800 hover:bg-gray-50 transition-colors"
+          title="Split at playhead (S)"
+        >
+          <Scissors className="w-4 h-4" />
+        </button>
+      </div>
+
       {/* Zoom control */}
       <div className="flex items-center gap-2">
         <span className="text-gray-800 text-sm">Zoom:</span>
@@ -0,0 +1,122 @@
+import { Eye, EyeOff, Lock, Unlock, Volume2, VolumeX } from "lucide-react";
+import { MAX_TRACK_VOLUME } from "../utils/tracks";
+import LevelMeter from "./LevelMeter";
+
+function ToggleButton({ active, activeClass, title, onClick, children }) {
+  return (
+    <button
+      onClick={onClick}
+      title={title}
+      className={`w-6 h-6 flex items-center justify-center rounded text-xs font-bold transition-colors ${
+        active ? activeClass : "text-gray-500 hover:bg-gray-200"
+      }`}
+    >
+      {children}
+    </button>
+  );
+}
+
+// Name, mute / solo / lock / hide toggles, volume / pan and output level of
+// one timeline track
+export default function TrackHeader({
+  label,
+  state, // see utils/tracks.js TRACK_DEFAULTS
+  canHide = false, // visual tracks only
+  hasSound = true, // false for the subtitle track: no mute / solo / mix
+  compact = false, // audio rows are shorter: sliders share the toggle row
+  onChange = () => {}, // (updates) => void
+  getLevels, // optional: () => output level, see LevelMeter
+}) {
+  const { muted, solo, locked, hidden, volume, pan } = state;
+
+  const sliders = (
+    <div className="flex items-center gap-1">
+      <input
+        type="range"
+        min={0}
+        max={MAX_TRACK_VOLUME}
+        step={0.01}
+        value={volume}
+        onChange={(e) => onChange({ volume: Number(e.target.value) })}
+        className="w-14 h-1 cursor-pointer"
+        title={`Volume ${Math.round(volume * 100)}%`}
+      />
+      <input
+        type="range"
+        min={-1}
+        max={1}
+        step={0.05}
+        value={pan}
+        onChange={(e) => onChange({ pan: Number(e.target.value) })}
+        onDoubleClick={() => onChange({ pan: 0 })}
+        className="w-10 h-1 cursor-pointer"
+        title={`Pan ${
+          pan === 0
+            ? "center"
+            : `${Math.round(Math.abs(pan) * 100)}% ${pan < 0 ? "L" : "R"}`
+        } (double-click to center)`}
+      />
+    </div>
+  );
+
+  return (
+    <div className="h-full flex flex-col justify-center gap-0.5 px-2 bg-white border border-gray-200 rounded-lg text-gray-700">
+      <div className="flex items-center gap-0.5">
+        <span className="w-7 text-xs font-semibold truncate">{label}</span>
+        {hasSound && (
+          <>
+            <ToggleButton
+              active={muted}
+              activeClass="bg-red-100 text-red-600"
+              title={muted ? "Unmute" : "Mute"}
+              onClick={() => onChange({ muted: !muted })}
+            >
+              {muted ? (
+                <VolumeX className="w-3.5 h-3.5" />
+              ) : (
+                <Volume2 className="w-3.5 h-3.5" />
+              )}
+            </ToggleButton>
+            <ToggleButton
+              active={solo}
+              activeClass="bg-yellow-200 text-yellow-800"
+              title="Solo"
+              onClick={() => onChange({ solo: !solo })}
+            >
+              S
+            </ToggleButton>
+          </>
+        )}
+        <ToggleButton
+          active={locked}
+          activeClass="bg-gray-700 text-white"
+          title={locked ? "Unlock" : "Lock (no edits)"}
+          onClick={() => onChange({ locked: !locked })}
+        >
+          {locked ? (
+            <Lock className="w-3.5 h-3.5" />
+          ) : (
+            <Unlock className="w-3.5 h-3.5" />
+          )}
+        </ToggleButton>
+        {canHide && (
+          <ToggleButton
+            active={hidden}
+            activeClass="bg-gray-200 text-gray-900"
+            title={hidden ? "Show" : "Hide"}
+            onClick={() => onChange({ hidden: !hidden })}
+          >
+            {hidden ? (
+              <EyeOff className="w-3.5 h-3.5" />
+            ) : (
+              <Eye className="w-3.5 h-3.5" />
+            )}
+          </ToggleButton>
+        )}
+        {hasSound && compact && sliders}
+      </div>
+      {hasSound && !compact && sliders}
+      {getLevels && <LevelMeter getLevels={getLevels} height={4} />}
+    </div>
+  );
+}
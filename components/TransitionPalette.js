@@ -0,0 +1,24 @@
+import { TRANSITION_TYPES, TRANSITION_DRAG_TYPE } from "../utils/transitions";
+
+// Transitions to drag onto a cut (◆) between two main-track clips
+export default function TransitionPalette() {
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-sm">
+      <span className="text-gray-600">Transitions</span>
+      {TRANSITION_TYPES.map(({ type, label }) => (
+        <div
+          key={type}
+          draggable
+          onDragStart={(e) => {
+            e.dataTransfer.setData(TRANSITION_DRAG_TYPE, type);
+            e.dataTransfer.effectAllowed = "copy";
+          }}
+          className="px-3 py-1 rounded-md border border-gray-300 bg-white text-gray-800 cursor-grab active:cursor-grabbing hover:bg-gray-50 select-none"
+          title="Drag onto a cut in the timeline"
+        >
+          {label}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -1,218 +1,257 @@
-import { useEffect, useRef, useState } from "react";
-import videojs from "video.js";
-import "video.js/dist/video-js.css";
+import { useEffect, useMemo, useRef, useState } from "react";
 import { Play, Pause } from "lucide-react";
-
+import {
+  drawFrame,
+  getTextLayout,
+  FRAME_WIDTH,
+  FRAME_HEIGHT,
+} from "../utils/compositor";
+import { createMediaPool } from "../utils/mediaPool";
+import { getActiveVisualClips, isTextClip } from "../utils/timelineEngine";
+import { getVisibleClips, isClipLocked } from "../utils/tracks";
+
+// Longest the preview keeps the last frame while media seeks or loads
+const MAX_HOLD_MS = 500;
+
+// Canvas preview: every animation frame the pooled media elements are synced
+// to the timeline clock and composited with the same drawFrame used by export.
+// Text clips can be picked by clicking them and edited in place with a
+// double-click (unless their track is locked). Hidden tracks are not drawn.
 export default function VideoPlayer({
-  currentClip,
   currentTime,
   isPlaying,
+  playbackRate = 1, // transport rate (J / L shuttle), negative backwards
   onPlayPause,
-  onClipEnd,
-  onTimeUpdate,
   clips,
+  tracks = {},
+  background, // project background colour (shown in gaps)
   duration,
   zoom = 1,
+  selectedClipId = null,
+  onSelectClip = () => {}, // (clipId) => void
+  onClipUpdate = () => {}, // (clipId, updates) => void
+  onGestureStart = () => {},
+  onGestureEnd = () => {},
 }) {
-  const videoRef = useRef(null);
-  const playerRef = useRef(null);
-  const [localTime, setLocalTime] = useState(0);
+  const canvasRef = useRef(null);
+  const editorRef = useRef(null);
   const [isPlayerReady, setIsPlayerReady] = useState(false);
-  const [audioContext, setAudioContext] = useState(null);
+  const [editingClipId, setEditingClipId] = useState(null);
   const safeZoom = Math.min(Math.max(zoom, 0.5), 3);
 
-  // Refs to hold the latest callbacks
-  const onTimeUpdateRef = useRef(onTimeUpdate);
-  const onClipEndRef = useRef(onClipEnd);
-  const currentClipRef = useRef(currentClip);
-  const lastSrcRef = useRef(null);
-  const imageTimeoutRef = useRef(null);
-  const imageIntervalRef = useRef(null);
+  // The text clip being edited, while it is still on screen
+  const editingClip = clips.find(
+    (c) =>
+      c.id === editingClipId &&
+      currentTime >= c.startTime &&
+      currentTime < c.endTime
+  );
 
-  const backgroundAudioRef = useRef(null);
+  const shownClips = useMemo(
+    () => getVisibleClips(clips, tracks),
+    [clips, tracks]
+  );
 
-  // Update refs when props change
-  useEffect(() => {
-    onTimeUpdateRef.current = onTimeUpdate;
-  }, [onTimeUpdate]);
+  // Latest props for the render loop
+  const stateRef = useRef({
+    clips: shownClips,
+    currentTime,
+    isPlaying,
+    playbackRate,
+    editingClipId,
+    background,
+  });
+  const dirtyRef = useRef(true);
 
   useEffect(() => {
-    onClipEndRef.current = onClipEnd;
-  }, [onClipEnd]);
+    stateRef.current = {
+      clips: shownClips,
+      currentTime,
+      isPlaying,
+      playbackRate,
+      editingClipId,
+      background,
+    };
+    dirtyRef.current = true;
+  }, [
+    shownClips,
+    currentTime,
+    isPlaying,
+    playbackRate,
+    editingClipId,
+    background,
+  ]);
 
+  // Stop editing if the clip went away (deleted, playhead moved off it)
   useEffect(() => {
-    currentClipRef.current = currentClip;
-  }, [currentClip]);
+    if (editingClipId && !editingClip) {
+      setEditingClipId(null);
+      onGestureEnd();
+    }
+  }, [editingClipId, editingClip, onGestureEnd]);
 
-  // Initialize player once
   useEffect(() => {
-    if (!videoRef.current || playerRef.current) return;
+    if (editingClipId) editorRef.current?.focus();
+  }, [editingClipId]);
 
-    const player = videojs(videoRef.current, {
-      controls: false,
-      autoplay: false,
-      preload: "auto",
-      fluid: true,
-      muted: false,
-      responsive: true,
+  // Render loop (runs for the lifetime of the player)
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const ctx = canvas.getContext("2d");
+
+    const pool = createMediaPool({
+      onFrameReady: () => {
+        dirtyRef.current = true;
+      },
     });
-
-    playerRef.current = player;
     setIsPlayerReady(true);
 
-    // Update current time
-    player.on("timeupdate", () => {
-      const time = player.currentTime();
-      setLocalTime(time);
-      if (onTimeUpdateRef.current && currentClipRef.current) {
-        onTimeUpdateRef.current(time, currentClipRef.current.id);
-      }
-    });
-
-    // Move to next clip when ended
-    player.on("ended", () => {
-      if (onClipEndRef.current && currentClipRef.current) {
-        onClipEndRef.current(currentClipRef.current.id);
-      }
-    });
-
-    // Handle player errors
-    player.on("error", (e) => {
-      console.warn("Video player error:", player.error());
-    });
-
-    // Ensure audio context is properly initialized
-    player.on("play", () => {
-      // Resume audio context if suspended (required by some browsers)
-      if (audioContext && audioContext.state === "suspended") {
-        audioContext.resume().catch((err) => {
-          console.warn("Failed to resume audio context:", err);
+    let rafId = null;
+    let holdingSince = null; // when drawFrame started waiting for media
+    const render = () => {
+      const {
+        clips,
+        currentTime,
+        isPlaying,
+        playbackRate,
+        editingClipId,
+        background,
+      } = stateRef.current;
+
+      pool.sync(clips, currentTime, isPlaying, playbackRate);
+
+      // Playing video changes every frame; otherwise redraw only on change
+      if (isPlaying || dirtyRef.current) {
+        const now = performance.now();
+        const drawn = drawFrame(ctx, {
+          // The text being edited is shown by the editor instead
+          clips: editingClipId
+            ? clips.filter((c) => c.id !== editingClipId)
+            : clips,
+          time: currentTime,
+          width: FRAME_WIDTH,
+          height: FRAME_HEIGHT,
+          getSource: pool.getSource,
+          background,
+          // Keep the last frame while a seek lands, not for ever
+          holdIfNotReady:
+            holdingSince == null || now - holdingSince < MAX_HOLD_MS,
+          drawMissing: true,
         });
+        if (drawn) {
+          dirtyRef.current = false;
+          holdingSince = null;
+        } else {
+          holdingSince ??= now;
+        }
       }
-    });
-  }, [audioContext]);
-
-  // EFFECT 1: Load new clip OR Seek when timeline position changes
-  useEffect(() => {
-    const player = playerRef.current;
-    if (!player || !currentClip || !isPlayerReady) return;
-
-    // 🖼 IMAGE: do nothing to player pipeline (no src swap).
-    if (currentClip.type === "image") {
-      // Pause exactly once; avoid pausing on every render
-      if (!player._imgPaused) {
-        if (!player.paused()) player.pause();
-        player._imgPaused = true;
-      }
-      return;
-    }
-
-    // Reset the "paused due to image" marker
-    player._imgPaused = false;
 
-    // 🎞 VIDEO: change source ONLY if URL changed; otherwise keep in sync.
-    const getCurrentSourceUrl = () => {
-      const cs = player.currentSource && player.currentSource();
-      if (cs?.src) return cs.src;
-      try {
-        const s = player.src();
-        if (typeof s === "string" && s) return s;
-        if (Array.isArray(s) && s[0]?.src) return s[0].src;
-        if (s?.src) return s.src;
-      } catch {}
-      return "";
+      rafId = requestAnimationFrame(render);
     };
+    rafId = requestAnimationFrame(render);
 
-    const currentSourceUrl = getCurrentSourceUrl();
-    const urlChanged =
-      !!currentClip.url && currentSourceUrl !== currentClip.url;
-
-    if (urlChanged) {
-      playerRef.current.clipId = currentClip.id;
-      player.src({
-        src: currentClip.url,
-        type: currentClip.mimeType || "video/mp4",
-      });
-
-      const seekTo = Math.max(0, currentClip.relativeTime || 0);
-      const onReady = () => {
-        player.off("loadedmetadata", onReady);
-        if (Math.abs((player.currentTime() ?? 0) - seekTo) > 0.02) {
-          player.currentTime(seekTo);
-        }
-        if (isPlaying) {
-          const p = player.play();
-          if (p?.catch) p.catch(() => {});
-        }
-      };
-
-      if (player.readyState() >= 1) onReady();
-      else player.one("loadedmetadata", onReady);
-    } else {
-      // Same URL: NO reload. Gentle drift correction only.
-      const targetTime = Math.max(0, currentClip.relativeTime || 0);
-      const drift = Math.abs((player.currentTime() ?? 0) - targetTime);
-      if (drift > 0.1) player.currentTime(targetTime);
+    return () => {
+      cancelAnimationFrame(rafId);
+      pool.dispose();
+    };
+  }, []);
 
-      if (isPlaying) {
-        if (player.paused()) {
-          const p = player.play();
-          if (p?.catch) p.catch(() => {});
-        }
-      } else {
-        if (!player.paused()) player.pause();
-      }
+  // Manual play toggle
+  const handleManualPlay = () => {
+    onPlayPause();
+  };
 
-      if (playerRef.current.clipId !== currentClip.id) {
-        playerRef.current.clipId = currentClip.id;
-      }
-    }
-  }, [
-    currentClip?.url,
-    currentClip?.relativeTime,
-    currentClip?.id,
-    currentClip?.mimeType,
-    isPlayerReady,
-    isPlaying,
-  ]);
+  // Topmost text clip under a pointer event, if any
+  const findTextClipAt = (e) => {
+    const canvas = canvasRef.current;
+    if (!canvas) return null;
+    const bounds = canvas.getBoundingClientRect();
+    const x = ((e.clientX - bounds.left) / bounds.width) * FRAME_WIDTH;
+    const y = ((e.clientY - bounds.top) / bounds.height) * FRAME_HEIGHT;
+    const ctx = canvas.getContext("2d");
+
+    return (
+      getActiveVisualClips(shownClips, currentTime)
+        .filter(isTextClip)
+        .reverse()
+        .find((clip) => {
+          const { rect } = getTextLayout(ctx, clip, FRAME_WIDTH, FRAME_HEIGHT);
+          return (
+            x >= rect.x &&
+            x <= rect.x + rect.width &&
+            y >= rect.y &&
+            y <= rect.y + rect.height
+          );
+        }) || null
+    );
+  };
 
-  // EFFECT 2: Handle Play/Pause state changes
-  useEffect(() => {
-    const player = playerRef.current;
-    if (!player || !isPlayerReady || !currentClip) return; // Need currentClip to be ready
+  const handleCanvasClick = (e) => {
+    const clip = findTextClipAt(e);
+    if (clip && clip.id !== selectedClipId) onSelectClip(clip.id);
+  };
 
-    // Don't do anything if the source isn't loaded yet
-    if (!player.currentSrc() || playerRef.current.clipId !== currentClip.id)
-      return;
+  const handleCanvasDoubleClick = (e) => {
+    const clip = findTextClipAt(e);
+    if (!clip) return;
+    onSelectClip(clip.id);
+    if (isClipLocked(clip, tracks)) return;
+    if (isPlaying) onPlayPause();
+    onGestureStart(); // the whole edit is one undo step
+    setEditingClipId(clip.id);
+  };
 
-    if (isPlaying) {
-      if (player.paused()) {
-        const playPromise = player.play();
-        if (playPromise !== undefined) {
-          playPromise.catch((err) => {
-            console.warn("Play blocked:", err);
-            // If blocked, sync state back to paused
-            if (err.name === "NotAllowedError") {
-              onPlayPause(); // Tell parent we couldn't play
-            }
-          });
-        }
-      }
-    } else {
-      if (!player.paused()) {
-        player.pause();
-      }
-    }
-  }, [
-    isPlaying,
-    isPlayerReady,
-    currentClip?.id, // Re-evaluate when clip changes
-  ]);
+  const finishEditing = () => {
+    if (!editingClipId) return;
+    setEditingClipId(null);
+    onGestureEnd();
+  };
 
-  // Manual play toggle
-  const handleManualPlay = () => {
-    if (!playerRef.current) return;
-    onPlayPause();
+  // Editor box over the canvas, in the canvas' CSS pixels
+  const renderTextEditor = () => {
+    const canvas = canvasRef.current;
+    if (!editingClip || !canvas) return null;
+
+    const layout = getTextLayout(
+      canvas.getContext("2d"),
+      editingClip,
+      FRAME_WIDTH,
+      FRAME_HEIGHT
+    );
+    const { style, rect } = layout;
+    const k = canvas.offsetWidth / FRAME_WIDTH;
+
+    return (
+      <textarea
+        ref={editorRef}
+        value={style.text}
+        onChange={(e) => onClipUpdate(editingClip.id, { text: e.target.value })}
+        onBlur={finishEditing}
+        onKeyDown={(e) => {
+          if (e.key === "Escape") e.currentTarget.blur();
+        }}
+        spellCheck={false}
+        className="absolute z-10 resize-none overflow-hidden outline-none ring-2 ring-indigo-400 rounded"
+        style={{
+          left: canvas.offsetLeft + rect.x * k,
+          top: canvas.offsetTop + rect.y * k,
+          width: rect.width * k + 2,
+          height: rect.height * k,
+          padding: layout.padding * k,
+          font: `${style.fontWeight} ${layout.fontSize * k}px ${style.fontFamily}`,
+          lineHeight: `${layout.lineHeight * k}px`,
+          color: style.color,
+          textAlign: style.align,
+          whiteSpace: "pre",
+          background: style.background
+            ? `color-mix(in srgb, ${style.background} ${Math.round(
+                style.backgroundOpacity * 100
+              )}%, transparent)`
+            : "transparent",
+        }}
+      />
+    );
   };
 
   // Format mm:ss
@@ -222,58 +261,26 @@ export default function VideoPlayer({
     return `${mins}:${secs.toString().padStart(2, "0")}`;
   };
 
-  // Cleanup on unmount
-  useEffect(() => {
-    return () => {
-      if (playerRef.current) {
-        playerRef.current.dispose();
-        playerRef.current = null;
-      }
-    };
-  }, []);
-
-  useEffect(() => {
-    return () => {
-      clearTimeout(imageTimeoutRef.current);
-      clearInterval(imageIntervalRef.current);
-      if (playerRef.current) {
-        playerRef.current.dispose();
-        playerRef.current = null;
-      }
-    };
-  }, []);
-
   return (
     <div className="flex flex-col items-center w-full justify-center bg-white rounded-lg p-4 h-[60vh]">
       {/* Video Display */}
       <div className="relative w-full max-w-4xl h-[80%] rounded-lg overflow-hidden mb-2 flex items-center justify-center bg-black">
         <div
-          className="w-full h-full flex items-center justify-center"
+          className="relative w-full h-full flex items-center justify-center"
           style={{
             transform: `scale(${safeZoom})`,
             transformOrigin: "center",
           }}
         >
-          {/* Always keep video element mounted for video.js stability */}
-          <video
-            ref={videoRef}
-            className="video-js vjs-default-skin w-full h-full object-contain absolute inset-0"
-            playsInline
-            preload="auto"
+          <canvas
+            ref={canvasRef}
+            width={FRAME_WIDTH}
+            height={FRAME_HEIGHT}
+            className="max-w-full max-h-full aspect-video bg-black"
+            onClick={handleCanvasClick}
+            onDoubleClick={handleCanvasDoubleClick}
           />
-
-          {/* Show image overlay if current clip is an image */}
-          {currentClip?.type === "image" && (
-            <img
-              src={currentClip.url}
-              alt={currentClip.fileName || "image"}
-              className="absolute inset-0 w-full h-full object-contain z-10 transition-opacity duration-500"
-              style={{
-                opacity: isPlaying ? 1 : 0.8,
-                backgroundColor: "black",
-              }}
-            />
-          )}
+          {renderTextEditor()}
         </div>
       </div>
 
@@ -298,16 +305,6 @@ export default function VideoPlayer({
         <span className="text-black font-mono text-sm">
           {formatTime(duration)}
         </span>
-
-        {/* Audio status indicator */}
-        {/* {currentClip?.hasAudio && (
-          <div className="flex items-center gap-1 text-xs text-gray-500">
-            <svg className="w-3 h-3" fill="currentColor" viewBox="0 0 20 20">
-              <path fillRule="evenodd" d="M9.383 3.076A1 1 0 0110 4v12a1 1 0 01-1.617.757L4.273 14H2a1 1 0 01-1-1V7a1 1 0 011-1h2.273l4.11-2.757a1 1 0 011.617.757zM12 7a1 1 0 011 1v4.586l2.293-2.293a1 1 0 111.414 1.414l-4 4a1 1 0 01-1.414 0l-4-4A1 1 0 1110 10.586V8a1 1 0 011-1z" clipRule="evenodd" />
-            </svg>
-            Audio
-          </div>
-        )} */}
       </div>
     </div>
   );
@@ -0,0 +1,140 @@
+import { useState, useEffect } from "react";
+import {
+  getEnvelopeValue,
+  addEnvelopePoint,
+  moveEnvelopePoint,
+  removeEnvelopePoint,
+} from "../utils/audioEnvelope";
+import {
+  getClipSourceTime,
+  getClipTimeAtSource,
+} from "../utils/timelineEngine";
+
+// Handles for the volume envelope of an audio clip, laid over its waveform
+// (which draws the line itself). Double-click the line to add a point, drag
+// a point to move it, double-click a point to remove it.
+export default function VolumeEnvelopeEditor({
+  clip,
+  length, // visible length of the clip (sec)
+  width,
+  height,
+  onChange = () => {}, // (envelope) => void
+  onGestureStart = () => {},
+  onGestureEnd = () => {},
+}) {
+  const [drag, setDrag] = useState(null); // { index, rect }
+  const envelope = clip.envelope || [];
+  // Envelope times are source positions (see audioEnvelope.js)
+  const sourceAt = (x) =>
+    getClipSourceTime(clip, clip.startTime + (x / width) * length);
+  const headTime = sourceAt(0);
+  const tailTime = sourceAt(width);
+
+  const toX = (time) =>
+    ((getClipTimeAtSource(clip, time) - clip.startTime) / length) * width;
+  const toY = (gain) => 2 + (1 - gain) * (height - 4);
+  const fromPointer = (e, rect) => ({
+    time: sourceAt(((e.clientX - rect.left) / rect.width) * width),
+    gain: 1 - (e.clientY - rect.top - 2) / (rect.height - 4),
+  });
+
+  useEffect(() => {
+    if (!drag) return;
+    const handleMouseMove = (e) => {
+      const { time, gain } = fromPointer(e, drag.rect);
+      onChange(moveEnvelopePoint(envelope, drag.index, time, gain));
+    };
+    const handleMouseUp = () => {
+      setDrag(null);
+      onGestureEnd();
+    };
+    window.addEventListener("mousemove", handleMouseMove);
+    window.addEventListener("mouseup", handleMouseUp);
+    return () => {
+      window.removeEventListener("mousemove", handleMouseMove);
+      window.removeEventListener("mouseup", handleMouseUp);
+    };
+  });
+
+  if (length <= 0 || width <= 0) return null;
+
+  // Line through the envelope across the visible part, for hit testing
+  const inView = (time) =>
+    time > Math.min(headTime, tailTime) && time < Math.max(headTime, tailTime);
+  const linePoints = [
+    [0, getEnvelopeValue(envelope, headTime)],
+    ...envelope
+      .filter((p) => inView(p.time))
+      .map((p) => [toX(p.time), p.gain])
+      .sort((a, b) => a[0] - b[0]),
+    [width, getEnvelopeValue(envelope, tailTime)],
+  ]
+    .map(([x, gain]) => `${x},${toY(gain)}`)
+    .join(" ");
+
+  const svgRect = (e) => e.currentTarget.ownerSVGElement.getBoundingClientRect();
+
+  return (
+    <svg
+      className="absolute inset-0 overflow-visible pointer-events-none"
+      width={width}
+      height={height}
+    >
+      {/* Flat line at full volume until the first point is added */}
+      {!envelope.length && (
+        <polyline
+          points={linePoints}
+          fill="none"
+          stroke="#FACC15"
+          strokeOpacity={0.7}
+          strokeDasharray="4 3"
+        />
+      )}
+      <polyline
+        points={linePoints}
+        fill="none"
+        stroke="transparent"
+        strokeWidth={10}
+        className="cursor-copy"
+        style={{ pointerEvents: "stroke" }}
+        onMouseDown={(e) => e.stopPropagation()}
+        onDoubleClick={(e) => {
+          e.stopPropagation();
+          const { time, gain } = fromPointer(e, svgRect(e));
+          onChange(addEnvelopePoint(envelope, time, gain));
+        }}
+      >
+        <title>Double-click to add a volume point</title>
+      </polyline>
+
+      {envelope.map((point, index) => {
+        const x = toX(point.time);
+        if (x < 0 || x > width) return null;
+        return (
+          <circle
+            key={index}
+            cx={x}
+            cy={toY(point.gain)}
+            r={5}
+            fill="#FACC15"
+            stroke="#ffffff"
+            strokeWidth={1.5}
+            className="cursor-move"
+            style={{ pointerEvents: "all" }}
+            onMouseDown={(e) => {
+              e.stopPropagation();
+              onGestureStart();
+              setDrag({ index, rect: svgRect(e) });
+            }}
+            onDoubleClick={(e) => {
+              e.stopPropagation();
+              onChange(removeEnvelopePoint(envelope, index));
+            }}
+          >
+            <title>{`${Math.round(point.gain * 100)}%`}</title>
+          </circle>
+        );
+      })}
+    </svg>
+  );
+}
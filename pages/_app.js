@@ -1,5 +1,4 @@
 import "@/styles/globals.css";
-import "video.js/dist/video-js.css";
 
 export default function App({ Component, pageProps }) {
   return <Component {...pageProps} />;
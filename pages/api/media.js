@@ -0,0 +1,54 @@
+// Media uploads for server-side renders.
+//
+//  POST /api/media?id=<mediaId>  raw file body -> { mediaId, size }
+//                                (409 if the id is taken, 413 if too large)
+//  GET  /api/media?id=<mediaId>  -> { mediaId, size } or 404 if not uploaded
+import {
+  MAX_MEDIA_BYTES,
+  getMediaSize,
+  isValidMediaId,
+  saveMediaStream,
+} from "../../utils/renderMedia";
+
+// Files are streamed to disk, not buffered by Next's body parser
+export const config = {
+  api: { bodyParser: false },
+};
+
+export default async function handler(req, res) {
+  const { id } = req.query;
+  if (!isValidMediaId(id)) {
+    return res.status(400).json({ error: "Missing or invalid media id" });
+  }
+
+  if (req.method === "GET") {
+    const size = getMediaSize(id);
+    if (size == null) return res.status(404).json({ error: "Media not found" });
+    return res.status(200).json({ mediaId: id, size });
+  }
+
+  if (req.method === "POST") {
+    if (getMediaSize(id) != null) {
+      return res.status(409).json({ error: "Media already uploaded" });
+    }
+    if (Number(req.headers["content-length"]) > MAX_MEDIA_BYTES) {
+      return res.status(413).json({ error: "Media is too large" });
+    }
+    try {
+      const size = await saveMediaStream(id, req);
+      return res.status(201).json({ mediaId: id, size });
+    } catch (err) {
+      if (err.code === "EEXIST") {
+        return res.status(409).json({ error: "Media already uploaded" });
+      }
+      if (err.code === "EFBIG") {
+        return res.status(413).json({ error: "Media is too large" });
+      }
+      console.error("❌ Media upload failed:", err);
+      return res.status(500).json({ error: "Failed to store media" });
+    }
+  }
+
+  res.setHeader("Allow", "GET, POST");
+  return res.status(405).json({ error: "Method not allowed" });
+}
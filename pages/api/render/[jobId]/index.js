@@ -0,0 +1,20 @@
+// GET    /api/render/<jobId>  -> { job } (status and progress)
+// DELETE /api/render/<jobId>  -> { job } (cancels a queued or running render)
+import { cancelRenderJob, describeJob, getRenderJob } from "../../../../utils/renderJobs";
+
+export default function handler(req, res) {
+  const { jobId } = req.query;
+  const job = getRenderJob(jobId);
+  if (!job) return res.status(404).json({ error: "Render job not found" });
+
+  if (req.method === "GET") {
+    return res.status(200).json({ job: describeJob(job) });
+  }
+
+  if (req.method === "DELETE") {
+    return res.status(200).json({ job: describeJob(cancelRenderJob(jobId)) });
+  }
+
+  res.setHeader("Allow", "GET, DELETE");
+  return res.status(405).json({ error: "Method not allowed" });
+}
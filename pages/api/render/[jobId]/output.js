@@ -0,0 +1,28 @@
+// GET /api/render/<jobId>/output  -> the rendered MP4 once the job is done
+import fs from "fs";
+import { getRenderJob } from "../../../../utils/renderJobs";
+
+export default function handler(req, res) {
+  if (req.method !== "GET") {
+    res.setHeader("Allow", "GET");
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const job = getRenderJob(req.query.jobId);
+  if (!job) return res.status(404).json({ error: "Render job not found" });
+  if (job.status !== "done") {
+    return res.status(409).json({ error: `Render is ${job.status}` });
+  }
+
+  let size;
+  try {
+    size = fs.statSync(job.outputPath).size;
+  } catch {
+    return res.status(410).json({ error: "Render output has expired" });
+  }
+
+  res.setHeader("Content-Type", "video/mp4");
+  res.setHeader("Content-Length", size);
+  res.setHeader("Content-Disposition", `attachment; filename="render-${job.id}.mp4"`);
+  fs.createReadStream(job.outputPath).pipe(res);
+}
@@ -0,0 +1,80 @@
+// POST /api/render  { project, settings? } -> 202 { job }
+//
+// `project` is a project document as written by Save (any supported schema
+// version). Clip media must be on the server: uploaded through /api/media
+// under the clip's mediaId, or shipped in public/. Remote URLs are not
+// fetched.
+// Poll GET /api/render/<jobId> for progress and fetch the file from
+// /api/render/<jobId>/output once the job is done.
+import { readProject } from "../../../utils/projectFile";
+import { RENDER_DEFAULTS } from "../../../utils/renderGraph";
+import { createRenderJob, describeJob } from "../../../utils/renderJobs";
+import { resolveClipInput } from "../../../utils/renderMedia";
+import { getClipLength, isMediaClip } from "../../../utils/timelineEngine";
+
+export const config = {
+  api: { bodyParser: { sizeLimit: "10mb" } },
+};
+
+const clampNumber = (value, min, max, fallback) => {
+  const n = Number(value);
+  return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback;
+};
+
+// Client settings, bounded to what the server is willing to render
+function readSettings(settings = {}) {
+  return {
+    width: Math.round(clampNumber(settings.width, 16, 3840, RENDER_DEFAULTS.width)),
+    height: Math.round(clampNumber(settings.height, 16, 2160, RENDER_DEFAULTS.height)),
+    fps: clampNumber(settings.fps, 1, 60, RENDER_DEFAULTS.fps),
+    videoBitrate: Math.round(
+      clampNumber(settings.videoBitrate, 100_000, 50_000_000, RENDER_DEFAULTS.videoBitrate)
+    ),
+    audioBitrate: Math.round(
+      clampNumber(settings.audioBitrate, 32_000, 320_000, RENDER_DEFAULTS.audioBitrate)
+    ),
+    burnSubtitles: settings.burnSubtitles !== false,
+  };
+}
+
+export default function handler(req, res) {
+  if (req.method !== "POST") {
+    res.setHeader("Allow", "POST");
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  let clips;
+  let tracks;
+  let background;
+  try {
+    ({ clips, tracks, background } = readProject(req.body?.project));
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  const missing = clips.filter(
+    (c) =>
+      isMediaClip(c) &&
+      getClipLength(c) > 0 &&
+      !resolveClipInput(c)
+  );
+  if (missing.length) {
+    return res.status(400).json({
+      error: "Some clips have no media on the server; upload them to /api/media first",
+      missingMediaIds: [...new Set(missing.map((c) => c.mediaId).filter(Boolean))],
+      missingClipIds: missing.map((c) => c.id),
+    });
+  }
+
+  try {
+    const job = createRenderJob({
+      clips,
+      tracks,
+      background,
+      settings: readSettings(req.body?.settings),
+    });
+    return res.status(202).json({ job: describeJob(job) });
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+}
@@ -9,9 +9,110 @@ import {
   getImageThumbnail,
 } from "../utils/thumbnailExtractor";
 import AudioPlayer from "../components/AudioPlayer";
+import { HardDrive, Download, Keyboard } from "lucide-react";
+import ProjectMenu from "../components/ProjectMenu";
+import StorageManager from "../components/StorageManager";
+import ExportDialog from "../components/ExportDialog";
+import AddTextMenu from "../components/AddTextMenu";
+import ClipInspector from "../components/ClipInspector";
+import TransitionPalette from "../components/TransitionPalette";
+import MarkerPanel from "../components/MarkerPanel";
+import SubtitlePanel from "../components/SubtitlePanel";
+import ShortcutSheet from "../components/ShortcutSheet";
+import {
+  serializeProject,
+  parseProject,
+  readProject,
+  downloadProject,
+} from "../utils/projectFile";
+import { useHistory } from "../utils/useHistory";
+import { usePlaybackClock } from "../utils/usePlaybackClock";
+import { saveProjectDoc, loadProjectDoc } from "../utils/mediaStore";
+import { persistUpload, hydrateClip } from "../utils/mediaLibrary";
+import { createTextClip } from "../utils/textClips";
+import { createTransition } from "../utils/transitions";
+import { DEFAULT_BACKGROUND } from "../utils/compositor";
+import {
+  createClipboard,
+  getClipboardClips,
+  pasteClips,
+  readClipboard,
+  writeClipboard,
+} from "../utils/clipboard";
+import {
+  SUBTITLE_TRACK_KEY,
+  getTrackState,
+  isClipLocked,
+  updateTrack,
+} from "../utils/tracks";
+import { DEFAULT_SNAP_SETTINGS } from "../utils/snapping";
+import {
+  DEFAULT_BINDINGS,
+  eventToCombo,
+  findShortcut,
+  isEditableTarget,
+  loadBindings,
+  saveBindings,
+} from "../utils/shortcuts";
+import {
+  addMarker,
+  createMarker,
+  getAdjacentMarker,
+  removeMarker,
+  updateMarker,
+} from "../utils/markers";
+import {
+  createSubtitleClip,
+  getSubtitleClips,
+  mergeWithNextSubtitle,
+  parseSubtitles,
+} from "../utils/subtitles";
+import {
+  DEFAULT_EDIT_SETTINGS,
+  closeGaps,
+  getTimelineEnd,
+  getVisualTrackCount,
+  isAudibleClip,
+  isGapClip,
+  isMainTrackClip,
+  isMediaClip,
+  sortByStart,
+  layerAudioClips,
+  moveClips,
+  updateClip,
+  insertClip,
+  insertOverlayClip,
+  splitClip,
+  splitClipsAtTime,
+  deleteClips,
+  detachAudio,
+  reattachAudio,
+} from "../utils/timelineEngine";
+
+// Delay between the last edit and the IndexedDB autosave
+const AUTOSAVE_DELAY_MS = 1000;
+
+// One frame at 30 fps: the step of , / . and of Alt+arrow nudges
+const FRAME_STEP = 1 / 30;
+
+// Fastest J / L shuttle (each press doubles the rate up to this)
+const MAX_SHUTTLE_RATE = 4;
 
 export default function Home() {
-  const [clips, setClips] = useState([
+  // Clips live in an undo/redo history; every setClips call is one step
+  const {
+    present: clips,
+    set: setClips,
+    undo,
+    redo,
+    reset: resetClips,
+    beginGroup: beginHistoryGroup,
+    endGroup: endHistoryGroup,
+    canUndo,
+    canRedo,
+    past: undoSteps,
+    future: redoSteps,
+  } = useHistory([
     {
       id: "default-clip",
       type: "video",
@@ -29,18 +130,61 @@ export default function Home() {
     },
   ]);
 
-  const [selectedClipId, setSelectedClipId] = useState("default-clip");
+  // Selected clips (shift / ctrl-click, marquee); the last one picked is the
+  // one the inspector shows
+  const [selectedClipIds, setSelectedClipIds] = useState(["default-clip"]);
+  const selectedClipId = selectedClipIds[selectedClipIds.length - 1] ?? null;
+  const setSelectedClipId = useCallback(
+    (clipId) => setSelectedClipIds(clipId ? [clipId] : []),
+    []
+  );
   const [currentTime, setCurrentTime] = useState(0); // seconds (global timeline time)
   const [isPlaying, setIsPlaying] = useState(false);
+  // Transport rate: 1 normally, faster or negative while shuttling (J / L)
+  const [shuttleRate, setShuttleRate] = useState(1);
   const [totalDuration, setTotalDuration] = useState(10);
   const [videoZoom, setVideoZoom] = useState(1);
+  const [timelineZoom, setTimelineZoom] = useState(1);
+  const [snapping, setSnapping] = useState(DEFAULT_SNAP_SETTINGS);
+  const [editSettings, setEditSettings] = useState(DEFAULT_EDIT_SETTINGS);
+  const [projectName, setProjectName] = useState("Untitled project");
   const [seekAudio, setSeekAudio] = useState(0);
+  const [isStorageOpen, setIsStorageOpen] = useState(false);
+  const [isExportOpen, setIsExportOpen] = useState(false);
+  const [isShortcutSheetOpen, setIsShortcutSheetOpen] = useState(false);
+  // Key bindings, with the user's remapping (see utils/shortcuts.js)
+  const [shortcutBindings, setShortcutBindings] = useState(DEFAULT_BINDINGS);
+  // In / out points set with I and O (sec, null when unset)
+  const [inPoint, setInPoint] = useState(null);
+  const [outPoint, setOutPoint] = useState(null);
+  // Mute / solo / lock / hide / volume / pan per track (see utils/tracks.js)
+  const [tracks, setTracks] = useState({});
+  // Timeline markers (see utils/markers.js)
+  const [markers, setMarkers] = useState([]);
+  // Colour behind the picture, shown in main-track gaps
+  const [background, setBackground] = useState(DEFAULT_BACKGROUND);
+  // Autosave stays off until the previous session has been restored
+  const [isRestored, setIsRestored] = useState(false);
 
   const clipsRef = useRef(clips);
   useEffect(() => {
     clipsRef.current = clips;
   }, [clips]);
 
+  const currentTimeRef = useRef(currentTime);
+  useEffect(() => {
+    currentTimeRef.current = currentTime;
+  }, [currentTime]);
+
+  const tracksRef = useRef(tracks);
+  useEffect(() => {
+    tracksRef.current = tracks;
+  }, [tracks]);
+
+  // Clips on locked tracks can't be edited; the timeline engine leaves them
+  // alone when given this as `isLocked`
+  const isLocked = (clip) => !!clip && isClipLocked(clip, tracksRef.current);
+
   // If you want to call methods on AudioPlayer you can add a ref and wire methods there
   const audioPlayerRef = useRef(null);
 
@@ -54,7 +198,7 @@ export default function Home() {
 
   // Load default video metadata + thumbnail for default clip
   useEffect(() => {
-    const defaultClip = clips.find((c) => c.id === "default-clip");
+    const defaultClip = clipsRef.current.find((c) => c.id === "default-clip");
     if (!defaultClip) return;
 
     const loadDefaultMetadata = async () => {
@@ -76,17 +220,19 @@ export default function Home() {
             console.warn("⚠️ Failed to extract default video thumbnail:", err);
           }
 
-          setClips((prev) =>
-            prev.map((c) =>
-              c.id === "default-clip"
-                ? {
-                    ...c,
-                    duration: durationSec,
-                    endTime: durationSec,
-                    thumbnail,
-                  }
-                : c
-            )
+          setClips(
+            (prev) =>
+              prev.map((c) =>
+                c.id === "default-clip"
+                  ? {
+                      ...c,
+                      duration: durationSec,
+                      endTime: durationSec,
+                      thumbnail,
+                    }
+                  : c
+              ),
+            { record: false }
           );
           setTotalDuration(durationSec);
         };
@@ -96,55 +242,21 @@ export default function Home() {
     };
 
     loadDefaultMetadata();
-  }, []);
+  }, [setClips]);
 
   // Auto-calculate total timeline duration (visuals only)
   useEffect(() => {
     if (!clips.length) return;
 
-    const visualClips = clips.filter(
-      (c) => c.type === "video" || c.type === "image"
-    );
-    const maxVisualEnd =
-      visualClips.length > 0
-        ? Math.max(...visualClips.map((c) => c.endTime))
-        : 0;
-
-    setTotalDuration(maxVisualEnd);
+    setTotalDuration(getTimelineEnd(clips));
   }, [clips]);
 
-  // Handle clip end: move to next visual or stop
-  const handleClipEnd = useCallback(
-    (endedClipId) => {
-      const visualClips = clipsRef.current
-        .filter((c) => c.type === "video" || c.type === "image")
-        .sort((a, b) => a.startTime - b.startTime);
-
-      const currentVisualIndex = visualClips.findIndex(
-        (c) => c.id === endedClipId
-      );
-
-      if (
-        currentVisualIndex !== -1 &&
-        currentVisualIndex < visualClips.length - 1
-      ) {
-        const nextClip = visualClips[currentVisualIndex + 1];
-
-        setSelectedClipId(nextClip.id);
-        setCurrentTime(nextClip.startTime);
-
-        // Continue playback
-        if (isPlaying) {
-          setTimeout(() => setIsPlaying(true), 50);
-        }
-      } else {
-        // End of timeline
-        setIsPlaying(false);
-        stopAllAudio();
-      }
-    },
-    [isPlaying, stopAllAudio]
-  );
+  // Reached the end of the timeline: stop the transport
+  const handlePlaybackEnd = useCallback(() => {
+    setIsPlaying(false);
+    setShuttleRate(1);
+    stopAllAudio();
+  }, [stopAllAudio]);
 
   // Media upload (video/image/audio)
   const handleMediaUpload = async (file, type) => {
@@ -163,31 +275,6 @@ export default function Home() {
 
     const duration = await getDuration();
 
-    let startTime = 0;
-    let track = 0;
-    if (type === "video" || type === "image") {
-      const visualClips = clipsRef.current.filter(
-        (c) => c.type === "video" || c.type === "image"
-      );
-      startTime =
-        visualClips.length > 0
-          ? Math.max(...visualClips.map((c) => c.endTime))
-          : 0;
-      track = 0;
-    } else if (type === "audio") {
-      const audioClips = clipsRef.current.filter((c) => c.type === "audio");
-      startTime =
-        audioClips.length > 0
-          ? Math.max(...audioClips.map((c) => c.endTime))
-          : 0;
-
-      // Find the lowest free audio track (layering)
-      const usedTracks = new Set(audioClips.map((c) => c.track));
-      let nextTrack = 0;
-      while (usedTracks.has(nextTrack)) nextTrack++;
-      track = nextTrack;
-    }
-
     let thumbnail = null;
     try {
       if (type === "video")
@@ -198,117 +285,473 @@ export default function Home() {
       console.error("Thumbnail extraction failed:", error);
     }
 
+    const mediaId = await persistUpload(file, type, thumbnail);
+
     const newClip = {
       id: `clip-${Date.now()}`,
       type,
       url,
+      mediaId,
       fileName: file.name,
       mimeType: file.type || (type === "audio" ? "audio/mpeg" : "video/mp4"),
       duration,
-      startTime,
-      endTime: startTime + duration,
       trimStart: 0,
       trimEnd: 0,
       hasAudio: type === "video" || type === "audio",
       thumbnail,
-      track,
     };
 
-    setClips((prev) => fixAudioTrackLayers([...prev, newClip]));
+    // Placed after the last clip of its kind (audio on the lowest free layer)
+    setClips((prev) => insertClip(prev, newClip));
 
     if (!selectedClipId) setSelectedClipId(newClip.id);
   };
 
-  // Split audio clip
-  const handleSplitAudio = (clipId, splitTime) => {
-    setClips((prevClips) => {
-      const updated = [...prevClips];
-      const index = updated.findIndex((c) => c.id === clipId);
-      if (index === -1) return updated;
+  // Save the whole edit as a versioned project file
+  const handleSaveProject = () => {
+    downloadProject(
+      serializeProject({
+        clips: clipsRef.current,
+        tracks,
+        markers,
+        background,
+        selectedClipId,
+        timelineZoom,
+        videoZoom,
+        currentTime,
+        name: projectName,
+      })
+    );
+  };
 
-      const clip = updated[index];
+  // Put a parsed project (see utils/projectFile) back into the editor
+  const applyProject = useCallback(
+    (project, restoredClips) => {
+      stopAllAudio();
+      setIsPlaying(false);
+      resetClips(layerAudioClips(restoredClips));
+      setTracks(project.tracks);
+      setMarkers(project.markers);
+      setBackground(project.background);
+      setSelectedClipId(project.selectedClipId);
+      setTimelineZoom(project.timelineZoom);
+      setVideoZoom(project.videoZoom);
+      setProjectName(project.name);
+      setCurrentTime(project.currentTime);
+      setSeekAudio((t) => t + 1);
+    },
+    [stopAllAudio, resetClips, setSelectedClipId]
+  );
 
-      if (
-        splitTime <= clip.startTime + 0.05 ||
-        splitTime >= clip.endTime - 0.05
-      )
-        return updated;
-
-      const totalVisibleDuration =
-        clip.duration - clip.trimStart - clip.trimEnd;
-      const splitOffset = splitTime - clip.startTime;
-      const splitRelative = clip.trimStart + splitOffset;
-
-      const firstPart = {
-        ...clip,
-        id: `${clip.id}-part1-${Date.now()}`,
-        endTime: splitTime,
-        trimStart: clip.trimStart,
-        trimEnd: clip.duration - splitRelative,
-      };
-
-      const secondPart = {
-        ...clip,
-        id: `${clip.id}-part2-${Date.now()}`,
-        startTime: splitTime,
-        trimStart: splitRelative,
-        trimEnd: clip.trimEnd,
-      };
-
-      updated.splice(index, 1, firstPart, secondPart);
-      return updated;
-    });
-  };
+  // Open a project file; media files picked alongside it relink clips by name
+  const handleOpenProject = async (files) => {
+    const projectFile = files.find(
+      (f) => f.name.endsWith(".json") || f.type === "application/json"
+    );
+    if (!projectFile) {
+      alert("Select a project file (.json) to open.");
+      return;
+    }
+
+    let project;
+    try {
+      project = parseProject(await projectFile.text());
+    } catch (err) {
+      console.error("Failed to open project:", err);
+      alert(`Could not open project: ${err.message}`);
+      return;
+    }
 
-  // Arrange overlapping audio tracks into layers (track numbers)
-  const fixAudioTrackLayers = (clipsArr) => {
-    const audioClips = clipsArr.filter((c) => c.type === "audio");
-    const sorted = [...audioClips].sort((a, b) => a.startTime - b.startTime);
-    const layers = [];
-
-    sorted.forEach((clip) => {
-      let placed = false;
-      for (const layer of layers) {
-        const last = layer[layer.length - 1];
-        if (clip.startTime >= last.endTime) {
-          layer.push(clip);
-          placed = true;
-          break;
+    const mediaByName = new Map(
+      files.filter((f) => f !== projectFile).map((f) => [f.name, f])
+    );
+
+    // A relinked file is stored once; every clip cut from it shares that
+    const relinked = new Map(); // fileName -> Promise of the first clip
+    const restoredClips = await Promise.all(
+      project.clips.map(async (clip) => {
+        const file = mediaByName.get(clip.fileName);
+        if (!file || !isMediaClip(clip)) return hydrateClip(clip);
+        if (!relinked.has(file.name)) {
+          relinked.set(file.name, hydrateClip(clip, file));
         }
+        const first = await relinked.get(file.name);
+        if (first.id === clip.id) return first;
+        const { url, thumbnail, mediaId } = first;
+        return { ...clip, url, thumbnail, mediaId };
+      })
+    );
+
+    applyProject(project, restoredClips);
+  };
+
+  // Restore the autosaved session (media comes back from IndexedDB)
+  useEffect(() => {
+    let cancelled = false;
+
+    const restoreSession = async () => {
+      try {
+        const doc = await loadProjectDoc();
+        if (!doc || cancelled) return;
+
+        const project = readProject(doc);
+        const restoredClips = await Promise.all(
+          project.clips.map((clip) => hydrateClip(clip))
+        );
+        if (!cancelled) applyProject(project, restoredClips);
+      } catch (err) {
+        console.warn("⚠️ Failed to restore autosaved project:", err);
+      } finally {
+        if (!cancelled) setIsRestored(true);
       }
-      if (!placed) layers.push([clip]);
-    });
+    };
 
-    const layered = layers.flatMap((layer, i) =>
-      layer.map((clip) => ({ ...clip, track: i }))
+    restoreSession();
+    return () => {
+      cancelled = true;
+    };
+  }, [applyProject]);
+
+  // Autosave the project to IndexedDB shortly after every change
+  useEffect(() => {
+    if (!isRestored) return;
+
+    const timer = setTimeout(() => {
+      saveProjectDoc(
+        serializeProject({
+          clips,
+          tracks,
+          markers,
+          background,
+          selectedClipId,
+          timelineZoom,
+          videoZoom,
+          currentTime: currentTimeRef.current,
+          name: projectName,
+        })
+      ).catch((err) => console.warn("⚠️ Autosave failed:", err));
+    }, AUTOSAVE_DELAY_MS);
+
+    return () => clearTimeout(timer);
+  }, [
+    isRestored,
+    clips,
+    tracks,
+    markers,
+    background,
+    selectedClipId,
+    timelineZoom,
+    videoZoom,
+    projectName,
+  ]);
+
+  const makeSplitIds = (clipId, stamp) => [
+    `${clipId}-part1-${stamp}`,
+    `${clipId}-part2-${stamp}`,
+  ];
+
+  // Split one clip (any type) at a timeline time
+  const handleSplitClip = (clipId, splitTime) => {
+    const stamp = Date.now();
+    // Cutting a clip of a multi-selection cuts the whole selection there
+    if (selectedClipIds.length > 1 && selectedClipIds.includes(clipId)) {
+      setClips((prev) =>
+        splitClipsAtTime(prev, splitTime, {
+          makeIds: (clip) => makeSplitIds(clip.id, stamp),
+          filter: (clip) => selectedClipIds.includes(clip.id),
+          isLocked,
+        })
+      );
+      return;
+    }
+    setClips((prev) =>
+      splitClip(prev, clipId, splitTime, {
+        ids: makeSplitIds(clipId, stamp),
+        isLocked,
+      })
     );
+  };
 
-    return clipsArr.map((c) => {
-      const match = layered.find((a) => a.id === c.id);
-      return match ? { ...c, track: match.track } : c;
-    });
+  // Cut every clip under the playhead, on all tracks (only the selected
+  // clips when there are several)
+  const handleSplitAtPlayhead = () => {
+    const stamp = Date.now();
+    const isCut = (clip) =>
+      selectedClipIds.length < 2 || selectedClipIds.includes(clip.id);
+    setClips((prev) =>
+      splitClipsAtTime(prev, currentTime, {
+        makeIds: (clip) => makeSplitIds(clip.id, stamp),
+        filter: isCut,
+        isLocked,
+      })
+    );
   };
 
-  const handleAutoLayerFix = (updatedClips) => {
-    const fixed = fixAudioTrackLayers(updatedClips);
-    setClips(fixed);
+  // Move a video's sound onto its own audio clip, and back
+  const handleDetachAudio = (clipId) => {
+    const id = `${clipId}-audio-${Date.now()}`;
+    setClips((prev) => detachAudio(prev, clipId, { id, isLocked }));
+  };
+
+  const handleReattachAudio = (clipId) => {
+    setClips((prev) => reattachAudio(prev, clipId, { isLocked }));
+  };
+
+  // New text clip on top of the picture, starting at the playhead
+  const handleAddText = (preset) => {
+    const clip = createTextClip({ id: `text-${Date.now()}`, preset });
+    setClips((prev) =>
+      insertOverlayClip(prev, clip, currentTime, { isLocked })
+    );
+    setSelectedClipId(clip.id);
   };
 
-  // Timeline & Player handlers
-  const handleClipUpdate = (clipId, updates) => {
+  // Transition dropped on the cut in front of a main-track clip; keeps the
+  // duration of a transition it replaces
+  const handleTransitionDrop = (clipId, type) => {
     setClips((prev) => {
-      const updated = prev.map((c) =>
-        c.id === clipId ? { ...c, ...updates } : c
+      const clip = prev.find((c) => c.id === clipId);
+      if (!clip) return prev;
+      return updateClip(
+        prev,
+        clipId,
+        { transition: createTransition(type, clip.transition?.duration) },
+        { isLocked }
       );
-      if (
-        updates.trimStart !== undefined ||
-        updates.trimEnd !== undefined ||
-        updates.startTime !== undefined
-      ) {
-        return autoReflowClips(updated);
-      }
-      return updated;
     });
+    setSelectedClipId(clipId);
+  };
+
+  // Cues of an .srt / .vtt file added to the subtitle track (one undo step)
+  const handleImportSubtitles = (text) => {
+    if (getTrackState(tracks, SUBTITLE_TRACK_KEY).locked) return;
+    let cues;
+    try {
+      cues = parseSubtitles(text);
+    } catch (err) {
+      console.error("❌ Failed to import subtitles:", err);
+      alert(`Could not import subtitles: ${err.message}`);
+      return;
+    }
+    const stamp = Date.now();
+    setClips((prev) => [
+      ...prev,
+      ...cues.map((cue, i) =>
+        createSubtitleClip({
+          id: `subtitle-${stamp}-${i}`,
+          startTime: cue.start,
+          endTime: cue.end,
+          text: cue.text,
+        })
+      ),
+    ]);
+  };
+
+  const handleAddSubtitle = () => {
+    const clip = createSubtitleClip({
+      id: `subtitle-${Date.now()}`,
+      startTime: currentTimeRef.current,
+      text: "New subtitle",
+    });
+    if (isLocked(clip)) return;
+    setClips((prev) => [...prev, clip]);
+    setSelectedClipId(clip.id);
+  };
+
+  const handleMergeSubtitle = (clipId) => {
+    setClips((prev) =>
+      isLocked(prev.find((c) => c.id === clipId))
+        ? prev
+        : mergeWithNextSubtitle(prev, clipId)
+    );
+  };
+
+  const handleAutoLayerFix = (updatedClips) => {
+    setClips(layerAudioClips(updatedClips, { isLocked }));
+  };
+
+  // Timeline & Player handlers. Timing edits follow the edit mode; a drag
+  // passes the clips as they were when it started (`baseClips`) so every
+  // step is applied to those rather than on top of the previous step.
+  const handleClipUpdate = (clipId, updates, baseClips = null) => {
+    const stamp = Date.now();
+    setClips((prev) =>
+      updateClip(baseClips || prev, clipId, updates, {
+        ...editSettings,
+        isLocked,
+        makeId: (clip) => makeSplitIds(clip.id, stamp)[1],
+      })
+    );
+  };
+
+  // Move several clips by the same amount, following the edit mode (see
+  // moveClips); clips on locked tracks stay put
+  const moveUnlockedClips = (base, clipIds, deltaTime) => {
+    const stamp = Date.now();
+    return moveClips(base, clipIds, deltaTime, {
+      ...editSettings,
+      isLocked,
+      makeId: (clip) => makeSplitIds(clip.id, stamp)[1],
+    });
+  };
+
+  // Clipboard: shared with the editor's other tabs (see utils/clipboard.js)
+  const handleCopy = () => {
+    const clipboard = createClipboard(clipsRef.current, selectedClipIds);
+    return !!clipboard && writeClipboard(clipboard);
+  };
+
+  // Selected clips that can be removed (not on locked tracks)
+  const getDeletableIds = () =>
+    selectedClipIds.filter(
+      (id) => !isLocked(clipsRef.current.find((c) => c.id === id))
+    );
+
+  // Deletes the selected clips; ones on locked tracks are kept (and stay
+  // selected). The main track closes up behind them as the edit mode says,
+  // or keeps a gap with `leaveGap` (see deleteClips). False if nothing could
+  // be deleted.
+  const handleDeleteSelected = ({ leaveGap = false } = {}) => {
+    const ids = getDeletableIds();
+    if (!ids.length) return false;
+    setClips((prev) =>
+      deleteClips(prev, ids, { ...editSettings, leaveGap, isLocked })
+    );
+    setSelectedClipIds((prev) => prev.filter((id) => !ids.includes(id)));
+    return true;
+  };
+
+  // Copies just what it deletes: clips on locked tracks stay where they are
+  // and out of the clipboard
+  const handleCut = () => {
+    const clipboard = createClipboard(clipsRef.current, getDeletableIds());
+    if (!clipboard || !writeClipboard(clipboard)) return false;
+    return handleDeleteSelected();
+  };
+
+  // Put a clipboard's clips on the timeline from `time` on and select them.
+  // Media already loaded in this tab is reused; anything else (e.g. copied
+  // in another tab) is loaded again from the media store.
+  const placeClipboard = async (clipboard, time) => {
+    const stamp = Date.now();
+    const copies = await Promise.all(
+      getClipboardClips(clipboard, (clip) => `${clip.id}-copy-${stamp}`).map(
+        (clip) => {
+          const loaded = clipsRef.current.find(
+            (c) => c.url && c.url === clip.url
+          );
+          return loaded
+            ? { ...clip, thumbnail: loaded.thumbnail }
+            : hydrateClip(clip);
+        }
+      )
+    );
+    setClips((prev) =>
+      pasteClips(prev, copies, time, {
+        ...editSettings,
+        isLocked,
+        makeId: (clip) => makeSplitIds(clip.id, stamp)[1],
+      })
+    );
+    setSelectedClipIds(copies.map((c) => c.id));
+  };
+
+  const handlePaste = () => {
+    const clipboard = readClipboard();
+    if (clipboard) placeClipboard(clipboard, currentTimeRef.current);
+  };
+
+  // Copies of the selected clips, right after the last of them
+  const handleDuplicate = () => {
+    const clipboard = createClipboard(clipsRef.current, selectedClipIds);
+    if (!clipboard) return;
+    const selected = clipsRef.current.filter((c) =>
+      selectedClipIds.includes(c.id)
+    );
+    placeClipboard(clipboard, Math.max(...selected.map((c) => c.endTime)));
+  };
+
+  // Group drag on the timeline (audio layers are fixed on drop)
+  const handleClipsMove = (clipIds, deltaTime, baseClips = null) => {
+    setClips((prev) =>
+      moveUnlockedClips(baseClips || prev, clipIds, deltaTime)
+    );
+  };
+
+  const handleNudge = (deltaTime) => {
+    setClips((prev) =>
+      layerAudioClips(moveUnlockedClips(prev, selectedClipIds, deltaTime), {
+        isLocked,
+      })
+    );
+  };
+
+  // Inspector edits go to the clip it shows; a gain change goes to every
+  // selected clip with sound
+  const handleInspectorUpdate = (updates) => {
+    if (updates.gain === undefined || selectedClipIds.length < 2) {
+      handleClipUpdate(selectedClipId, updates);
+      return;
+    }
+    setClips((prev) =>
+      prev.map((c) =>
+        selectedClipIds.includes(c.id) && isAudibleClip(c) && !isLocked(c)
+          ? { ...c, gain: updates.gain }
+          : c
+      )
+    );
+  };
+
+  // Remove gaps on the main track (all of them when `gapIds` is null),
+  // pulling the shots after each one back (not while the track is locked)
+  const handleCloseGaps = (gapIds = null) => {
+    setClips((prev) =>
+      closeGaps(prev, gapIds, {
+        rippleAudio: editSettings.rippleAudio,
+        isLocked,
+      })
+    );
+    if (gapIds) {
+      setSelectedClipIds((prev) => prev.filter((id) => !gapIds.includes(id)));
+    }
+  };
+
+  const handleTrackChange = (trackKey, updates) => {
+    setTracks((prev) => updateTrack(prev, trackKey, updates));
+  };
+
+  // Output level of the master or a track, for the timeline's meters
+  const getLevels = (key) => audioPlayerRef.current?.getLevels?.(key) ?? null;
+
+  // Markers: added at the playhead, jumped between with [ and ]
+  const handleAddMarker = () => {
+    setMarkers((prev) =>
+      addMarker(
+        prev,
+        createMarker({
+          id: `marker-${Date.now()}`,
+          time: currentTimeRef.current,
+          markers: prev,
+        })
+      )
+    );
+  };
+
+  const handleMarkerChange = (markerId, updates) => {
+    setMarkers((prev) => updateMarker(prev, markerId, updates));
+  };
+
+  const handleRemoveMarker = (markerId) => {
+    setMarkers((prev) => removeMarker(prev, markerId));
+  };
+
+  const handleJumpToMarker = (direction) => {
+    const marker = getAdjacentMarker(
+      markers,
+      currentTimeRef.current,
+      direction
+    );
+    if (marker) handleSeek(marker.time);
   };
 
   const handleClipSelect = (clip) => {
@@ -318,12 +761,6 @@ export default function Home() {
     stopAllAudio();
     setSeekAudio((t) => t + 1);
   };
-  const activeVisualType = (() => {
-    const visual = clips
-      .filter((c) => c.type === "video" || c.type === "image")
-      .find((c) => currentTime >= c.startTime && currentTime < c.endTime);
-    return visual?.type; // 'image' | 'video' | undefined
-  })();
 
   const handleSeek = (time, clipId = null) => {
     const wasPlaying = isPlaying;
@@ -336,175 +773,188 @@ export default function Home() {
     }
     // stop elements immediately (don’t flip transport here)
     audioPlayerRef.current?.stopAll?.();
-    // force AudioPlayer to re-seek its <audio> elements to the new offset
+    // make AudioPlayer reschedule its sound from the new offset
     setSeekAudio((t) => t + 1);
     // resume only if we were playing pre-seek
     if (wasPlaying) setTimeout(() => setIsPlaying(true), 50);
   };
 
-  const handlePlayPause = () => setIsPlaying((prev) => !prev);
-
-  // Time update from the visual player (maps local clip time -> global timeline)
-  const handleTimeUpdate = (timeSec, clipId) => {
-    const currentClip = clipsRef.current.find((c) => c.id === clipId);
-    if (!currentClip || !isPlaying) return;
+  const handlePlayPause = () => {
+    // Pressing play at the very end starts over from the beginning
+    if (!isPlaying && currentTime >= totalDuration && totalDuration > 0) {
+      handleSeek(0);
+    }
+    setShuttleRate(1);
+    setIsPlaying((prev) => !prev);
+  };
 
-    const relativeTime = Math.max(0, timeSec - currentClip.trimStart);
-    const globalTime = currentClip.startTime + relativeTime;
+  // Timeline clock: drives currentTime while playing; media follows it
+  usePlaybackClock({
+    isPlaying,
+    getTime: () => currentTimeRef.current,
+    seekToken: seekAudio,
+    duration: totalDuration,
+    rate: shuttleRate,
+    getAudioTime: () => audioPlayerRef.current?.getPlaybackTime() ?? null,
+    onTick: setCurrentTime,
+    onEnd: handlePlaybackEnd,
+  });
+
+  // Ensure at least one clip selected (and drop selections undone away)
+  useEffect(() => {
+    const kept = selectedClipIds.filter((id) => clips.some((c) => c.id === id));
+    if (kept.length !== selectedClipIds.length) {
+      setSelectedClipIds(kept);
+    } else if (clips.length && !kept.length) {
+      setSelectedClipId(clips[0].id);
+    }
+  }, [clips, selectedClipIds, setSelectedClipId]);
 
-    const epsilon = 0.05; // 50ms tolerance to avoid stopping early
+  const handleUndo = useCallback(() => {
+    stopAllAudio();
+    undo();
+    setSeekAudio((t) => t + 1);
+  }, [undo, stopAllAudio]);
 
-    if (globalTime < currentClip.endTime - epsilon) {
-      setCurrentTime(globalTime);
-    } else if (globalTime >= currentClip.endTime - epsilon && isPlaying) {
-      // Snap exactly to the clip’s end and trigger stop
-      setCurrentTime(currentClip.endTime);
-      handleClipEnd(currentClip.id);
+  const handleRedo = useCallback(() => {
+    stopAllAudio();
+    redo();
+    setSeekAudio((t) => t + 1);
+  }, [redo, stopAllAudio]);
+
+  // Shuttle (J / L): each press plays faster in its direction, K stops
+  const handleShuttle = (direction) => {
+    const rate =
+      isPlaying && Math.sign(shuttleRate) === direction
+        ? Math.sign(shuttleRate) *
+          Math.min(MAX_SHUTTLE_RATE, Math.abs(shuttleRate) * 2)
+        : direction;
+    const time = currentTimeRef.current;
+    if (direction > 0 && time >= totalDuration && totalDuration > 0) {
+      handleSeek(0);
     }
+    if (direction < 0 && time <= 0) return;
+    setShuttleRate(rate);
+    setIsPlaying(true);
   };
 
-  // Find current visual clip and return data for VideoPlayer
-  const getCurrentClip = useCallback(() => {
-    const visualClips = clips
-      .filter((c) => c.type === "video" || c.type === "image")
-      .sort((a, b) => a.startTime - b.startTime);
+  const handleStop = () => {
+    setIsPlaying(false);
+    setShuttleRate(1);
+  };
 
-    let activeClip = visualClips.find(
-      (c) => currentTime >= c.startTime && currentTime < c.endTime
-    );
+  const handleStep = (deltaTime) => {
+    const time = currentTimeRef.current + deltaTime;
+    handleSeek(Math.max(0, Math.min(totalDuration, time)));
+  };
 
-    if (!activeClip && currentTime >= totalDuration && visualClips.length > 0) {
-      activeClip = visualClips[visualClips.length - 1];
-    }
+  // In / out points: a new in after the out (or out before the in) drops it
+  const handleMarkIn = () => {
+    const time = currentTimeRef.current;
+    setInPoint(time);
+    if (outPoint != null && outPoint <= time) setOutPoint(null);
+  };
 
-    if (!activeClip) return null;
+  const handleMarkOut = () => {
+    const time = currentTimeRef.current;
+    setOutPoint(time);
+    if (inPoint != null && inPoint >= time) setInPoint(null);
+  };
 
-    const relativeTime = Math.max(
-      0,
-      currentTime - activeClip.startTime + activeClip.trimStart
-    );
-    const maxRelativeTime =
-      activeClip.duration - activeClip.trimStart - activeClip.trimEnd;
-    const clampedRelativeTime = Math.min(relativeTime, maxRelativeTime);
-
-    return {
-      id: activeClip.id,
-      url: activeClip.url,
-      type: activeClip.type,
-      startTime: activeClip.startTime,
-      relativeTime: clampedRelativeTime,
-      hasAudio: activeClip.hasAudio,
-    };
-  }, [currentTime, clips, totalDuration]);
+  useEffect(() => {
+    setShortcutBindings(loadBindings());
+  }, []);
 
-  // Ensure at least one clip selected
+  const handleShortcutsChange = (bindings) => {
+    setShortcutBindings(bindings);
+    saveBindings(bindings);
+  };
+
+  // Keyboard shortcuts (see utils/shortcuts.js), by shortcut id. An action
+  // returning false did nothing and leaves the key to the browser (e.g.
+  // Ctrl+C on selected text).
+  const shortcutActions = {
+    playPause: handlePlayPause,
+    shuttleBack: () => handleShuttle(-1),
+    shuttleStop: handleStop,
+    shuttleForward: () => handleShuttle(1),
+    frameBack: () => handleStep(-FRAME_STEP),
+    frameForward: () => handleStep(FRAME_STEP),
+    jumpBack: () => handleStep(-1),
+    jumpForward: () => handleStep(1),
+    goToStart: () => handleSeek(0),
+    goToEnd: () => handleSeek(totalDuration),
+    markIn: handleMarkIn,
+    markOut: handleMarkOut,
+    clearInOut: () => {
+      setInPoint(null);
+      setOutPoint(null);
+    },
+    addMarker: handleAddMarker,
+    previousMarker: () => handleJumpToMarker(-1),
+    nextMarker: () => handleJumpToMarker(1),
+    undo: handleUndo,
+    redo: handleRedo,
+    split: handleSplitAtPlayhead,
+    delete: () => handleDeleteSelected(),
+    lift: () => handleDeleteSelected({ leaveGap: true }),
+    copy: handleCopy,
+    cut: handleCut,
+    paste: handlePaste,
+    duplicate: handleDuplicate,
+    nudgeBack: () => handleNudge(-FRAME_STEP),
+    nudgeForward: () => handleNudge(FRAME_STEP),
+    nudgeBackMore: () => handleNudge(-1),
+    nudgeForwardMore: () => handleNudge(1),
+    zoomIn: () => setTimelineZoom((z) => Math.min(z + 0.25, 3)),
+    zoomOut: () => setTimelineZoom((z) => Math.max(z - 0.25, 0.25)),
+    showShortcuts: () => setIsShortcutSheetOpen(true),
+  };
+  const shortcutActionsRef = useRef(shortcutActions);
   useEffect(() => {
-    if (clips.length && !selectedClipId) {
-      setSelectedClipId(clips[0].id);
-    }
-  }, [clips, selectedClipId]);
+    shortcutActionsRef.current = shortcutActions;
+  });
 
-  // Keyboard shortcuts
   useEffect(() => {
     const handleKeyDown = (e) => {
-      if (e.code === "Space" && e.target.tagName !== "INPUT") {
-        e.preventDefault();
-        handlePlayPause();
-      } else if (e.code === "ArrowLeft" && e.target.tagName !== "INPUT") {
-        e.preventDefault();
-        const newTime = Math.max(0, currentTime - 1);
-        handleSeek(newTime);
-      } else if (e.code === "ArrowRight" && e.target.tagName !== "INPUT") {
-        e.preventDefault();
-        const newTime = Math.min(totalDuration, currentTime + 1);
-        handleSeek(newTime);
-      } else if (
-        e.code === "Delete" &&
-        selectedClipId &&
-        e.target.tagName !== "INPUT"
-      ) {
+      // Leave keys alone while typing (text clips, fields, sliders...)
+      if (isShortcutSheetOpen || isEditableTarget(e.target)) return;
+      const shortcutId = findShortcut(shortcutBindings, eventToCombo(e));
+      if (!shortcutId) return;
+      if (shortcutActionsRef.current[shortcutId]() !== false) {
         e.preventDefault();
-        setClips((prev) => prev.filter((clip) => clip.id !== selectedClipId));
-        setSelectedClipId(null);
       }
     };
 
     window.addEventListener("keydown", handleKeyDown);
     return () => window.removeEventListener("keydown", handleKeyDown);
-  }, [currentTime, totalDuration, selectedClipId, clips]);
-
-
-  // Automatically arrange visual clips sequentially (no gaps/overlaps)
-  const autoReflowClips = (inputClips) => {
-    const sorted = [...inputClips]
-      .filter((c) => c.type === "video" || c.type === "image")
-      .sort((a, b) => a.startTime - b.startTime);
-
-    let curTime = 0;
-    const adjusted = sorted.map((clip) => {
-      const newStart = curTime;
-      const clipLength = clip.duration - clip.trimStart - clip.trimEnd;
-      const newEnd = newStart + clipLength;
-      curTime = newEnd;
-
-      return {
-        ...clip,
-        startTime: newStart,
-        endTime: newEnd,
-      };
-    });
-
-    const nonVisuals = inputClips.filter(
-      (c) => c.type !== "video" && c.type !== "image"
+  }, [shortcutBindings, isShortcutSheetOpen]);
+
+  // Only a main-track clip that directly follows another shot (not a gap)
+  // can have a transition in
+  const canHaveTransition = useMemo(() => {
+    const mainClips = sortByStart(clips.filter(isMainTrackClip));
+    const index = mainClips.findIndex((c) => c.id === selectedClipId);
+    return (
+      index > 0 &&
+      !isGapClip(mainClips[index]) &&
+      !isGapClip(mainClips[index - 1])
     );
-    return [...adjusted, ...nonVisuals];
-  };
+  }, [clips, selectedClipId]);
 
-  // Image clip playback: when isPlaying and active clip is image, advance time manually
-  useEffect(() => {
-    if (!isPlaying) return;
+  // Detached video, or an audio clip still linked to one
+  const canReattachAudio = useMemo(() => {
+    const clip = clips.find((c) => c.id === selectedClipId);
+    const videoId = clip?.linkedClipId || selectedClipId;
+    return clips.some((c) => c.id === videoId && c.audioDetached);
+  }, [clips, selectedClipId]);
 
-    const activeClip = clips.find(
-      (clip) => currentTime >= clip.startTime && currentTime < clip.endTime
-    );
-    if (!activeClip) return;
-
-    if (activeClip.type === "image") {
-      const interval = setInterval(() => {
-        setCurrentTime((prev) => {
-          const nextTime = prev + 0.05; // 20 FPS step
-          if (nextTime >= activeClip.endTime) {
-            clearInterval(interval);
-
-            const nextClip = clips.find(
-              (c) => c.startTime >= activeClip.endTime
-            );
-            if (nextClip) {
-              setCurrentTime(nextClip.startTime);
-              setTimeout(() => setIsPlaying(true), 50);
-            } else {
-              setIsPlaying(false);
-            }
-          }
-          return nextTime;
-        });
-      }, 50);
-      return () => clearInterval(interval);
-    }
-  }, [isPlaying, currentTime, clips]);
-
-  // Compute all overlapping audio clips at the current timeline time.
-  // This preserves your "echo" behavior: multiple audio clips overlapping will all be active.
-  const activeAudioClips = useMemo(() => {
-    return clips
-      .filter(
-        (clip) =>
-          clip.type === "audio" &&
-          currentTime >= clip.startTime &&
-          currentTime < Math.min(clip.endTime, totalDuration)
-      )
-      .sort((a, b) => (a.track ?? 0) - (b.track ?? 0));
-  }, [clips, currentTime, totalDuration]);
+  // A subtitle cue with another one after it
+  const canMergeSubtitle = useMemo(() => {
+    const cues = getSubtitleClips(clips);
+    const index = cues.findIndex((c) => c.id === selectedClipId);
+    return index !== -1 && index < cues.length - 1;
+  }, [clips, selectedClipId]);
 
   // Render
   return (
@@ -513,50 +963,189 @@ export default function Home() {
         {/* Header */}
         <div className="flex items-center justify-between">
           <h1 className="text-3xl font-bold text-indigo-600">Video Editor</h1>
-          <MediaUploader onMediaUpload={handleMediaUpload} />
+          <div className="flex items-center gap-2">
+            <ProjectMenu
+              onSave={handleSaveProject}
+              onOpen={handleOpenProject}
+            />
+            <button
+              onClick={() => setIsShortcutSheetOpen(true)}
+              className="flex items-center gap-2 px-4 py-2 bg-white text-gray-800 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+              title="Keyboard shortcuts (?)"
+            >
+              <Keyboard className="w-5 h-5" />
+            </button>
+            <button
+              onClick={() => setIsStorageOpen(true)}
+              className="flex items-center gap-2 px-4 py-2 bg-white text-gray-800 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+              title="Stored media"
+            >
+              <HardDrive className="w-5 h-5" />
+              <span>Storage</span>
+            </button>
+            <button
+              onClick={() => {
+                setIsPlaying(false);
+                setIsExportOpen(true);
+              }}
+              disabled={totalDuration <= 0}
+              className="flex items-center gap-2 px-4 py-2 bg-white text-gray-800 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50"
+              title="Export video"
+            >
+              <Download className="w-5 h-5" />
+              <span>Export</span>
+            </button>
+            <AddTextMenu onAddText={handleAddText} />
+            <MediaUploader onMediaUpload={handleMediaUpload} />
+          </div>
         </div>
 
         {/* Player */}
         <div className="p-4">
           <VideoPlayer
-            currentClip={getCurrentClip()}
             currentTime={currentTime}
             isPlaying={isPlaying}
+            playbackRate={shuttleRate}
             clips={clips}
+            tracks={tracks}
+            background={background}
             onPlayPause={handlePlayPause}
-            onClipEnd={handleClipEnd}
-            onTimeUpdate={handleTimeUpdate}
             duration={totalDuration}
             zoom={videoZoom}
+            selectedClipId={selectedClipId}
+            onSelectClip={setSelectedClipId}
+            onClipUpdate={handleClipUpdate}
+            onGestureStart={beginHistoryGroup}
+            onGestureEnd={endHistoryGroup}
+          />
+        </div>
+
+        {/* Selected clip properties */}
+        <div className="px-4">
+          <ClipInspector
+            clip={clips.find((c) => c.id === selectedClipId)}
+            visualTrackCount={getVisualTrackCount(clips)}
+            canHaveTransition={canHaveTransition}
+            canReattachAudio={canReattachAudio}
+            canMergeSubtitle={canMergeSubtitle}
+            isLocked={clips.some(
+              (c) => c.id === selectedClipId && isClipLocked(c, tracks)
+            )}
+            selectionCount={selectedClipIds.length}
+            onUpdate={handleInspectorUpdate}
+            onDetachAudio={() => handleDetachAudio(selectedClipId)}
+            onReattachAudio={() => handleReattachAudio(selectedClipId)}
+            onMergeSubtitle={() => handleMergeSubtitle(selectedClipId)}
+            onCloseGap={() => handleCloseGaps([selectedClipId])}
+            onDuplicate={handleDuplicate}
+            onGestureStart={beginHistoryGroup}
+            onGestureEnd={endHistoryGroup}
           />
         </div>
 
         {/* Timeline */}
+        <div className="px-4 pt-4">
+          <TransitionPalette />
+        </div>
         <div className="p-4">
           <Timeline
             clips={clips}
-            onSplitAudio={handleSplitAudio}
+            tracks={tracks}
+            onTrackChange={handleTrackChange}
+            getLevels={getLevels}
+            onSplitClip={handleSplitClip}
             currentTime={currentTime}
             totalDuration={totalDuration}
             onClipUpdate={handleClipUpdate}
             onClipSelect={handleClipSelect}
+            onTransitionDrop={handleTransitionDrop}
             onSeek={handleSeek}
             selectedClipId={selectedClipId}
+            selectedClipIds={selectedClipIds}
+            onSelectionChange={setSelectedClipIds}
+            onClipsMove={handleClipsMove}
             onAutoLayerFix={handleAutoLayerFix}
+            zoomLevel={timelineZoom}
+            onZoomChange={setTimelineZoom}
+            snapping={snapping}
+            onSnappingChange={setSnapping}
+            editSettings={editSettings}
+            onEditSettingsChange={setEditSettings}
+            onCloseGaps={() => handleCloseGaps()}
+            background={background}
+            onBackgroundChange={setBackground}
+            markers={markers}
+            onMarkerChange={handleMarkerChange}
+            inPoint={inPoint}
+            outPoint={outPoint}
+            onGestureStart={beginHistoryGroup}
+            onGestureEnd={endHistoryGroup}
+          />
+        </div>
+
+        {/* Markers and chapter export */}
+        <div className="px-4">
+          <MarkerPanel
+            markers={markers}
+            duration={totalDuration}
+            projectName={projectName}
+            onAdd={handleAddMarker}
+            onChange={handleMarkerChange}
+            onRemove={handleRemoveMarker}
+            onSeek={handleSeek}
+            onPrevious={() => handleJumpToMarker(-1)}
+            onNext={() => handleJumpToMarker(1)}
           />
         </div>
 
-        {/* Audio player (hidden) - receives ALL overlapping audio clips */}
+        {/* Subtitle import / export */}
+        <div className="px-4">
+          <SubtitlePanel
+            clips={clips}
+            projectName={projectName}
+            onImport={handleImportSubtitles}
+            onAdd={handleAddSubtitle}
+          />
+        </div>
+
+        {/* Audio player (hidden) - plays the sound of every audible clip */}
         <AudioPlayer
           ref={audioPlayerRef} // optional: requires AudioPlayer to forwardRef if you want to call methods
-          activeAudioClips={activeAudioClips}
-          isPlaying={isPlaying}
+          // Sound plays at normal speed only; shuttling (J / L) is silent
+          isPlaying={isPlaying && shuttleRate === 1}
           currentTime={currentTime}
           seekAudio={seekAudio}
           clips={clips}
-          activeVisualType={activeVisualType}
+          tracks={tracks}
         />
 
+        {isShortcutSheetOpen && (
+          <ShortcutSheet
+            bindings={shortcutBindings}
+            onChange={handleShortcutsChange}
+            onClose={() => setIsShortcutSheetOpen(false)}
+          />
+        )}
+
+        {isStorageOpen && (
+          <StorageManager
+            clips={clips}
+            historySteps={[...undoSteps, ...redoSteps]}
+            onClose={() => setIsStorageOpen(false)}
+          />
+        )}
+
+        {isExportOpen && (
+          <ExportDialog
+            clips={clips}
+            tracks={tracks}
+            background={background}
+            duration={totalDuration}
+            projectName={projectName}
+            onClose={() => setIsExportOpen(false)}
+          />
+        )}
+
         {/* Toolbar */}
         <div className="rounded-xl bg-white p-4 shadow-md border border-gray-200 flex justify-between items-center">
           <Toolbar
@@ -564,6 +1153,11 @@ export default function Home() {
             totalDuration={totalDuration}
             videoZoom={videoZoom}
             setVideoZoom={setVideoZoom}
+            onUndo={handleUndo}
+            onRedo={handleRedo}
+            canUndo={canUndo}
+            canRedo={canRedo}
+            onSplit={handleSplitAtPlayhead}
           />
         </div>
       </div>
@@ -0,0 +1,65 @@
+// utils/audioBuffers.js
+//
+// Shared AudioContext and decoded-buffer cache. Waveforms, playback and export
+// all decode media through here so a file is only decoded once per session.
+
+// Single AudioContext instance to prevent conflicts
+let globalAudioContext = null;
+let audioContextPromise = null;
+
+export function getAudioContext() {
+  if (!globalAudioContext) {
+    audioContextPromise = new Promise((resolve, reject) => {
+      try {
+        globalAudioContext = new (window.AudioContext || window.webkitAudioContext)();
+        resolve(globalAudioContext);
+      } catch (error) {
+        console.error("Failed to create AudioContext:", error);
+        reject(error);
+      }
+    });
+  }
+  return audioContextPromise;
+}
+
+// Cache decoded buffers by URL
+const MAX_CACHED_BUFFERS = 50;
+const bufferCache = new Map(); // url -> Promise<{ decoded, data, sampleRate, durationSec }>
+
+/**
+ * Fetch and decode the audio of `url` (audio or video file).
+ * @returns {Promise<{decoded: AudioBuffer, data: Float32Array, sampleRate: number, durationSec: number}>}
+ */
+export function loadAudioBuffer(url) {
+  let pending = bufferCache.get(url);
+  if (pending) return pending;
+
+  pending = (async () => {
+    const audioCtx = await getAudioContext();
+    if (audioCtx.state === "suspended") {
+      await audioCtx.resume().catch(() => {});
+    }
+
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`Failed to fetch audio: ${response.status}`);
+
+    const buf = await response.arrayBuffer();
+    const decoded = await audioCtx.decodeAudioData(buf);
+    return {
+      decoded,
+      data: decoded.getChannelData(0),
+      sampleRate: decoded.sampleRate,
+      durationSec: decoded.length / decoded.sampleRate,
+    };
+  })();
+
+  // Failed decodes are not cached so a later retry can succeed
+  pending.catch(() => bufferCache.delete(url));
+
+  bufferCache.set(url, pending);
+  if (bufferCache.size > MAX_CACHED_BUFFERS) {
+    const firstKey = bufferCache.keys().next().value;
+    bufferCache.delete(firstKey);
+  }
+  return pending;
+}
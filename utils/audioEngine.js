@@ -0,0 +1,267 @@
+// utils/audioEngine.js
+//
+// Live playback of the timeline's sound on the shared AudioContext (see
+// audioGraph.js). play() schedules every audible clip from a timeline time
+// in one go; a seek or an edit that moves sound simply stops and schedules
+// again, while update() applies level edits (gain, fades, envelope) to the
+// running sources. Each playback session fades in and out over a few
+// milliseconds so starting and stopping never clicks.
+import { getAudioContext, loadAudioBuffer } from "./audioBuffers";
+import {
+  createMixBus,
+  scheduleTimelineAudio,
+  setClipGainCurve,
+} from "./audioGraph";
+import {
+  getClipSpeed,
+  getTransitionFades,
+  isAudibleClip,
+  isClipReversed,
+} from "./timelineEngine";
+import {
+  getStretchedBuffer,
+  needsTimeStretch,
+  prepareStretchedBuffer,
+} from "./timeStretch";
+import { getClipTrackKey } from "./tracks";
+
+// Session fade in / out when playback starts or stops (sec)
+const DECLICK_TIME = 0.01;
+
+// Everything about a clip that decides which sound plays when and where
+const timingKey = (clip) =>
+  JSON.stringify([
+    clip.url,
+    clip.startTime,
+    clip.endTime,
+    clip.duration,
+    clip.trimStart || 0,
+    clip.trimEnd || 0,
+    getClipSpeed(clip),
+    isClipReversed(clip),
+    getClipTrackKey(clip),
+  ]);
+
+// Transition fades of one clip, comparable between edits
+const fadesKey = (fades, clipId) => JSON.stringify(fades.get(clipId) ?? null);
+
+// Whether `after` plays different sound at different times than `before`
+function isTimingChanged(before, after) {
+  const timings = (clips) =>
+    new Map(clips.filter(isAudibleClip).map((c) => [c.id, timingKey(c)]));
+  const a = timings(before);
+  const b = timings(after);
+  return a.size !== b.size || [...a].some(([id, key]) => b.get(id) !== key);
+}
+
+export function createAudioEngine() {
+  let context = null;
+  let bus = null;
+  let masterVolume = 1;
+  let trackStates = {};
+  let session = null; // { clips, from, at, faders: Map, nodes: [] }
+  let playToken = 0;
+  const buffers = new Map(); // url -> AudioBuffer
+
+  const getBuffer = (clip) => (clip.url && buffers.get(clip.url)) || null;
+
+  const load = (url) =>
+    loadAudioBuffer(url).then(({ decoded }) => {
+      buffers.set(url, decoded);
+      return decoded;
+    });
+
+  // Decoded, and stretched if the clip needs it
+  const isSoundReady = (clip) => {
+    const buffer = getBuffer(clip);
+    return (
+      !!buffer && (!needsTimeStretch(clip) || !!getStretchedBuffer(buffer, clip))
+    );
+  };
+
+  const loadSound = async (clip) => {
+    const buffer = getBuffer(clip) || (await load(clip.url));
+    if (needsTimeStretch(clip)) await prepareStretchedBuffer(buffer, clip);
+  };
+
+  async function ensureContext() {
+    if (!context) {
+      context = await getAudioContext();
+      bus = createMixBus(context, context.destination, trackStates, {
+        metering: true,
+      });
+      bus.setMasterVolume(masterVolume);
+    }
+    if (context.state === "suspended") await context.resume().catch(() => {});
+    return context;
+  }
+
+  // Per-track fader of a session, between its clips and the track bus
+  function sessionFader(current, clip) {
+    const key = getClipTrackKey(clip);
+    let fader = current.faders.get(key);
+    if (!fader) {
+      fader = context.createGain();
+      fader.gain.setValueAtTime(0, current.at);
+      fader.gain.linearRampToValueAtTime(1, current.at + DECLICK_TIME);
+      fader.connect(bus.trackInput(clip));
+      current.faders.set(key, fader);
+    }
+    return fader;
+  }
+
+  function schedule(current, clips, { from, at, filter }) {
+    const fades = getTransitionFades(clips);
+    const nodes = scheduleTimelineAudio({
+      context,
+      clips,
+      getBuffer,
+      getDestination: (clip) => sessionFader(current, clip),
+      from,
+      at,
+      filter,
+    });
+    for (const node of nodes) {
+      current.nodes.push({ ...node, fades: fadesKey(fades, node.clip.id) });
+    }
+  }
+
+  function stopSession(current) {
+    const end = context.currentTime + DECLICK_TIME;
+    for (const fader of current.faders.values()) {
+      fader.gain.cancelScheduledValues(context.currentTime);
+      fader.gain.setValueAtTime(fader.gain.value, context.currentTime);
+      fader.gain.linearRampToValueAtTime(0, end);
+    }
+    for (const { source } of current.nodes) {
+      try {
+        source.stop(end);
+      } catch {}
+    }
+    setTimeout(() => {
+      for (const { source, gain } of current.nodes) {
+        source.disconnect();
+        gain.disconnect();
+      }
+      for (const fader of current.faders.values()) fader.disconnect();
+    }, DECLICK_TIME * 1000 + 50);
+  }
+
+  function stop() {
+    playToken++;
+    if (!session) return;
+    stopSession(session);
+    session = null;
+  }
+
+  return {
+    // Start decoding (and stretching) every audible clip ahead of playback
+    preload(clips) {
+      for (const clip of clips) {
+        if (isAudibleClip(clip) && clip.url && !isSoundReady(clip)) {
+          loadSound(clip).catch(() => {});
+        }
+      }
+    },
+
+    /**
+     * Play the timeline's sound from timeline time `time`.
+     * @param {Array} clips
+     * @param {number} time
+     */
+    async play(clips, time) {
+      stop();
+      const token = ++playToken;
+      await ensureContext();
+      if (token !== playToken) return;
+
+      const current = {
+        clips,
+        from: time,
+        at: context.currentTime,
+        faders: new Map(),
+        nodes: [],
+      };
+      session = current;
+      schedule(current, clips, { from: time, at: current.at });
+
+      // Clips whose sound is still decoding or stretching join in once ready
+      for (const clip of clips) {
+        if (!isAudibleClip(clip) || !clip.url || isSoundReady(clip)) continue;
+        loadSound(clip)
+          .then(() => {
+            if (session !== current) return;
+            const now = context.currentTime;
+            schedule(current, current.clips, {
+              from: current.from + (now - current.at),
+              at: now,
+              filter: (c) => c.id === clip.id,
+            });
+          })
+          .catch((err) => {
+            console.warn(`⚠️ No sound for ${clip.fileName}:`, err);
+          });
+      }
+    },
+
+    stop,
+
+    /**
+     * Follow edits to the playing timeline without restarting its sound:
+     * new gains, fades and envelopes are applied to the running sources.
+     * @param {Array} clips
+     * @returns {boolean} false when nothing is playing or the edit moved
+     *   sound in time (then play() again)
+     */
+    update(clips) {
+      const current = session;
+      if (!current || isTimingChanged(current.clips, clips)) return false;
+
+      const now = context.currentTime;
+      const time = current.from + Math.max(0, now - current.at);
+      const fades = getTransitionFades(clips);
+      const byId = new Map(clips.map((clip) => [clip.id, clip]));
+      for (const node of current.nodes) {
+        const clip = byId.get(node.clip.id);
+        const clipFades = fadesKey(fades, clip.id);
+        if (clip === node.clip && clipFades === node.fades) continue;
+        node.clip = clip;
+        node.fades = clipFades;
+        node.gain.gain.cancelScheduledValues(now);
+        setClipGainCurve(node.gain.gain, clip, fades, { from: time, at: now });
+      }
+      current.clips = clips;
+      return true;
+    },
+
+    // Timeline time the sound has reached, or null when none is playing
+    getPlaybackTime() {
+      if (!session || context?.state !== "running") return null;
+      return session.from + Math.max(0, context.currentTime - session.at);
+    },
+
+    setMasterVolume(volume) {
+      masterVolume = Math.max(0, volume);
+      bus?.setMasterVolume(masterVolume);
+    },
+
+    // Mute / solo / volume / pan of the tracks (see tracks.js)
+    setTrackStates(tracks) {
+      trackStates = tracks || {};
+      bus?.setTrackStates(trackStates);
+    },
+
+    // Output level for the meters: "master" or a track key (see audioGraph)
+    getLevels(key) {
+      return bus ? bus.getLevels(key) : null;
+    },
+
+    dispose() {
+      stop();
+      bus?.dispose();
+      bus = null;
+      context = null;
+      buffers.clear();
+    },
+  };
+}
@@ -0,0 +1,129 @@
+// utils/audioEnvelope.js
+//
+// Volume of a clip over time. Fields on the clip:
+//   gain            : 0..MAX_CLIP_GAIN, base level (default 1)
+//   fadeIn, fadeOut : seconds ramped from / to silence at the head and tail
+//   envelope        : optional keyframes [{ time, gain }] sorted by time.
+//                     `time` is a position in the source (sec), so points
+//                     stay on the same sound when the clip is trimmed or
+//                     split; `gain` (0..1) scales the base level and is
+//                     interpolated linearly between points.
+// The same gain function drives the preview, the waveform, the browser
+// export and the server render.
+import { getClipLength, getClipSourceTime } from "./timelineEngine";
+
+export const MAX_CLIP_GAIN = 1;
+
+// Gain curve resolution when scheduling on an AudioParam (values per sec)
+export const GAIN_CURVE_RATE = 100;
+
+const clamp01 = (v) => Math.min(1, Math.max(0, v));
+
+export const getClipGain = (clip) =>
+  Math.min(MAX_CLIP_GAIN, Math.max(0, clip.gain != null ? clip.gain : 1));
+
+// Envelope level (0..1) at a source position; flat before the first and
+// after the last point, 1 without points
+export function getEnvelopeValue(envelope, sourceTime) {
+  if (!envelope?.length) return 1;
+  const first = envelope[0];
+  const last = envelope[envelope.length - 1];
+  if (sourceTime <= first.time) return first.gain;
+  if (sourceTime >= last.time) return last.gain;
+
+  const i = envelope.findIndex((p) => p.time > sourceTime);
+  const a = envelope[i - 1];
+  const b = envelope[i];
+  const span = b.time - a.time;
+  return span > 0
+    ? a.gain + ((b.gain - a.gain) * (sourceTime - a.time)) / span
+    : b.gain;
+}
+
+/**
+ * Fade lengths of a clip (sec): its own fades, lengthened by transition
+ * fades (see timelineEngine.getTransitionFades) and capped at its length.
+ */
+export function getClipFades(clip, transitionFades) {
+  const length = getClipLength(clip);
+  const extra = transitionFades?.get(clip.id) || {};
+  return {
+    fadeIn: Math.min(length, Math.max(clip.fadeIn || 0, extra.fadeIn || 0)),
+    fadeOut: Math.min(length, Math.max(clip.fadeOut || 0, extra.fadeOut || 0)),
+  };
+}
+
+/**
+ * Gain of a clip at timeline time `time`: base gain x envelope x fades.
+ * @param {object} clip
+ * @param {number} time
+ * @param {Map} transitionFades - optional, see getClipFades
+ */
+export function getClipGainAt(clip, time, transitionFades) {
+  const length = getClipLength(clip);
+  const local = time - clip.startTime;
+  if (local < 0 || local > length) return 0;
+
+  const { fadeIn, fadeOut } = getClipFades(clip, transitionFades);
+  let level =
+    getClipGain(clip) *
+    getEnvelopeValue(clip.envelope, getClipSourceTime(clip, time));
+  if (fadeIn > 0 && local < fadeIn) level *= local / fadeIn;
+  if (fadeOut > 0 && length - local < fadeOut) {
+    level *= (length - local) / fadeOut;
+  }
+  return level;
+}
+
+/**
+ * The gain of a clip sampled from timeline time `from` (default: its start)
+ * to its end, for AudioParam.setValueCurveAtTime.
+ * @param {object} clip
+ * @param {Map} transitionFades - optional, see getClipFades
+ * @param {object} options
+ *  - from : timeline time (sec)
+ *  - rate : values per second (default GAIN_CURVE_RATE)
+ * @returns {Float32Array} at least two values
+ */
+export function getGainCurve(
+  clip,
+  transitionFades,
+  { from = clip.startTime, rate = GAIN_CURVE_RATE } = {}
+) {
+  const end = clip.startTime + getClipLength(clip);
+  const start = Math.min(end, Math.max(clip.startTime, from));
+  const count = Math.max(2, Math.ceil((end - start) * rate) + 1);
+  const curve = new Float32Array(count);
+  for (let i = 0; i < count; i++) {
+    const time = start + ((end - start) * i) / (count - 1);
+    curve[i] = getClipGainAt(clip, time, transitionFades);
+  }
+  return curve;
+}
+
+// Envelope with a point added (or replacing one at the same time)
+export function addEnvelopePoint(envelope = [], time, gain) {
+  const point = { time: Math.max(0, time), gain: clamp01(gain) };
+  return [...envelope.filter((p) => p.time !== point.time), point].sort(
+    (a, b) => a.time - b.time
+  );
+}
+
+// Envelope with point `index` moved, kept between its neighbours
+export function moveEnvelopePoint(envelope, index, time, gain) {
+  const prev = envelope[index - 1];
+  const next = envelope[index + 1];
+  const minTime = prev ? prev.time + 0.001 : 0;
+  const maxTime = next ? next.time - 0.001 : Infinity;
+  return envelope.map((p, i) =>
+    i === index
+      ? {
+          time: Math.min(maxTime, Math.max(minTime, time)),
+          gain: clamp01(gain),
+        }
+      : p
+  );
+}
+
+export const removeEnvelopePoint = (envelope, index) =>
+  envelope.filter((_, i) => i !== index);
@@ -0,0 +1,226 @@
+// utils/audioGraph.js
+//
+// Web Audio mixing graph shared by live playback (audioEngine.js) and the
+// browser export (exporter.mixTimelineAudio):
+//
+//   AudioBufferSourceNode -> clip gain (gain, fades, envelope)
+//     -> track gain -> track panner -> master gain -> destination
+//
+// Track gain and pan follow the track state (mute / solo / volume / pan,
+// see tracks.js). For playback, the master and every track are also tapped
+// by analysers feeding the level meters (post-fader, per channel).
+//
+// Sources are started on the context clock, so clip boundaries are sample
+// accurate and nothing ever needs re-seeking. Clips with a speed or reverse
+// play a pre-stretched copy of their sound, prepared ahead with
+// timeStretch.prepareStretchedBuffer.
+import {
+  getClipLength,
+  getClipSourceTime,
+  getTransitionFades,
+  isAudibleClip,
+} from "./timelineEngine";
+import { getGainCurve } from "./audioEnvelope";
+import {
+  getStretchedBuffer,
+  getStretchedOffset,
+  needsTimeStretch,
+} from "./timeStretch";
+import { getClipTrackKey, getTrackGain, getTrackPan } from "./tracks";
+
+// Time constant of track gain / pan changes during playback (sec)
+const TRACK_CHANGE_SMOOTHING = 0.015;
+// Samples per level reading (~43 ms at 48 kHz)
+const METER_WINDOW = 2048;
+
+// Peak and RMS of the two channels of `input`, read on demand
+function createLevelMeter(context, input) {
+  const splitter = context.createChannelSplitter(2);
+  const analysers = [0, 1].map((channel) => {
+    const analyser = context.createAnalyser();
+    analyser.fftSize = METER_WINDOW;
+    splitter.connect(analyser, channel);
+    return analyser;
+  });
+  input.connect(splitter);
+  const samples = new Float32Array(METER_WINDOW);
+
+  return {
+    // [{ peak, rms }, { peak, rms }] as linear amplitudes (1 = 0 dBFS)
+    read() {
+      return analysers.map((analyser) => {
+        analyser.getFloatTimeDomainData(samples);
+        let peak = 0;
+        let sum = 0;
+        for (const v of samples) {
+          peak = Math.max(peak, Math.abs(v));
+          sum += v * v;
+        }
+        return { peak, rms: Math.sqrt(sum / samples.length) };
+      });
+    },
+
+    disconnect() {
+      splitter.disconnect();
+    },
+  };
+}
+
+/**
+ * Master bus with one gain + panner pair per track, created on first use.
+ * @param {BaseAudioContext} context
+ * @param {AudioNode} destination - default context.destination
+ * @param {object} trackStates - optional, see tracks.js
+ * @param {object} options
+ *  - metering : tap master and tracks for getLevels (default false)
+ */
+export function createMixBus(
+  context,
+  destination = context.destination,
+  trackStates = {},
+  { metering = false } = {}
+) {
+  const master = context.createGain();
+  master.connect(destination);
+  const masterMeter = metering ? createLevelMeter(context, master) : null;
+  const tracks = new Map(); // track key -> { gain, panner, meter }
+  let states = trackStates;
+
+  return {
+    master,
+
+    // Input node of the track `clip` plays on
+    trackInput(clip) {
+      const key = getClipTrackKey(clip);
+      let track = tracks.get(key);
+      if (!track) {
+        const gain = context.createGain();
+        const panner = context.createStereoPanner();
+        gain.gain.value = getTrackGain(states, key);
+        panner.pan.value = getTrackPan(states, key);
+        gain.connect(panner).connect(master);
+        const meter = metering ? createLevelMeter(context, panner) : null;
+        track = { gain, panner, meter };
+        tracks.set(key, track);
+      }
+      return track.gain;
+    },
+
+    // Follow new track states (smoothed, so toggling mute doesn't click)
+    setTrackStates(trackStates) {
+      states = trackStates;
+      const now = context.currentTime;
+      for (const [key, { gain, panner }] of tracks) {
+        gain.gain.setTargetAtTime(
+          getTrackGain(states, key),
+          now,
+          TRACK_CHANGE_SMOOTHING
+        );
+        panner.pan.setTargetAtTime(
+          getTrackPan(states, key),
+          now,
+          TRACK_CHANGE_SMOOTHING
+        );
+      }
+    },
+
+    setMasterVolume(volume) {
+      master.gain.value = Math.max(0, volume);
+    },
+
+    /**
+     * Current output level of the master ("master") or a track (track
+     * key), or null if it isn't metered / hasn't played yet.
+     * @returns {Array<{ peak: number, rms: number }> | null} per channel
+     */
+    getLevels(key) {
+      const meter = key === "master" ? masterMeter : tracks.get(key)?.meter;
+      return meter ? meter.read() : null;
+    },
+
+    dispose() {
+      for (const { gain, panner, meter } of tracks.values()) {
+        gain.disconnect();
+        panner.disconnect();
+        meter?.disconnect();
+      }
+      tracks.clear();
+      master.disconnect();
+      masterMeter?.disconnect();
+    },
+  };
+}
+
+/**
+ * Drive `param` with the gain of `clip` from timeline time `from` (or the
+ * clip's start, if later) to its end, timeline time `from` being heard at
+ * context time `at`.
+ * @param {AudioParam} param
+ * @param {object} clip
+ * @param {Map} fades - see timelineEngine.getTransitionFades
+ */
+export function setClipGainCurve(param, clip, fades, { from, at }) {
+  const clipEnd = clip.startTime + getClipLength(clip);
+  const start = Math.max(clip.startTime, from);
+  if (clipEnd <= start) return;
+  param.setValueCurveAtTime(
+    getGainCurve(clip, fades, { from: start }),
+    at + (start - from),
+    clipEnd - start
+  );
+}
+
+/**
+ * Start a buffer source for every audible clip, as if timeline time `from`
+ * were playing at context time `at`. Clips already running at `from` start
+ * part-way through.
+ * @param {object} params
+ *  - context        : BaseAudioContext
+ *  - clips          : Array (the whole timeline, for transition fades)
+ *  - getBuffer      : (clip) => decoded source | null; clips without one, or
+ *                     whose stretched sound isn't prepared yet, are skipped
+ *  - getDestination : (clip) => AudioNode the clip gain connects to
+ *  - from           : timeline time (sec), default 0
+ *  - at             : context time (sec) `from` plays at, default 0
+ *  - until          : timeline time (sec) to stop at, default end of clips
+ *  - filter         : (clip) => boolean, optional subset to schedule
+ * @returns {Array<{ clip, source: AudioBufferSourceNode, gain: GainNode }>}
+ */
+export function scheduleTimelineAudio({
+  context,
+  clips,
+  getBuffer,
+  getDestination,
+  from = 0,
+  at = 0,
+  until = Infinity,
+  filter,
+}) {
+  const fades = getTransitionFades(clips);
+  const scheduled = [];
+
+  for (const clip of clips) {
+    if (!isAudibleClip(clip) || (filter && !filter(clip))) continue;
+    const buffer = getBuffer(clip);
+    const clipEnd = clip.startTime + getClipLength(clip);
+    const start = Math.max(clip.startTime, from);
+    const stop = Math.min(clipEnd, until);
+    if (!buffer || stop <= start) continue;
+    const stretched = needsTimeStretch(clip);
+    const sound = stretched ? getStretchedBuffer(buffer, clip) : buffer;
+    if (!sound) continue;
+
+    const when = at + (start - from);
+    const source = context.createBufferSource();
+    source.buffer = sound;
+    const offset = stretched
+      ? getStretchedOffset(buffer, clip, start)
+      : getClipSourceTime(clip, start);
+    const gain = context.createGain();
+    setClipGainCurve(gain.gain, clip, fades, { from, at });
+    source.connect(gain).connect(getDestination(clip));
+    source.start(when, offset, stop - start);
+    scheduled.push({ clip, source, gain });
+  }
+  return scheduled;
+}
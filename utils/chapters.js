@@ -0,0 +1,107 @@
+// utils/chapters.js
+//
+// Chapters built from timeline markers (see markers.js), exported as a
+// WebVTT chapters track or a YouTube-style list for the video description.
+// Each marker starts a chapter that runs to the next one (or to the end of
+// its range, for WebVTT); a chapter at 0:00 is added when the first marker
+// comes later, since players and YouTube expect the list to start there.
+import { downloadText } from "./download";
+import { sortMarkers } from "./markers";
+
+// YouTube only shows chapters when there are enough of them, long enough
+export const YOUTUBE_MIN_CHAPTERS = 3;
+export const YOUTUBE_MIN_CHAPTER_LENGTH = 10;
+
+const INTRO_TITLE = "Intro";
+
+const oneLine = (text) => String(text).replace(/\s+/g, " ").trim();
+
+/**
+ * Chapters of an edit `duration` seconds long.
+ * @returns {Array<{ start: number, end: number, title: string }>}
+ */
+export function getChapters(markers, duration) {
+  const starts = sortMarkers(markers).filter((m) => m.time < duration);
+  if (!starts.length) return [];
+  if (starts[0].time > 0) {
+    starts.unshift({ time: 0, name: INTRO_TITLE, duration: 0 });
+  }
+
+  return starts.map((marker, i) => {
+    const next = starts[i + 1]?.time ?? duration;
+    const end =
+      marker.duration > 0 ? Math.min(next, marker.time + marker.duration) : next;
+    return {
+      start: marker.time,
+      end,
+      title: oneLine(marker.name) || `Chapter ${i + 1}`,
+    };
+  });
+}
+
+// 75.5 -> "00:01:15.500"
+function vttTimestamp(seconds) {
+  const ms = Math.round(seconds * 1000);
+  const pad = (n, width = 2) => String(n).padStart(width, "0");
+  return (
+    `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:` +
+    `${pad(Math.floor(ms / 1000) % 60)}.${pad(ms % 1000, 3)}`
+  );
+}
+
+// 75.5 -> "1:15", 3725 -> "1:02:05" (YouTube drops fractions)
+function youTubeTimestamp(seconds) {
+  const total = Math.floor(seconds);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor(total / 60) % 60;
+  const s = String(total % 60).padStart(2, "0");
+  return h ? `${h}:${String(m).padStart(2, "0")}:${s}` : `${m}:${s}`;
+}
+
+// WebVTT chapters file (`kind="chapters"` track)
+export function toWebVTTChapters(markers, duration) {
+  const cues = getChapters(markers, duration).map(
+    (chapter, i) =>
+      `${i + 1}\n${vttTimestamp(chapter.start)} --> ${vttTimestamp(
+        chapter.end
+      )}\n${chapter.title.replace(/-->/g, "->")}`
+  );
+  return `WEBVTT\n\n${cues.join("\n\n")}\n`;
+}
+
+// "0:00 Intro" lines for a YouTube description
+export function toYouTubeChapters(markers, duration) {
+  return getChapters(markers, duration)
+    .map((chapter) => `${youTubeTimestamp(chapter.start)} ${chapter.title}`)
+    .join("\n");
+}
+
+/**
+ * Reasons YouTube would ignore the chapter list (empty if none).
+ * @returns {string[]}
+ */
+export function getYouTubeChapterIssues(markers, duration) {
+  const chapters = getChapters(markers, duration);
+  const issues = [];
+  if (chapters.length < YOUTUBE_MIN_CHAPTERS) {
+    issues.push(`YouTube needs at least ${YOUTUBE_MIN_CHAPTERS} chapters`);
+  }
+  // Only starts count on YouTube: a chapter runs until the next one
+  const short = chapters.filter(
+    (c, i) =>
+      (chapters[i + 1]?.start ?? duration) - c.start <
+      YOUTUBE_MIN_CHAPTER_LENGTH
+  );
+  if (short.length) {
+    issues.push(
+      `${short.length} chapter(s) shorter than ${YOUTUBE_MIN_CHAPTER_LENGTH}s: ` +
+        short.map((c) => c.title).join(", ")
+    );
+  }
+  return issues;
+}
+
+// Trigger a browser download of a chapters file
+export function downloadChapters(text, fileName, type = "text/plain") {
+  downloadText(text, fileName, type);
+}
@@ -0,0 +1,70 @@
+import { describe, expect, it } from "vitest";
+import {
+  getChapters,
+  getYouTubeChapterIssues,
+  toWebVTTChapters,
+  toYouTubeChapters,
+} from "./chapters";
+
+const marker = (time, name, duration = 0) => ({
+  id: `m${time}`,
+  time,
+  name,
+  color: "#ff0000",
+  duration,
+});
+
+describe("getChapters", () => {
+  it("runs each marker to the next one and adds an intro at 0:00", () => {
+    expect(getChapters([marker(30, "Two"), marker(10, "One")], 60)).toEqual([
+      { start: 0, end: 10, title: "Intro" },
+      { start: 10, end: 30, title: "One" },
+      { start: 30, end: 60, title: "Two" },
+    ]);
+  });
+
+  it("ends range markers early and names unnamed ones", () => {
+    expect(getChapters([marker(0, " "), marker(20, "Two", 5)], 60)).toEqual([
+      { start: 0, end: 20, title: "Chapter 1" },
+      { start: 20, end: 25, title: "Two" },
+    ]);
+  });
+
+  it("drops markers past the end of the edit", () => {
+    expect(getChapters([marker(90, "Late")], 60)).toEqual([]);
+  });
+});
+
+describe("toWebVTTChapters", () => {
+  it("writes one cue per chapter", () => {
+    expect(
+      toWebVTTChapters([marker(0, "Start"), marker(75.5, "A --> B")], 3725)
+    ).toBe(
+      "WEBVTT\n\n" +
+        "1\n00:00:00.000 --> 00:01:15.500\nStart\n\n" +
+        "2\n00:01:15.500 --> 01:02:05.000\nA -> B\n"
+    );
+  });
+});
+
+describe("toYouTubeChapters", () => {
+  it("lists whole-second starts, one chapter per line", () => {
+    expect(
+      toYouTubeChapters([marker(75.5, "Middle"), marker(3725, "End")], 4000)
+    ).toBe("0:00 Intro\n1:15 Middle\n1:02:05 End");
+  });
+});
+
+describe("getYouTubeChapterIssues", () => {
+  it("is empty for a list YouTube accepts", () => {
+    const markers = [marker(0, "A"), marker(10, "B"), marker(20, "C")];
+    expect(getYouTubeChapterIssues(markers, 30)).toEqual([]);
+  });
+
+  it("reports too few and too short chapters", () => {
+    expect(getYouTubeChapterIssues([marker(5, "Short")], 30)).toEqual([
+      "YouTube needs at least 3 chapters",
+      "1 chapter(s) shorter than 10s: Intro",
+    ]);
+  });
+});
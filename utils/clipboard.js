@@ -0,0 +1,159 @@
+// utils/clipboard.js
+//
+// Copy / cut / paste / duplicate of timeline clips. The clipboard lives in
+// localStorage as JSON, so every editor tab of the same origin shares it:
+//   { format: "canvaedit-clips", version: 1, tabId,
+//     clips: [...],   // project-file fields (see projectFile.js), times
+//                     // relative to the earliest copied clip
+//     urls: { [clipId]: url } }   // media URLs, valid in tab `tabId` only
+// Media is found again through `mediaId` (IndexedDB is shared by the tabs);
+// the URLs let a paste in the same tab reuse what is already loaded.
+import { serializeClip } from "./projectFile";
+import {
+  getMainTrackEnd,
+  insertAudioClip,
+  insertOverlayClip,
+  isAudioClip,
+  isGapClip,
+  isMainTrackClip,
+  isOverlayClip,
+  layerAudioClips,
+  moveClips,
+} from "./timelineEngine";
+
+export const CLIPBOARD_FORMAT = "canvaedit-clips";
+const CLIPBOARD_VERSION = 1;
+const STORAGE_KEY = "canvaedit:clipboard";
+
+// Tells this tab's clipboard entries from another tab's
+export const TAB_ID = Math.random().toString(36).slice(2);
+
+/**
+ * Clipboard document for the clips in `clipIds` (gaps are left out).
+ * @returns {object | null} null if nothing can be copied
+ */
+export function createClipboard(clips, clipIds) {
+  const copied = clips.filter((c) => clipIds.includes(c.id) && !isGapClip(c));
+  if (!copied.length) return null;
+
+  const origin = Math.min(...copied.map((c) => c.startTime));
+  return {
+    format: CLIPBOARD_FORMAT,
+    version: CLIPBOARD_VERSION,
+    tabId: TAB_ID,
+    clips: copied.map((c) => ({
+      ...serializeClip(c),
+      startTime: c.startTime - origin,
+      endTime: c.endTime - origin,
+    })),
+    urls: Object.fromEntries(copied.map((c) => [c.id, c.url ?? null])),
+  };
+}
+
+export function writeClipboard(clipboard) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(clipboard));
+    return true;
+  } catch (err) {
+    console.warn("⚠️ Could not write the clipboard:", err);
+    return false;
+  }
+}
+
+// The stored clipboard, or null if there is none (or it is not ours)
+export function readClipboard() {
+  try {
+    const doc = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (
+      doc?.format !== CLIPBOARD_FORMAT ||
+      doc.version !== CLIPBOARD_VERSION ||
+      !Array.isArray(doc.clips)
+    ) {
+      return null;
+    }
+    return doc;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * The clipboard's clips with fresh ids, ready for pasteClips. In the tab
+ * they were copied in they keep their media URLs; elsewhere those are
+ * dropped (see mediaLibrary.hydrateClip to load them again).
+ * @param {object} clipboard
+ * @param {(clip) => string} makeId - id of the copy of `clip`
+ */
+export function getClipboardClips(clipboard, makeId) {
+  const ids = new Map(clipboard.clips.map((c) => [c.id, makeId(c)]));
+  const sameTab = clipboard.tabId === TAB_ID;
+
+  return clipboard.clips.map((clip) => {
+    const copy = {
+      ...clip,
+      id: ids.get(clip.id),
+      url: sameTab ? clipboard.urls?.[clip.id] ?? clip.url : clip.url,
+      thumbnail: null,
+    };
+    // Detached sound stays linked only if its video came along
+    if (clip.linkedClipId) {
+      if (ids.has(clip.linkedClipId)) {
+        copy.linkedClipId = ids.get(clip.linkedClipId);
+      } else {
+        delete copy.linkedClipId;
+      }
+    }
+    return copy;
+  });
+}
+
+/**
+ * Put copied clips (times relative to 0, see getClipboardClips) on the
+ * timeline from `time` on, each on its own kind of track: main-track
+ * pictures land as one block at `time` following the edit mode (see
+ * moveClips), overlays on the lowest free overlay track, audio on its own
+ * layer if free (else the lowest free one), subtitle cues on the subtitle track. Nothing lands on
+ * a locked track: copies whose track is locked are left out.
+ * @param {object} options - edit settings, see updateClip
+ */
+export function pasteClips(clips, copies, time, options = {}) {
+  const { isLocked = () => false } = options;
+  const at = Math.max(0, time);
+  const shift = (c, offset) => ({
+    ...c,
+    startTime: c.startTime + offset,
+    endTime: c.endTime + offset,
+  });
+
+  // The main-track block starts after the end of the track and is then
+  // moved into place, so it lands the same way as a dragged block. It goes
+  // first in the list so that, pasted on a cut, it lands before the clip
+  // there rather than after it.
+  const main = copies.filter((c) => isMainTrackClip(c) && !isLocked(c));
+  const end = getMainTrackEnd(clips);
+  let result = [...main.map((c) => shift(c, end)), ...clips];
+  if (main.length) {
+    result = moveClips(
+      result,
+      main.map((c) => c.id),
+      at - end,
+      options
+    );
+  }
+
+  for (const clip of copies) {
+    if (isMainTrackClip(clip)) continue;
+    if (isOverlayClip(clip)) {
+      result = insertOverlayClip(result, clip, clip.startTime + at, {
+        isLocked,
+      });
+    } else if (isAudioClip(clip)) {
+      result = insertAudioClip(result, clip, clip.startTime + at, {
+        isLocked,
+      });
+    } else if (!isLocked(clip)) {
+      result = [...result, shift(clip, at)];
+    }
+  }
+  return layerAudioClips(result, { isLocked });
+}
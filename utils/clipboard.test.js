@@ -0,0 +1,144 @@
+import { describe, expect, it } from "vitest";
+import { createClipboard, getClipboardClips, pasteClips } from "./clipboard";
+import { isMainTrackClip, sortByStart } from "./timelineEngine";
+
+const video = (id, startTime, length, extra = {}) => ({
+  id,
+  type: "video",
+  url: `/${id}.mp4`,
+  fileName: `${id}.mp4`,
+  duration: length,
+  startTime,
+  endTime: startTime + length,
+  trimStart: 0,
+  trimEnd: 0,
+  hasAudio: true,
+  track: 0,
+  ...extra,
+});
+
+const audio = (id, startTime, length, track = 0, extra = {}) => ({
+  ...video(id, startTime, length, extra),
+  type: "audio",
+  track,
+});
+
+const byId = (clips, id) => clips.find((c) => c.id === id);
+
+const mainTrack = (clips) =>
+  sortByStart(clips.filter(isMainTrackClip)).map((c) => [
+    c.id,
+    c.startTime,
+    c.endTime,
+  ]);
+
+// Copy `ids` out of `clips` and give the copies "<id>-copy" ids
+const copy = (clips, ids) =>
+  getClipboardClips(createClipboard(clips, ids), (c) => `${c.id}-copy`);
+
+describe("createClipboard", () => {
+  it("stores times relative to the earliest copied clip, without gaps", () => {
+    const clipboard = createClipboard(
+      [
+        video("a", 2, 2),
+        video("b", 4, 3),
+        { ...video("g", 7, 1), type: "gap" },
+      ],
+      ["b", "a", "g"]
+    );
+    expect(clipboard.clips.map((c) => [c.id, c.startTime, c.endTime])).toEqual([
+      ["a", 0, 2],
+      ["b", 2, 5],
+    ]);
+    expect(clipboard.urls).toEqual({ a: "/a.mp4", b: "/b.mp4" });
+  });
+
+  it("returns null when nothing can be copied", () => {
+    expect(createClipboard([video("a", 0, 2)], [])).toBeNull();
+  });
+});
+
+describe("getClipboardClips", () => {
+  it("relinks detached sound only when its video was copied too", () => {
+    const clips = [
+      video("a", 0, 2, { hasAudio: false, audioDetached: true }),
+      audio("m", 0, 2, 0, { linkedClipId: "a" }),
+    ];
+    expect(byId(copy(clips, ["a", "m"]), "m-copy").linkedClipId).toBe("a-copy");
+    expect(byId(copy(clips, ["m"]), "m-copy").linkedClipId).toBeUndefined();
+  });
+});
+
+describe("pasteClips", () => {
+  const timeline = () => [video("a", 0, 4), video("b", 4, 4), audio("m", 0, 8)];
+
+  it("lands on a cut before the clip that starts there", () => {
+    const clips = timeline();
+    const pasted = pasteClips(clips, copy(clips, ["b"]), 4);
+    expect(mainTrack(pasted)).toEqual([
+      ["a", 0, 4],
+      ["b-copy", 4, 8],
+      ["b", 8, 12],
+    ]);
+  });
+
+  it("lands main-track copies as one block in ripple mode", () => {
+    const clips = timeline();
+    const pasted = pasteClips(clips, copy(clips, ["a"]), 5);
+    expect(mainTrack(pasted)).toEqual([
+      ["a", 0, 4],
+      ["b", 4, 8],
+      ["a-copy", 8, 12],
+    ]);
+  });
+
+  it("overwrites what the block covers in overwrite mode", () => {
+    const clips = timeline();
+    const pasted = pasteClips(clips, copy(clips, ["a"]), 2, {
+      mode: "overwrite",
+    });
+    expect(mainTrack(pasted)).toEqual([
+      ["a", 0, 2],
+      ["a-copy", 2, 6],
+      ["b", 6, 8],
+    ]);
+  });
+
+  it("puts audio on its own layer, or the lowest free one", () => {
+    const clips = timeline();
+    const pasted = pasteClips(clips, copy(clips, ["m"]), 2);
+    expect(byId(pasted, "m-copy")).toMatchObject({
+      startTime: 2,
+      endTime: 10,
+      track: 1,
+    });
+  });
+
+  it("keeps the copies' offsets to each other", () => {
+    const clips = [...timeline(), audio("n", 3, 1, 1)];
+    const pasted = pasteClips(clips, copy(clips, ["m", "n"]), 20);
+    expect(byId(pasted, "m-copy").startTime).toBe(20);
+    expect(byId(pasted, "n-copy").startTime).toBe(23);
+  });
+
+  it("leaves out copies whose track is locked", () => {
+    const clips = timeline();
+    const isLocked = (c) => isMainTrackClip(c);
+    const pasted = pasteClips(clips, copy(clips, ["a", "m"]), 8, { isLocked });
+    expect(byId(pasted, "a-copy")).toBeUndefined();
+    expect(byId(pasted, "m-copy")).toBeDefined();
+    expect(mainTrack(pasted)).toEqual(mainTrack(clips));
+  });
+
+  it("moves audio off a locked layer", () => {
+    const clips = timeline();
+    const isLocked = (c) => c.type === "audio" && (c.track || 0) === 0;
+    const pasted = pasteClips(
+      clips.filter((c) => c.id !== "m"),
+      copy(clips, ["m"]),
+      0,
+      { isLocked }
+    );
+    expect(byId(pasted, "m-copy").track).toBe(1);
+  });
+});
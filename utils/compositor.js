@@ -0,0 +1,322 @@
+// utils/compositor.js
+//
+// Draws one frame of the edit onto a 2D canvas. Used by the preview and by
+// export so both produce the same picture.
+import {
+  getActiveTransition,
+  getActiveVisualClips,
+  getClipTransform,
+  isTextClip,
+} from "./timelineEngine";
+import { getTextStyle } from "./textClips";
+import { getActiveSubtitle, getCaptionClip } from "./subtitles";
+import { getDipColor } from "./transitions";
+
+// Project frame size; clip positions are stored relative to it, so any
+// output resolution with the same aspect ratio renders identically.
+export const FRAME_WIDTH = 1280;
+export const FRAME_HEIGHT = 720;
+
+// Project background: shown in gaps and around clips smaller than the frame
+export const DEFAULT_BACKGROUND = "#000000";
+
+// Text metrics, in font sizes
+const TEXT_LINE_HEIGHT = 1.2;
+const TEXT_BOX_PADDING = 0.35;
+
+// Stand-in for clips whose media is offline or failed to load
+const MISSING_FILL = "#374151";
+const MISSING_TEXT = "Media offline";
+
+const sourceSize = (source) => ({
+  width: source.videoWidth || source.naturalWidth || source.width || 0,
+  height: source.videoHeight || source.naturalHeight || source.height || 0,
+});
+
+// A media element that can be drawn right now
+export function isSourceReady(source) {
+  if (!source) return false;
+  if (typeof HTMLVideoElement !== "undefined" && source instanceof HTMLVideoElement) {
+    return source.readyState >= 2 && source.videoWidth > 0;
+  }
+  if (typeof HTMLImageElement !== "undefined" && source instanceof HTMLImageElement) {
+    return source.complete && source.naturalWidth > 0;
+  }
+  return true; // ImageBitmap / VideoFrame / canvas
+}
+
+/**
+ * Rectangle a source of `srcWidth` x `srcHeight` occupies in a
+ * `width` x `height` frame: fitted inside the frame (object-fit: contain),
+ * then scaled and offset by the clip transform.
+ */
+export function getFitRect(srcWidth, srcHeight, width, height, transform) {
+  const { x, y, scale } = transform;
+  const fit = Math.min(width / srcWidth, height / srcHeight) * scale;
+  const w = srcWidth * fit;
+  const h = srcHeight * fit;
+  return {
+    x: width / 2 + x * width - w / 2,
+    y: height / 2 + y * height - h / 2,
+    width: w,
+    height: h,
+  };
+}
+
+function drawClip(ctx, clip, source, width, height) {
+  const { width: sw, height: sh } = sourceSize(source);
+  if (!sw || !sh) return;
+
+  const transform = getClipTransform(clip);
+  const rect = getFitRect(sw, sh, width, height, transform);
+
+  ctx.save();
+  // Multiplies any alpha already set by a transition
+  ctx.globalAlpha *= Math.max(0, Math.min(1, transform.opacity));
+  ctx.drawImage(source, rect.x, rect.y, rect.width, rect.height);
+  ctx.restore();
+}
+
+/**
+ * Where a text clip sits in a `width` x `height` frame. The font size is
+ * given on the 720p project frame, so text keeps its proportions at any
+ * output resolution. `rect` is the background box (also the hit area).
+ * @param {CanvasRenderingContext2D} ctx - used to measure the text
+ */
+export function getTextLayout(ctx, clip, width, height) {
+  const style = getTextStyle(clip);
+  const { x, y, scale } = getClipTransform(clip);
+  const fontSize = style.fontSize * (height / FRAME_HEIGHT) * scale;
+  const font = `${style.fontWeight} ${fontSize}px ${style.fontFamily}`;
+  const lines = String(style.text).split("\n");
+
+  ctx.save();
+  ctx.font = font;
+  const textWidth = Math.max(0, ...lines.map((l) => ctx.measureText(l).width));
+  ctx.restore();
+
+  const padding = fontSize * TEXT_BOX_PADDING;
+  const lineHeight = fontSize * TEXT_LINE_HEIGHT;
+  const boxWidth = textWidth + padding * 2;
+  const boxHeight = lines.length * lineHeight + padding * 2;
+
+  return {
+    style,
+    font,
+    fontSize,
+    lines,
+    lineHeight,
+    padding,
+    rect: {
+      x: width / 2 + x * width - boxWidth / 2,
+      y: height / 2 + y * height - boxHeight / 2,
+      width: boxWidth,
+      height: boxHeight,
+    },
+  };
+}
+
+function drawTextClip(ctx, clip, width, height) {
+  const { style, font, fontSize, lines, lineHeight, padding, rect } =
+    getTextLayout(ctx, clip, width, height);
+  const opacity =
+    ctx.globalAlpha * Math.max(0, Math.min(1, getClipTransform(clip).opacity));
+
+  ctx.save();
+  if (style.background) {
+    ctx.globalAlpha = opacity * style.backgroundOpacity;
+    ctx.fillStyle = style.background;
+    ctx.beginPath();
+    if (ctx.roundRect) {
+      ctx.roundRect(rect.x, rect.y, rect.width, rect.height, padding / 2);
+    } else {
+      ctx.rect(rect.x, rect.y, rect.width, rect.height);
+    }
+    ctx.fill();
+  } else {
+    // No box: a soft shadow keeps text readable over bright footage
+    ctx.shadowColor = "rgba(0, 0, 0, 0.6)";
+    ctx.shadowBlur = fontSize * 0.1;
+  }
+
+  ctx.globalAlpha = opacity;
+  ctx.font = font;
+  ctx.fillStyle = style.color;
+  ctx.textAlign = style.align;
+  ctx.textBaseline = "middle";
+  const textX =
+    style.align === "left"
+      ? rect.x + padding
+      : style.align === "right"
+      ? rect.x + rect.width - padding
+      : rect.x + rect.width / 2;
+  lines.forEach((line, i) => {
+    ctx.fillText(line, textX, rect.y + padding + lineHeight * (i + 0.5));
+  });
+  ctx.restore();
+}
+
+// Grey box where the clip's media would be (sized like a full frame)
+function drawMissingClip(ctx, clip, width, height) {
+  const transform = getClipTransform(clip);
+  const rect = getFitRect(width, height, width, height, transform);
+
+  ctx.save();
+  ctx.globalAlpha *= Math.max(0, Math.min(1, transform.opacity));
+  ctx.fillStyle = MISSING_FILL;
+  ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+  ctx.font = `${Math.round(rect.height * 0.05)}px sans-serif`;
+  ctx.fillStyle = "#ffffff";
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.fillText(
+    MISSING_TEXT,
+    rect.x + rect.width / 2,
+    rect.y + rect.height / 2,
+    rect.width
+  );
+  ctx.restore();
+}
+
+function drawLayer(ctx, { clip, source, missing }, width, height) {
+  if (isTextClip(clip)) drawTextClip(ctx, clip, width, height);
+  else if (missing) drawMissingClip(ctx, clip, width, height);
+  else if (isSourceReady(source)) drawClip(ctx, clip, source, width, height);
+}
+
+function fillFrame(ctx, color, width, height, alpha = 1) {
+  ctx.save();
+  ctx.globalAlpha = alpha;
+  ctx.fillStyle = color;
+  ctx.fillRect(0, 0, width, height);
+  ctx.restore();
+}
+
+// Blend the outgoing and incoming main-track clips of a transition
+function drawTransition(
+  ctx,
+  { type, progress },
+  from,
+  to,
+  width,
+  height,
+  background
+) {
+  const p = Math.max(0, Math.min(1, progress));
+
+  switch (type) {
+    case "dipToBlack":
+    case "dipToWhite": {
+      // First half fades the outgoing clip to the colour, second half back
+      const color = getDipColor(type);
+      if (p < 0.5) {
+        drawLayer(ctx, from, width, height);
+        fillFrame(ctx, color, width, height, p * 2);
+      } else {
+        drawLayer(ctx, to, width, height);
+        fillFrame(ctx, color, width, height, (1 - p) * 2);
+      }
+      return;
+    }
+
+    case "wipe": {
+      // Incoming clip revealed left to right
+      drawLayer(ctx, from, width, height);
+      ctx.save();
+      ctx.beginPath();
+      ctx.rect(0, 0, width * p, height);
+      ctx.clip();
+      fillFrame(ctx, background, width, height);
+      drawLayer(ctx, to, width, height);
+      ctx.restore();
+      return;
+    }
+
+    case "slide": {
+      // Incoming clip pushes the outgoing one out to the left
+      ctx.save();
+      ctx.translate(-width * p, 0);
+      drawLayer(ctx, from, width, height);
+      ctx.restore();
+      ctx.save();
+      ctx.translate(width * (1 - p), 0);
+      fillFrame(ctx, background, width, height);
+      drawLayer(ctx, to, width, height);
+      ctx.restore();
+      return;
+    }
+
+    default: {
+      // Crossfade
+      drawLayer(ctx, from, width, height);
+      ctx.save();
+      ctx.globalAlpha = p;
+      drawLayer(ctx, to, width, height);
+      ctx.restore();
+    }
+  }
+}
+
+/**
+ * Composite every visual clip active at `time`, bottom track first, with
+ * the subtitle cue showing at `time` (if any) captioned on top. Main-track
+ * clips overlapping for a transition are blended together.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {object} params
+ *  - clips         : Array (full clip list)
+ *  - time          : number (timeline sec)
+ *  - width, height : output size in pixels
+ *  - getSource     : (clip) => drawable media element for the clip, or null
+ *                    when it has none (offline, failed to load); not called
+ *                    for text clips, which are drawn directly
+ *  - background    : fill colour behind everything (default black)
+ *  - holdIfNotReady: leave the canvas untouched (keep the last frame) when a
+ *                    clip's media is still loading, instead of drawing a gap
+ *  - drawMissing   : draw a placeholder for clips without media (otherwise
+ *                    they are left out like a gap)
+ * @returns {boolean} whether the frame was drawn
+ */
+export function drawFrame(
+  ctx,
+  {
+    clips,
+    time,
+    width,
+    height,
+    getSource,
+    background = DEFAULT_BACKGROUND,
+    holdIfNotReady = false,
+    drawMissing = false,
+  }
+) {
+  const layers = getActiveVisualClips(clips, time).map((clip) => {
+    const source = isTextClip(clip) ? null : getSource(clip);
+    const missing = drawMissing && !isTextClip(clip) && !source;
+    return { clip, source, missing };
+  });
+
+  // Missing media never loads, so only pending sources are waited for
+  if (
+    holdIfNotReady &&
+    layers.some(({ source }) => source && !isSourceReady(source))
+  ) {
+    return false;
+  }
+
+  fillFrame(ctx, background, width, height);
+
+  const transition = getActiveTransition(clips, time);
+  for (const layer of layers) {
+    if (transition && layer.clip.id === transition.from.id) {
+      const to = layers.find((l) => l.clip.id === transition.to.id);
+      if (to) drawTransition(ctx, transition, layer, to, width, height, background);
+      else drawLayer(ctx, layer, width, height);
+    } else if (!transition || layer.clip.id !== transition.to.id) {
+      drawLayer(ctx, layer, width, height);
+    }
+  }
+
+  const cue = getActiveSubtitle(clips, time);
+  if (cue?.text) drawTextClip(ctx, getCaptionClip(cue), width, height);
+  return true;
+}
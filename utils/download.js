@@ -0,0 +1,17 @@
+// utils/download.js
+//
+// Browser downloads of files built in the page (projects, chapters,
+// subtitles).
+
+// Trigger a browser download of `text` as a file named `fileName`
+export function downloadText(text, fileName, mimeType = "text/plain") {
+  const blob = new Blob([text], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,449 @@
+// utils/exporter.js
+//
+// Offline render of the timeline to a video file, entirely in the browser.
+// Frames are composited with the preview's drawFrame and encoded with
+// WebCodecs; the audio is mixed in an OfflineAudioContext through the same
+// graph as live playback (audioGraph.js). The encoded streams are muxed
+// into WebM (VP9/VP8 + Opus) or MP4 (H.264 + AAC/Opus).
+/* global VideoEncoder, AudioEncoder, VideoFrame, AudioData */
+import * as Mp4Muxer from "mp4-muxer";
+import * as WebmMuxer from "webm-muxer";
+import { drawFrame } from "./compositor";
+import { loadAudioBuffer } from "./audioBuffers";
+import { createMixBus, scheduleTimelineAudio } from "./audioGraph";
+import { getVisibleClips } from "./tracks";
+import {
+  getActiveVisualClips,
+  getClipLength,
+  getClipSourceTime,
+  isAudibleClip,
+  isSubtitleClip,
+  isVisualClip,
+} from "./timelineEngine";
+import { needsTimeStretch, prepareStretchedBuffer } from "./timeStretch";
+
+const AUDIO_SAMPLE_RATE = 48000;
+const AUDIO_CHANNELS = 2;
+// Samples per AudioData handed to the encoder
+const AUDIO_CHUNK_FRAMES = 4096;
+// Keyframe interval (sec)
+const KEYFRAME_INTERVAL = 2;
+// Pending frames allowed in the encoder before we wait for it
+const MAX_ENCODE_QUEUE = 8;
+
+// Output presets (16:9, even dimensions for H.264)
+export const EXPORT_RESOLUTIONS = [
+  { label: "480p", width: 854, height: 480 },
+  { label: "720p", width: 1280, height: 720 },
+  { label: "1080p", width: 1920, height: 1080 },
+];
+
+export const EXPORT_BITRATES = [
+  { label: "Low", value: 2_000_000 },
+  { label: "Medium", value: 5_000_000 },
+  { label: "High", value: 10_000_000 },
+];
+
+export const EXPORT_FRAME_RATES = [24, 25, 30, 60];
+
+// Candidate encoder configs per container, in order of preference
+export const EXPORT_FORMATS = {
+  webm: {
+    label: "WebM",
+    extension: "webm",
+    mimeType: "video/webm",
+    video: [
+      { codec: "vp09.00.10.08", muxerCodec: "V_VP9" },
+      { codec: "vp8", muxerCodec: "V_VP8" },
+    ],
+    audio: [{ codec: "opus", muxerCodec: "A_OPUS" }],
+  },
+  mp4: {
+    label: "MP4",
+    extension: "mp4",
+    mimeType: "video/mp4",
+    video: [
+      { codec: "avc1.640028", muxerCodec: "avc" },
+      { codec: "avc1.4d0028", muxerCodec: "avc" },
+    ],
+    audio: [
+      { codec: "mp4a.40.2", muxerCodec: "aac" },
+      { codec: "opus", muxerCodec: "opus" },
+    ],
+  },
+};
+
+export const isExportAvailable = () =>
+  typeof window !== "undefined" &&
+  "VideoEncoder" in window &&
+  "AudioEncoder" in window &&
+  "OfflineAudioContext" in window;
+
+const abortError = () => new DOMException("Export cancelled", "AbortError");
+
+const throwIfAborted = (signal) => {
+  if (signal?.aborted) throw abortError();
+};
+
+// First candidate the browser can encode with `extra` settings
+async function pickConfig(Encoder, candidates, extra) {
+  for (const candidate of candidates) {
+    const config = { codec: candidate.codec, ...extra };
+    try {
+      const { supported } = await Encoder.isConfigSupported(config);
+      if (supported) return { config, muxerCodec: candidate.muxerCodec };
+    } catch {}
+  }
+  return null;
+}
+
+/**
+ * Resolve the encoder configs for an export, or explain why it can't run.
+ * @returns {Promise<{video, audio}>} where each is { config, muxerCodec }
+ */
+export async function getExportConfig({
+  format,
+  width,
+  height,
+  fps,
+  videoBitrate,
+  audioBitrate,
+}) {
+  if (!isExportAvailable()) {
+    throw new Error("This browser does not support WebCodecs video export");
+  }
+  const preset = EXPORT_FORMATS[format];
+  if (!preset) throw new Error(`Unknown export format: ${format}`);
+
+  const video = await pickConfig(VideoEncoder, preset.video, {
+    width,
+    height,
+    bitrate: videoBitrate,
+    framerate: fps,
+  });
+  if (!video) {
+    throw new Error(`${preset.label} video encoding is not supported here`);
+  }
+
+  const audio = await pickConfig(AudioEncoder, preset.audio, {
+    sampleRate: AUDIO_SAMPLE_RATE,
+    numberOfChannels: AUDIO_CHANNELS,
+    bitrate: audioBitrate,
+  });
+  if (!audio) {
+    throw new Error(`${preset.label} audio encoding is not supported here`);
+  }
+
+  return { video, audio };
+}
+
+function createMuxer(format, { width, height, fps, video, audio }) {
+  if (format === "mp4") {
+    const target = new Mp4Muxer.ArrayBufferTarget();
+    const muxer = new Mp4Muxer.Muxer({
+      target,
+      video: { codec: video.muxerCodec, width, height, frameRate: fps },
+      audio: {
+        codec: audio.muxerCodec,
+        numberOfChannels: AUDIO_CHANNELS,
+        sampleRate: AUDIO_SAMPLE_RATE,
+      },
+      fastStart: "in-memory",
+      firstTimestampBehavior: "offset",
+    });
+    return { muxer, target };
+  }
+
+  const target = new WebmMuxer.ArrayBufferTarget();
+  const muxer = new WebmMuxer.Muxer({
+    target,
+    video: { codec: video.muxerCodec, width, height, frameRate: fps },
+    audio: {
+      codec: audio.muxerCodec,
+      numberOfChannels: AUDIO_CHANNELS,
+      sampleRate: AUDIO_SAMPLE_RATE,
+    },
+    firstTimestampBehavior: "offset",
+  });
+  return { muxer, target };
+}
+
+/**
+ * Mix every audible clip (audio clips and videos with sound) into one
+ * stereo buffer covering [0, duration), applying each clip's gain, fades
+ * and volume envelope and the track mute / solo / volume / pan. Clips
+ * overlapping in a transition crossfade their sound over the overlap.
+ */
+export async function mixTimelineAudio(
+  clips,
+  duration,
+  { signal, tracks = {} } = {}
+) {
+  const length = Math.max(1, Math.ceil(duration * AUDIO_SAMPLE_RATE));
+  const offline = new OfflineAudioContext(AUDIO_CHANNELS, length, AUDIO_SAMPLE_RATE);
+
+  const buffers = new Map(); // clipId -> AudioBuffer
+  for (const clip of clips.filter(isAudibleClip)) {
+    throwIfAborted(signal);
+    if (!clip.url || getClipLength(clip) <= 0 || clip.startTime >= duration) {
+      continue;
+    }
+    try {
+      const { decoded } = await loadAudioBuffer(clip.url);
+      if (needsTimeStretch(clip)) await prepareStretchedBuffer(decoded, clip);
+      buffers.set(clip.id, decoded);
+    } catch (err) {
+      console.warn(`⚠️ Skipping audio of ${clip.fileName}:`, err);
+    }
+  }
+
+  // Same graph and scheduling as live playback
+  const bus = createMixBus(offline, offline.destination, tracks);
+  scheduleTimelineAudio({
+    context: offline,
+    clips,
+    getBuffer: (clip) => buffers.get(clip.id) || null,
+    getDestination: bus.trackInput,
+    until: duration,
+  });
+
+  throwIfAborted(signal);
+  return offline.startRendering();
+}
+
+// Feed a rendered AudioBuffer to the encoder in fixed-size chunks
+function encodeAudioBuffer(encoder, buffer) {
+  const channels = Array.from({ length: AUDIO_CHANNELS }, (_, c) =>
+    buffer.getChannelData(Math.min(c, buffer.numberOfChannels - 1))
+  );
+
+  for (let offset = 0; offset < buffer.length; offset += AUDIO_CHUNK_FRAMES) {
+    const frames = Math.min(AUDIO_CHUNK_FRAMES, buffer.length - offset);
+    const planar = new Float32Array(frames * AUDIO_CHANNELS);
+    channels.forEach((data, c) => {
+      planar.set(data.subarray(offset, offset + frames), c * frames);
+    });
+
+    const audioData = new AudioData({
+      format: "f32-planar",
+      sampleRate: AUDIO_SAMPLE_RATE,
+      numberOfFrames: frames,
+      numberOfChannels: AUDIO_CHANNELS,
+      timestamp: Math.round((offset / AUDIO_SAMPLE_RATE) * 1e6),
+      data: planar,
+    });
+    encoder.encode(audioData);
+    audioData.close();
+  }
+}
+
+function waitForEvent(el, event, errorMessage) {
+  return new Promise((resolve, reject) => {
+    const onDone = () => {
+      el.removeEventListener("error", onError);
+      resolve();
+    };
+    const onError = () => {
+      el.removeEventListener(event, onDone);
+      reject(new Error(errorMessage));
+    };
+    el.addEventListener(event, onDone, { once: true });
+    el.addEventListener("error", onError, { once: true });
+  });
+}
+
+async function loadVideoElement(url) {
+  const el = document.createElement("video");
+  el.preload = "auto";
+  el.muted = true;
+  el.playsInline = true;
+  el.crossOrigin = "anonymous";
+  const loaded = waitForEvent(el, "loadeddata", `Failed to load ${url}`);
+  el.src = url;
+  await loaded;
+  return el;
+}
+
+async function loadImageElement(url) {
+  const img = new Image();
+  img.crossOrigin = "anonymous";
+  const loaded = waitForEvent(img, "load", `Failed to load ${url}`);
+  img.src = url;
+  await loaded;
+  return img;
+}
+
+// Seek and wait until the frame at `time` is decoded
+async function seekVideoElement(el, time) {
+  const target = Math.max(0, Math.min(time, (el.duration || time) - 0.001));
+  if (Math.abs(el.currentTime - target) < 0.001 && el.readyState >= 2) return;
+  const seeked = waitForEvent(el, "seeked", "Seek failed during export");
+  el.currentTime = target;
+  await seeked;
+}
+
+function releaseVideoElement(el) {
+  el.removeAttribute("src");
+  el.load();
+}
+
+/**
+ * Render the timeline to a video file.
+ * @param {object} params
+ *  - clips        : Array (full clip list)
+ *  - tracks       : track states (see tracks.js); hidden tracks are not drawn
+ *  - burnSubtitles: draw the subtitle cues into the picture (default true)
+ *  - background   : project background colour (shown in gaps)
+ *  - duration     : number (sec), length of the edit
+ *  - width, height: output size in pixels
+ *  - fps          : frames per second
+ *  - videoBitrate : bits per second
+ *  - audioBitrate : bits per second
+ *  - format       : "webm" | "mp4"
+ *  - signal       : AbortSignal to cancel the export
+ *  - onProgress   : ({ phase: "audio" | "video" | "finalizing", progress: 0..1 }) => void
+ * @returns {Promise<Blob>}
+ */
+export async function exportTimeline({
+  clips,
+  tracks = {},
+  duration,
+  width,
+  height,
+  fps = 30,
+  videoBitrate = 5_000_000,
+  audioBitrate = 128_000,
+  format = "webm",
+  burnSubtitles = true,
+  background,
+  signal,
+  onProgress = () => {},
+}) {
+  if (!(duration > 0)) throw new Error("Nothing to export: the timeline is empty");
+
+  const { video, audio } = await getExportConfig({
+    format,
+    width,
+    height,
+    fps,
+    videoBitrate,
+    audioBitrate,
+  });
+  const { muxer, target } = createMuxer(format, { width, height, fps, video, audio });
+
+  let encodeError = null;
+  const onError = (err) => {
+    encodeError = encodeError || err;
+  };
+  const videoEncoder = new VideoEncoder({
+    output: (chunk, meta) => muxer.addVideoChunk(chunk, meta),
+    error: onError,
+  });
+  const audioEncoder = new AudioEncoder({
+    output: (chunk, meta) => muxer.addAudioChunk(chunk, meta),
+    error: onError,
+  });
+  videoEncoder.configure(video.config);
+  audioEncoder.configure(audio.config);
+
+  const videos = new Map(); // clipId -> HTMLVideoElement
+  const images = new Map(); // url -> HTMLImageElement
+
+  const checkState = () => {
+    throwIfAborted(signal);
+    if (encodeError) throw encodeError;
+  };
+
+  try {
+    // 1) Audio mix
+    onProgress({ phase: "audio", progress: 0 });
+    const mix = await mixTimelineAudio(clips, duration, { signal, tracks });
+    checkState();
+    encodeAudioBuffer(audioEncoder, mix);
+    onProgress({ phase: "audio", progress: 1 });
+
+    // 2) Frames
+    const canvas =
+      typeof OffscreenCanvas !== "undefined"
+        ? new OffscreenCanvas(width, height)
+        : Object.assign(document.createElement("canvas"), { width, height });
+    const ctx = canvas.getContext("2d");
+
+    const shownClips = getVisibleClips(clips, tracks).filter(
+      (c) => burnSubtitles || !isSubtitleClip(c)
+    );
+    const visualClips = shownClips.filter(isVisualClip);
+    const totalFrames = Math.max(1, Math.ceil(duration * fps));
+    const frameDuration = Math.round(1e6 / fps);
+    const keyframeEvery = Math.max(1, Math.round(fps * KEYFRAME_INTERVAL));
+
+    for (let i = 0; i < totalFrames; i++) {
+      checkState();
+      const time = i / fps;
+
+      // Free elements of clips that have finished
+      for (const [clipId, el] of videos) {
+        const clip = visualClips.find((c) => c.id === clipId);
+        if (!clip || time >= clip.endTime) {
+          releaseVideoElement(el);
+          videos.delete(clipId);
+        }
+      }
+
+      // Load and position the media of every clip on screen
+      for (const clip of getActiveVisualClips(shownClips, time)) {
+        if (!clip.url) continue;
+        if (clip.type === "image") {
+          if (!images.has(clip.url)) {
+            images.set(clip.url, await loadImageElement(clip.url));
+          }
+          continue;
+        }
+        let el = videos.get(clip.id);
+        if (!el) {
+          el = await loadVideoElement(clip.url);
+          videos.set(clip.id, el);
+        }
+        await seekVideoElement(el, getClipSourceTime(clip, time));
+      }
+      checkState();
+
+      drawFrame(ctx, {
+        clips: shownClips,
+        background,
+        time,
+        width,
+        height,
+        getSource: (clip) =>
+          clip.type === "image" ? images.get(clip.url) : videos.get(clip.id),
+      });
+
+      const frame = new VideoFrame(canvas, {
+        timestamp: i * frameDuration,
+        duration: frameDuration,
+      });
+      videoEncoder.encode(frame, { keyFrame: i % keyframeEvery === 0 });
+      frame.close();
+
+      while (videoEncoder.encodeQueueSize > MAX_ENCODE_QUEUE) {
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        checkState();
+      }
+
+      onProgress({ phase: "video", progress: (i + 1) / totalFrames });
+    }
+
+    // 3) Flush and mux
+    onProgress({ phase: "finalizing", progress: 1 });
+    await Promise.all([videoEncoder.flush(), audioEncoder.flush()]);
+    checkState();
+    muxer.finalize();
+
+    return new Blob([target.buffer], { type: EXPORT_FORMATS[format].mimeType });
+  } finally {
+    for (const el of videos.values()) releaseVideoElement(el);
+    images.clear();
+    if (videoEncoder.state !== "closed") videoEncoder.close();
+    if (audioEncoder.state !== "closed") audioEncoder.close();
+  }
+}
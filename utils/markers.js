@@ -0,0 +1,74 @@
+// utils/markers.js
+//
+// Timeline markers: named, coloured points (beats, review notes, chapter
+// starts) or ranges when they have a duration. Kept on the project as
+//   markers: [{ id, time, name, color, duration }]
+// sorted by time. `duration` 0 is a point marker.
+
+export const MARKER_COLORS = [
+  "#F59E0B", // amber
+  "#EF4444", // red
+  "#10B981", // green
+  "#3B82F6", // blue
+  "#8B5CF6", // violet
+  "#EC4899", // pink
+];
+
+export const sortMarkers = (markers) =>
+  [...markers].sort((a, b) => a.time - b.time);
+
+/**
+ * New marker at `time`, named after its position among `markers`.
+ * @param {object} params
+ *  - id      : string
+ *  - time    : timeline time (sec)
+ *  - markers : existing markers (for the default name and colour)
+ */
+export function createMarker({ id, time, markers = [] }) {
+  return {
+    id,
+    time: Math.max(0, time),
+    name: `Marker ${markers.length + 1}`,
+    color: MARKER_COLORS[markers.length % MARKER_COLORS.length],
+    duration: 0,
+  };
+}
+
+export const addMarker = (markers, marker) => sortMarkers([...markers, marker]);
+
+export const updateMarker = (markers, markerId, updates) =>
+  sortMarkers(
+    markers.map((m) => (m.id === markerId ? { ...m, ...updates } : m))
+  );
+
+export const removeMarker = (markers, markerId) =>
+  markers.filter((m) => m.id !== markerId);
+
+/**
+ * The marker before (`direction` -1) or after (1) timeline time `time`, or
+ * null. Markers within a frame of `time` count as "at" it and are skipped.
+ */
+export function getAdjacentMarker(markers, time, direction) {
+  const EPSILON = 1 / 60;
+  const sorted = sortMarkers(markers);
+  if (direction < 0) {
+    return [...sorted].reverse().find((m) => m.time < time - EPSILON) || null;
+  }
+  return sorted.find((m) => m.time > time + EPSILON) || null;
+}
+
+// Markers read from a project file, with bad entries dropped
+export function normalizeMarkers(raw) {
+  if (!Array.isArray(raw)) return [];
+  return sortMarkers(
+    raw
+      .filter((m) => m && Number.isFinite(Number(m.time)))
+      .map((m, i) => ({
+        id: String(m.id ?? `marker-${i}`),
+        time: Math.max(0, Number(m.time)),
+        name: String(m.name ?? ""),
+        color: /^#[0-9a-f]{6}$/i.test(m.color) ? m.color : MARKER_COLORS[0],
+        duration: Math.max(0, Number(m.duration) || 0),
+      }))
+  );
+}
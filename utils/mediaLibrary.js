@@ -0,0 +1,106 @@
+// utils/mediaLibrary.js
+// Glue between clips and the IndexedDB media store: persisting uploads and
+// rebuilding blob URLs / thumbnails for clips loaded from a saved project.
+import { createMediaId, putMedia, getMedia } from "./mediaStore";
+import {
+  extractThumbnailFromVideo,
+  getImageThumbnail,
+} from "./thumbnailExtractor";
+import { isMediaClip } from "./timelineEngine";
+
+// Thumbnails are blob: URLs made by thumbnailExtractor; read them back as Blobs
+async function thumbnailUrlToBlob(thumbnailUrl) {
+  if (!thumbnailUrl) return null;
+  try {
+    return await (await fetch(thumbnailUrl)).blob();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Store an uploaded file with its thumbnail, under `id` (replacing what was
+ * stored there) or a new mediaId. Resolves with the mediaId, or null when
+ * IndexedDB is unavailable / full (the clip still works for this session,
+ * it just won't survive a reload).
+ */
+export async function persistUpload(
+  file,
+  type,
+  thumbnailUrl = null,
+  id = createMediaId()
+) {
+  try {
+    await putMedia({
+      id,
+      file,
+      type,
+      thumbnail: await thumbnailUrlToBlob(thumbnailUrl),
+    });
+    return id;
+  } catch (err) {
+    console.warn("⚠️ Failed to persist media:", err);
+    return null;
+  }
+}
+
+async function buildThumbnail(type, source, url) {
+  try {
+    if (type === "video") {
+      const blob = source || (await (await fetch(url)).blob());
+      return await extractThumbnailFromVideo(blob, 1);
+    }
+    if (type === "image") {
+      return source ? await getImageThumbnail(source) : url;
+    }
+  } catch (err) {
+    console.warn("⚠️ Failed to rebuild thumbnail:", err);
+  }
+  return null;
+}
+
+/**
+ * Give a loaded clip a playable URL and a thumbnail again.
+ * Sources, in order: a relinked file, the IndexedDB asset (clip.mediaId),
+ * then the URL stored in the project (e.g. files in /public).
+ * @param {object} clip
+ * @param {File|null} file - file picked by the user to relink this clip; it
+ *   is stored in place of the clip's asset (a new one if it has none)
+ */
+export async function hydrateClip(clip, file = null) {
+  if (!isMediaClip(clip)) return clip;
+
+  if (file) {
+    const url = URL.createObjectURL(file);
+    const thumbnail = await buildThumbnail(clip.type, file, url);
+    const mediaId = await persistUpload(
+      file,
+      clip.type,
+      thumbnail,
+      clip.mediaId || undefined
+    );
+    return { ...clip, url, thumbnail, mediaId: mediaId ?? clip.mediaId };
+  }
+
+  if (clip.mediaId) {
+    try {
+      const record = await getMedia(clip.mediaId);
+      if (record?.blob) {
+        const url = URL.createObjectURL(record.blob);
+        const thumbnail = record.thumbnail
+          ? URL.createObjectURL(record.thumbnail)
+          : await buildThumbnail(clip.type, record.blob, url);
+        return { ...clip, url, thumbnail };
+      }
+    } catch (err) {
+      console.warn("⚠️ Failed to read stored media:", err);
+    }
+  }
+
+  if (!clip.url) {
+    console.warn(`⚠️ Media offline for clip ${clip.fileName}`);
+    return clip;
+  }
+
+  return { ...clip, thumbnail: await buildThumbnail(clip.type, null, clip.url) };
+}
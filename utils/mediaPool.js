@@ -0,0 +1,193 @@
+// utils/mediaPool.js
+//
+// Hidden <video> / <img> elements that feed the canvas compositor.
+// Video elements are bound to clips that are on screen or about to be,
+// pre-seeked so cuts don't flash black, and returned to a free list after.
+// They stay muted: sound is played by the audio engine (audioEngine.js).
+import {
+  isVisualClip,
+  getClipSourceTime,
+  getClipSpeed,
+  isClipReversed,
+} from "./timelineEngine";
+
+// Clips starting within this many seconds get a pre-seeked element
+const PRELOAD_AHEAD = 2;
+// Re-seek tolerances (sec): tight when paused/scrubbing, loose while playing
+const SEEK_TOLERANCE_PAUSED = 0.04;
+const SEEK_TOLERANCE_PLAYING = 0.25;
+// Free elements kept around for reuse
+const MAX_FREE_VIDEOS = 4;
+
+function createVideoElement() {
+  const el = document.createElement("video");
+  el.preload = "auto";
+  el.playsInline = true;
+  el.muted = true;
+  el.crossOrigin = "anonymous";
+  return el;
+}
+
+/**
+ * @param {object} options
+ *  - onFrameReady : called when a pooled element has new pixels to draw
+ *                   (seek finished, data loaded, image decoded)
+ */
+export function createMediaPool({ onFrameReady = () => {} } = {}) {
+  const videosByClip = new Map(); // clipId -> { el, url }
+  const freeVideos = [];
+  const images = new Map(); // url -> HTMLImageElement
+  const wired = new WeakSet(); // elements with the pool's listeners
+  const pendingSeeks = new WeakSet(); // waiting for metadata to seek
+  const failed = new WeakSet(); // elements whose current src failed to load
+
+  const acquireVideo = (clip) => {
+    let entry = videosByClip.get(clip.id);
+    if (entry && entry.url === clip.url) return entry.el;
+
+    const el = entry?.el || freeVideos.pop() || createVideoElement();
+    if (!wired.has(el)) {
+      el.addEventListener("seeked", () => onFrameReady());
+      el.addEventListener("loadeddata", () => onFrameReady());
+      el.addEventListener("error", () => {
+        failed.add(el);
+        onFrameReady();
+      });
+      wired.add(el);
+    }
+    failed.delete(el);
+    el.src = clip.url;
+    videosByClip.set(clip.id, { el, url: clip.url });
+    return el;
+  };
+
+  const releaseVideo = (clipId) => {
+    const entry = videosByClip.get(clipId);
+    if (!entry) return;
+    videosByClip.delete(clipId);
+
+    const { el } = entry;
+    try {
+      el.pause();
+    } catch {}
+    el.muted = true;
+    if (freeVideos.length < MAX_FREE_VIDEOS) {
+      freeVideos.push(el);
+    } else {
+      el.removeAttribute("src");
+      el.load();
+    }
+  };
+
+  const getImage = (url) => {
+    let img = images.get(url);
+    if (!img) {
+      img = new Image();
+      img.crossOrigin = "anonymous";
+      img.onload = () => onFrameReady();
+      img.onerror = () => {
+        failed.add(img);
+        onFrameReady();
+      };
+      img.src = url;
+      images.set(url, img);
+    }
+    return img;
+  };
+
+  return {
+    // Drawable element for a clip (see compositor.drawFrame's getSource);
+    // null when the clip is offline or its media failed to load
+    getSource(clip) {
+      if (!clip.url) return null;
+      const el =
+        clip.type === "image"
+          ? getImage(clip.url)
+          : clip.type === "video"
+          ? videosByClip.get(clip.id)?.el
+          : null;
+      return el && !failed.has(el) ? el : null;
+    },
+
+    /**
+     * Bind, seek and play/pause pooled elements for timeline time `time`.
+     * @param {Array} clips
+     * @param {number} time
+     * @param {boolean} isPlaying
+     * @param {number} rate - transport rate (J / L shuttle), negative when
+     *   playing backwards
+     */
+    sync(clips, time, isPlaying, rate = 1) {
+      const wanted = new Set();
+
+      for (const clip of clips) {
+        if (!isVisualClip(clip) || !clip.url) continue;
+
+        if (clip.type === "image") {
+          if (time < clip.endTime && clip.startTime - time < PRELOAD_AHEAD) {
+            getImage(clip.url);
+          }
+          continue;
+        }
+
+        const active = time >= clip.startTime && time < clip.endTime;
+        const upcoming =
+          !active && clip.startTime > time && clip.startTime - time < PRELOAD_AHEAD;
+        if (!active && !upcoming) continue;
+
+        wanted.add(clip.id);
+        const el = acquireVideo(clip);
+        const target = getClipSourceTime(clip, active ? time : clip.startTime);
+        // Speed plays natively; elements can't play backwards, so a reversed
+        // clip (or a backwards shuttle) stays paused and is seeked frame by
+        // frame instead
+        const backwards = isClipReversed(clip) || rate < 0;
+        const elRate = getClipSpeed(clip) * Math.abs(rate);
+        if (el.playbackRate !== elRate) el.playbackRate = elRate;
+        const runs = active && isPlaying && !backwards;
+        const tolerance = runs ? SEEK_TOLERANCE_PLAYING : SEEK_TOLERANCE_PAUSED;
+
+        if (el.readyState >= 1 && Math.abs(el.currentTime - target) > tolerance) {
+          el.currentTime = target;
+        } else if (el.readyState < 1 && !pendingSeeks.has(el)) {
+          pendingSeeks.add(el);
+          el.addEventListener(
+            "loadedmetadata",
+            () => {
+              pendingSeeks.delete(el);
+              onFrameReady();
+            },
+            { once: true }
+          );
+        }
+
+        if (runs) {
+          if (el.paused) el.play().catch(() => {});
+        } else if (!el.paused) {
+          el.pause();
+        }
+      }
+
+      for (const clipId of [...videosByClip.keys()]) {
+        if (!wanted.has(clipId)) releaseVideo(clipId);
+      }
+    },
+
+    pauseAll() {
+      for (const { el } of videosByClip.values()) {
+        try {
+          el.pause();
+        } catch {}
+      }
+    },
+
+    dispose() {
+      for (const clipId of [...videosByClip.keys()]) releaseVideo(clipId);
+      for (const el of freeVideos.splice(0)) {
+        el.removeAttribute("src");
+        el.load();
+      }
+      images.clear();
+    },
+  };
+}
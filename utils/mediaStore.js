@@ -0,0 +1,119 @@
+// utils/mediaStore.js
+//
+// IndexedDB persistence for uploaded media and the autosaved project.
+//
+// Stores:
+//  - media    : { id, blob, thumbnail (Blob|null), fileName, mimeType, type, size, createdAt }
+//  - projects : { id, doc (project file document), updatedAt }
+
+const DB_NAME = "canvaedit";
+const DB_VERSION = 1;
+const MEDIA_STORE = "media";
+const PROJECT_STORE = "projects";
+
+export const AUTOSAVE_PROJECT_ID = "autosave";
+
+let dbPromise = null;
+
+function openDatabase() {
+  if (typeof indexedDB === "undefined") {
+    return Promise.reject(new Error("IndexedDB is not available"));
+  }
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(MEDIA_STORE)) {
+          db.createObjectStore(MEDIA_STORE, { keyPath: "id" });
+        }
+        if (!db.objectStoreNames.contains(PROJECT_STORE)) {
+          db.createObjectStore(PROJECT_STORE, { keyPath: "id" });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+// Run a single request against one object store and resolve with its result
+async function withStore(storeName, mode, run) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = run(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(request?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+export const createMediaId = () =>
+  `media-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Store an uploaded file (and its thumbnail) so it survives reloads.
+ * @param {object} params
+ *  - id        : string (see createMediaId)
+ *  - file      : File | Blob
+ *  - type      : 'video' | 'image' | 'audio'
+ *  - thumbnail : Blob | null
+ */
+export function putMedia({ id, file, type, thumbnail = null }) {
+  return withStore(MEDIA_STORE, "readwrite", (store) =>
+    store.put({
+      id,
+      blob: file,
+      thumbnail,
+      fileName: file.name || id,
+      mimeType: file.type || "",
+      type,
+      size: file.size + (thumbnail?.size || 0),
+      createdAt: Date.now(),
+    })
+  );
+}
+
+export function getMedia(id) {
+  return withStore(MEDIA_STORE, "readonly", (store) => store.get(id));
+}
+
+export function deleteMedia(id) {
+  return withStore(MEDIA_STORE, "readwrite", (store) => store.delete(id));
+}
+
+// All stored assets, without their blobs (for the storage view)
+export async function listMedia() {
+  const records = await withStore(MEDIA_STORE, "readonly", (store) =>
+    store.getAll()
+  );
+  return (records || []).map(({ blob, thumbnail, ...info }) => info);
+}
+
+export function saveProjectDoc(doc, id = AUTOSAVE_PROJECT_ID) {
+  return withStore(PROJECT_STORE, "readwrite", (store) =>
+    store.put({ id, doc, updatedAt: Date.now() })
+  );
+}
+
+export async function loadProjectDoc(id = AUTOSAVE_PROJECT_ID) {
+  const record = await withStore(PROJECT_STORE, "readonly", (store) =>
+    store.get(id)
+  );
+  return record?.doc ?? null;
+}
+
+// Browser-reported usage / quota for this origin, in bytes (null if unknown)
+export async function getStorageEstimate() {
+  if (typeof navigator === "undefined" || !navigator.storage?.estimate) {
+    return { usage: null, quota: null };
+  }
+  const { usage = null, quota = null } = await navigator.storage.estimate();
+  return { usage, quota };
+}
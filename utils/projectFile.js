@@ -0,0 +1,287 @@
+// utils/projectFile.js
+//
+// Versioned JSON project format used by Save / Open.
+//
+// Current schema (version 4):
+// {
+//   format: "canvaedit-project",
+//   version: 4,
+//   name: string,
+//   background: "#rrggbb",   // shown in main-track gaps and around clips
+//   savedAt: ISO-8601 string,
+//   clips: [
+//     {
+//       id, type: "video" | "image" | "audio" | "text" | "subtitle" | "gap",
+//       fileName, mimeType,
+//       url,            // null for blob: URLs (they only live as long as the tab)
+//       mediaId,        // optional, key of the uploaded file in IndexedDB
+//       duration,       // asset length (sec); for images, text, subtitle
+//                       // cues and gaps the on-screen length
+//       startTime, endTime,   // placement on the timeline (sec)
+//       trimStart, trimEnd,   // seconds cut from the head / tail of the asset
+//       speed,          // optional, video / audio playback speed (0.25..4)
+//       reverse,        // optional, play the source backwards
+//       hasAudio,
+//       audioDetached,  // optional, video whose sound was moved to an audio clip
+//       linkedClipId,   // optional, on that audio clip: id of the video
+//       track,          // layer index: visual 0 = main track (where "gap"
+//                       // clips hold empty space), higher = overlays
+//                       // drawn on top; audio: its layer (overlapping
+//                       // clips are kept on different layers)
+//       x, y,           // optional, visual centre offset (fraction of frame)
+//       scale, opacity, // optional, visual compositing (default 1)
+//       gain,           // optional, 0..1 (audible clips)
+//       fadeIn, fadeOut,  // optional, audio fades (sec)
+//       envelope,       // optional, volume keyframes [{ time, gain }]
+//                       // (see audioEnvelope.js)
+//       text,           // text clips and subtitle cues (see subtitles.js)
+//       fontFamily, fontSize, fontWeight, color,        // text clips only
+//       background, backgroundOpacity, align,           // (see textClips.js)
+//       transition,     // optional, { type, duration } into a main-track clip
+//                       // from the one before it (see transitions.js)
+//     }
+//   ],
+//   tracks: {       // optional per-track state, keyed "video-0", "audio-1",
+//                   // "subtitle-0", ...
+//     [trackKey]: { muted, solo, locked, hidden, volume, pan }  // (tracks.js)
+//   },
+//   markers: [      // sorted by time (markers.js)
+//     { id, time, name, color, duration }  // duration 0: a point marker
+//   ],
+//   selection: { clipId: string | null },
+//   view: { timelineZoom: number, videoZoom: number, currentTime: number },
+// }
+//
+// Older files are upgraded step by step through MIGRATIONS before being
+// handed back to the editor, so the rest of the app only ever sees the
+// current shape.
+
+import { normalizeTracks } from "./tracks";
+import { normalizeMarkers } from "./markers";
+import { getClipLength } from "./timelineEngine";
+import { DEFAULT_BACKGROUND } from "./compositor";
+import { downloadText } from "./download";
+import { findInvalidTextStyle, isHexColor } from "./textClips";
+
+export const PROJECT_FORMAT = "canvaedit-project";
+export const PROJECT_SCHEMA_VERSION = 4;
+export const PROJECT_FILE_EXTENSION = ".canvaedit.json";
+
+const DEFAULT_VIEW = { timelineZoom: 1, videoZoom: 1, currentTime: 0 };
+
+// Fields of a clip that are written to disk. Anything else (thumbnails,
+// runtime flags) is rebuilt after loading.
+const CLIP_FIELDS = [
+  "id",
+  "type",
+  "fileName",
+  "mimeType",
+  "url",
+  "mediaId",
+  "duration",
+  "startTime",
+  "endTime",
+  "trimStart",
+  "trimEnd",
+  "speed",
+  "reverse",
+  "hasAudio",
+  "audioDetached",
+  "linkedClipId",
+  "track",
+  "x",
+  "y",
+  "scale",
+  "opacity",
+  "gain",
+  "fadeIn",
+  "fadeOut",
+  "envelope",
+  "text",
+  "fontFamily",
+  "fontSize",
+  "fontWeight",
+  "color",
+  "background",
+  "backgroundOpacity",
+  "align",
+  "transition",
+];
+
+// Each entry upgrades a project from `version` to `version + 1`.
+const MIGRATIONS = {
+  // v0: a bare array of clips, as produced by JSON.stringify(clips)
+  0: (clips) => ({
+    format: PROJECT_FORMAT,
+    version: 1,
+    name: "Untitled project",
+    savedAt: null,
+    clips,
+    selection: { clipId: clips[0]?.id ?? null },
+    view: { ...DEFAULT_VIEW },
+  }),
+  // v1: no track state yet
+  1: (doc) => ({ ...doc, version: 2, tracks: {} }),
+  // v2: no markers yet
+  2: (doc) => ({ ...doc, version: 3, markers: [] }),
+  // v3: always black behind the picture
+  3: (doc) => ({ ...doc, version: 4, background: DEFAULT_BACKGROUND }),
+};
+
+const isTransientUrl = (url) => typeof url === "string" && url.startsWith("blob:");
+
+// A clip as written to disk (also used for the clip clipboard)
+export function serializeClip(clip) {
+  const out = {};
+  for (const key of CLIP_FIELDS) {
+    if (clip[key] !== undefined) out[key] = clip[key];
+  }
+  if (isTransientUrl(out.url)) out.url = null;
+  return out;
+}
+
+function normalizeClip(raw, index) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    throw new Error(`Clip ${index + 1} is not an object`);
+  }
+  const invalidStyle = findInvalidTextStyle(raw);
+  if (invalidStyle) {
+    throw new Error(`Clip "${raw.id}" has an unsupported ${invalidStyle}`);
+  }
+  const duration = Math.max(0, Number(raw.duration) || 0);
+  const trimStart = Math.max(0, Number(raw.trimStart) || 0);
+  const trimEnd = Math.max(0, Number(raw.trimEnd) || 0);
+  const startTime = Math.max(0, Number(raw.startTime) || 0);
+  const visibleLen = getClipLength({ ...raw, duration, trimStart, trimEnd });
+
+  return {
+    ...raw,
+    id: String(raw.id),
+    url: isTransientUrl(raw.url) ? null : raw.url ?? null,
+    duration,
+    startTime,
+    endTime: Number.isFinite(raw.endTime) ? raw.endTime : startTime + visibleLen,
+    trimStart,
+    trimEnd,
+    hasAudio: raw.hasAudio ?? (raw.type === "video" || raw.type === "audio"),
+    thumbnail: null,
+    track: Number(raw.track) || 0,
+  };
+}
+
+/**
+ * Build a project document from the editor state.
+ * @param {object} state
+ *  - clips          : Array
+ *  - tracks         : track states (see tracks.js)
+ *  - markers        : Array (see markers.js)
+ *  - background     : "#rrggbb" (project background)
+ *  - selectedClipId : string | null
+ *  - timelineZoom   : number
+ *  - videoZoom      : number
+ *  - currentTime    : number (playhead, sec)
+ *  - name           : string (optional)
+ */
+export function serializeProject({
+  clips,
+  tracks = {},
+  markers = [],
+  background = DEFAULT_BACKGROUND,
+  selectedClipId = null,
+  timelineZoom = DEFAULT_VIEW.timelineZoom,
+  videoZoom = DEFAULT_VIEW.videoZoom,
+  currentTime = DEFAULT_VIEW.currentTime,
+  name = "Untitled project",
+}) {
+  return {
+    format: PROJECT_FORMAT,
+    version: PROJECT_SCHEMA_VERSION,
+    name,
+    savedAt: new Date().toISOString(),
+    background,
+    clips: clips.map(serializeClip),
+    tracks,
+    markers,
+    selection: { clipId: selectedClipId },
+    view: { timelineZoom, videoZoom, currentTime },
+  };
+}
+
+/**
+ * Upgrade any supported project document to the current schema.
+ * Throws if the input is not a project or comes from a newer editor.
+ */
+export function migrateProject(input) {
+  let doc = input;
+  let version = Array.isArray(doc) ? 0 : doc?.version;
+
+  if (version !== 0) {
+    if (!doc || doc.format !== PROJECT_FORMAT || !Number.isInteger(version)) {
+      throw new Error("Not a project file");
+    }
+  }
+  if (version > PROJECT_SCHEMA_VERSION) {
+    throw new Error(
+      `Project was saved by a newer editor (schema v${version}, this editor supports v${PROJECT_SCHEMA_VERSION})`
+    );
+  }
+
+  while (version < PROJECT_SCHEMA_VERSION) {
+    const migrate = MIGRATIONS[version];
+    if (!migrate) throw new Error(`No migration from schema v${version}`);
+    doc = migrate(doc);
+    version = doc.version;
+  }
+
+  return doc;
+}
+
+/**
+ * Parse project JSON text into editor state (current schema, normalized clips).
+ */
+export function parseProject(text) {
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch {
+    throw new Error("Project file is not valid JSON");
+  }
+  return readProject(raw);
+}
+
+/**
+ * Turn an already-parsed project document (any supported version) into
+ * editor state. Throws on clips that are not objects and on text clips with
+ * a font, weight, alignment or colour the editor does not offer.
+ */
+export function readProject(raw) {
+  const doc = migrateProject(raw);
+  const clips = (Array.isArray(doc.clips) ? doc.clips : []).map(normalizeClip);
+  const selectedClipId = clips.some((c) => c.id === doc.selection?.clipId)
+    ? doc.selection.clipId
+    : clips[0]?.id ?? null;
+
+  return {
+    name: doc.name || "Untitled project",
+    clips,
+    tracks: normalizeTracks(doc.tracks),
+    markers: normalizeMarkers(doc.markers),
+    background: isHexColor(doc.background)
+      ? doc.background
+      : DEFAULT_BACKGROUND,
+    selectedClipId,
+    timelineZoom: Number(doc.view?.timelineZoom) || DEFAULT_VIEW.timelineZoom,
+    videoZoom: Number(doc.view?.videoZoom) || DEFAULT_VIEW.videoZoom,
+    currentTime: Math.max(0, Number(doc.view?.currentTime) || 0),
+  };
+}
+
+// Trigger a browser download of the project as JSON
+export function downloadProject(project) {
+  const safeName = (project.name || "project").replace(/[^\w-]+/g, "_");
+  downloadText(
+    JSON.stringify(project, null, 2),
+    `${safeName}${PROJECT_FILE_EXTENSION}`,
+    "application/json"
+  );
+}
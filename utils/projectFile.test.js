@@ -0,0 +1,141 @@
+import { describe, expect, it } from "vitest";
+import {
+  migrateProject,
+  parseProject,
+  PROJECT_FORMAT,
+  PROJECT_SCHEMA_VERSION,
+  readProject,
+  serializeProject,
+} from "./projectFile";
+
+const clip = (id, extra = {}) => ({
+  id,
+  type: "video",
+  fileName: `${id}.mp4`,
+  url: `/${id}.mp4`,
+  duration: 4,
+  startTime: 0,
+  endTime: 4,
+  trimStart: 0,
+  trimEnd: 0,
+  hasAudio: true,
+  track: 0,
+  ...extra,
+});
+
+const project = (extra = {}) => ({
+  format: PROJECT_FORMAT,
+  version: PROJECT_SCHEMA_VERSION,
+  clips: [],
+  ...extra,
+});
+
+describe("migrateProject", () => {
+  it("upgrades a bare v0 clip array through every schema", () => {
+    const doc = migrateProject([clip("a"), clip("b")]);
+    expect(doc).toMatchObject({
+      format: PROJECT_FORMAT,
+      version: 4,
+      name: "Untitled project",
+      selection: { clipId: "a" },
+      tracks: {},
+      markers: [],
+      background: "#000000",
+    });
+    expect(doc.clips.map((c) => c.id)).toEqual(["a", "b"]);
+  });
+
+  it("starts a migration at the version a file was saved with", () => {
+    const doc = migrateProject(
+      project({ version: 2, tracks: { "audio-0": { muted: true } } })
+    );
+    expect(doc.version).toBe(4);
+    expect(doc.tracks).toEqual({ "audio-0": { muted: true } });
+    expect(doc.markers).toEqual([]);
+  });
+
+  it("leaves current documents alone", () => {
+    const doc = project({ background: "#112233" });
+    expect(migrateProject(doc)).toBe(doc);
+  });
+
+  it("rejects other files and newer schemas", () => {
+    expect(() => migrateProject({ clips: [] })).toThrow("Not a project file");
+    expect(() => migrateProject(null)).toThrow("Not a project file");
+    expect(() => migrateProject(project({ version: 99 }))).toThrow(
+      "saved by a newer editor"
+    );
+  });
+});
+
+describe("readProject", () => {
+  it("normalizes clips and drops blob URLs", () => {
+    const { clips } = readProject(
+      project({
+        clips: [
+          { id: 7, type: "video", url: "blob:x", duration: "4", trimEnd: 1 },
+        ],
+      })
+    );
+    expect(clips[0]).toMatchObject({
+      id: "7",
+      url: null,
+      duration: 4,
+      startTime: 0,
+      endTime: 3,
+      hasAudio: true,
+      track: 0,
+    });
+  });
+
+  it("falls back to defaults for missing or invalid state", () => {
+    const state = readProject(
+      project({
+        clips: [clip("a")],
+        selection: { clipId: "gone" },
+        background: "red",
+        view: { timelineZoom: "x", currentTime: -3 },
+      })
+    );
+    expect(state).toMatchObject({
+      name: "Untitled project",
+      selectedClipId: "a",
+      background: "#000000",
+      timelineZoom: 1,
+      videoZoom: 1,
+      currentTime: 0,
+      tracks: {},
+      markers: [],
+    });
+  });
+
+  it("rejects clips that are not objects", () => {
+    expect(() => readProject(project({ clips: [clip("a"), null] }))).toThrow(
+      "Clip 2 is not an object"
+    );
+    expect(() => readProject(project({ clips: ["a"] }))).toThrow(
+      "Clip 1 is not an object"
+    );
+    expect(() => readProject([[]])).toThrow("Clip 1 is not an object");
+  });
+
+  it("reads back what serializeProject writes", () => {
+    const saved = serializeProject({
+      clips: [clip("a", { thumbnail: "data:x" }), clip("b")],
+      selectedClipId: "b",
+      currentTime: 2,
+      name: "Trip",
+    });
+    const state = parseProject(JSON.stringify(saved));
+    expect(state).toMatchObject({
+      name: "Trip",
+      selectedClipId: "b",
+      currentTime: 2,
+    });
+    expect(state.clips[0]).toMatchObject({ id: "a", thumbnail: null });
+  });
+
+  it("reports text that is not JSON", () => {
+    expect(() => parseProject("{")).toThrow("Project file is not valid JSON");
+  });
+});
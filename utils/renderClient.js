@@ -0,0 +1,103 @@
+// utils/renderClient.js
+//
+// Browser side of the server render API: uploads the media the server is
+// missing (from IndexedDB), queues the job and polls it until it finishes.
+import { getMedia } from "./mediaStore";
+
+const POLL_INTERVAL_MS = 1000;
+
+const abortError = () => new DOMException("Render cancelled", "AbortError");
+
+const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timer);
+        reject(abortError());
+      },
+      { once: true }
+    );
+  });
+
+async function readJson(response) {
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(body.error || `Request failed (${response.status})`);
+  }
+  return body;
+}
+
+// Upload every stored file referenced by the project that the server lacks
+async function uploadMissingMedia(clips, { signal, onProgress }) {
+  const mediaIds = [...new Set(clips.map((c) => c.mediaId).filter(Boolean))];
+
+  for (let i = 0; i < mediaIds.length; i++) {
+    const id = mediaIds[i];
+    const query = `/api/media?id=${encodeURIComponent(id)}`;
+    const head = await fetch(query, { signal });
+
+    if (head.status === 404) {
+      const record = await getMedia(id);
+      if (record?.blob) {
+        await readJson(
+          await fetch(query, {
+            method: "POST",
+            headers: { "Content-Type": record.mimeType || "application/octet-stream" },
+            body: record.blob,
+            signal,
+          })
+        );
+      }
+    }
+    onProgress({ phase: "upload", progress: (i + 1) / mediaIds.length });
+  }
+}
+
+/**
+ * Render a project with the server's ffmpeg.
+ * @param {object} params
+ *  - project    : project document (see projectFile.serializeProject)
+ *  - settings   : { width, height, fps, videoBitrate, audioBitrate,
+ *                 burnSubtitles }
+ *  - signal     : AbortSignal; aborting also cancels the server job
+ *  - onProgress : ({ phase: "upload" | "render", progress: 0..1 }) => void
+ * @returns {Promise<string>} URL of the rendered MP4
+ */
+export async function renderOnServer({
+  project,
+  settings = {},
+  signal,
+  onProgress = () => {},
+}) {
+  onProgress({ phase: "upload", progress: 0 });
+  await uploadMissingMedia(project.clips, { signal, onProgress });
+
+  const { job } = await readJson(
+    await fetch("/api/render", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ project, settings }),
+      signal,
+    })
+  );
+  const jobUrl = `/api/render/${job.id}`;
+
+  try {
+    for (;;) {
+      await sleep(POLL_INTERVAL_MS, signal);
+      const { job: status } = await readJson(await fetch(jobUrl, { signal }));
+      onProgress({ phase: "render", progress: status.progress });
+
+      if (status.status === "done") return `${jobUrl}/output`;
+      if (status.status === "failed") throw new Error(status.error || "Render failed");
+      if (status.status === "cancelled") throw abortError();
+    }
+  } catch (err) {
+    if (err.name === "AbortError") {
+      fetch(jobUrl, { method: "DELETE" }).catch(() => {});
+    }
+    throw err;
+  }
+}
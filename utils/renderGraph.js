@@ -0,0 +1,489 @@
+// utils/renderGraph.js
+//
+// Translates the clip model into an ffmpeg command line for server-side
+// renders. Pure: no Node APIs, so the graph can be inspected anywhere.
+//
+// Every clip with media becomes one ffmpeg input, already trimmed with
+// -ss / -t (images are looped for their on-screen length). Visual clips are
+// fitted, scaled, faded and overlaid onto a black canvas in track order with
+// their timeline start as PTS offset, mirroring compositor.drawFrame. Audible
+// clips are delayed to their start time, gained (with fades and volume
+// envelopes) and mixed. Text clips are drawn with drawtext from a text file
+// (no escaping of user text needed).
+// Transitions are built from per-clip fades, alpha masks and moving overlays
+// (text clips on the main track cut without one). Track states leave out
+// hidden pictures and silent tracks and add track volume and pan. Clip speed
+// and reverse use setpts / reverse for pictures and atempo (which keeps the
+// pitch) / areverse for sound.
+import {
+  getClipLength,
+  getClipSourceLength,
+  getClipSpeed,
+  isClipReversed,
+  getClipTransform,
+  getTimelineEnd,
+  getTransitionFades,
+  isAudibleClip,
+  isMainTrackClip,
+  isMediaClip,
+  isTextClip,
+  isVisualClip,
+  sortByStart,
+} from "./timelineEngine";
+import { getTextStyle, isHexColor } from "./textClips";
+import { getCaptionClip, getSubtitleClips } from "./subtitles";
+import { DEFAULT_BACKGROUND } from "./compositor";
+import { getClipFades, getClipGain } from "./audioEnvelope";
+import {
+  getClipTrackKey,
+  getTrackGain,
+  getTrackPan,
+  isClipHidden,
+} from "./tracks";
+
+export const RENDER_DEFAULTS = {
+  width: 1280,
+  height: 720,
+  fps: 30,
+  videoBitrate: 5_000_000,
+  audioBitrate: 128_000,
+  burnSubtitles: true,
+};
+
+const AUDIO_SAMPLE_RATE = 48000;
+// Project frame height text sizes are given on (see compositor.FRAME_HEIGHT)
+const TEXT_REFERENCE_HEIGHT = 720;
+
+// Seconds with millisecond precision, as ffmpeg expects them
+const sec = (n) => String(Math.max(0, Math.round(n * 1000) / 1000));
+
+// Even pixel size (libx264 / yuv420p need even dimensions)
+const even = (n) => Math.max(2, 2 * Math.round(n / 2));
+
+// "#rrggbb" -> "0xrrggbb@alpha"
+const ffmpegColor = (hex, alpha = 1) => {
+  if (!isHexColor(hex)) throw new Error(`Invalid colour "${hex}"`);
+  return `0x${hex.slice(1)}@${Math.max(0, Math.min(1, alpha)).toFixed(3)}`;
+};
+
+// Escape a filter option value for both levels ffmpeg unescapes: the
+// option list (\ ' :) and then the filtergraph (\ ' [ ] , ;)
+const filterValue = (value) =>
+  String(value)
+    .replace(/[\\':]/g, "\\$&")
+    .replace(/[\\'[\],;]/g, "\\$&");
+
+// Number with millisecond precision (may be negative)
+const num = (n) => String(Math.round(n * 1000) / 1000);
+
+/**
+ * ffmpeg `volume` expression of a clip's gain and envelope (see
+ * audioEnvelope.js) in the trimmed input's time `t`. Envelope points are in
+ * source time, so they are shifted by trimStart.
+ */
+function volumeExpression(clip) {
+  const gain = num(getClipGain(clip));
+  const points = (clip.envelope || []).map((p) => ({
+    t: p.time - (clip.trimStart || 0),
+    gain: p.gain,
+  }));
+  if (!points.length) return gain;
+
+  let expr = num(points[points.length - 1].gain);
+  for (let i = points.length - 2; i >= 0; i--) {
+    const a = points[i];
+    const b = points[i + 1];
+    const span = b.t - a.t;
+    const ramp =
+      span > 0
+        ? `${num(a.gain)}+(${num(b.gain - a.gain)})` +
+          `*(t-(${num(a.t)}))/${num(span)}`
+        : num(b.gain);
+    expr = `if(lt(t,${num(b.t)}),${ramp},${expr})`;
+  }
+  expr = `if(lt(t,${num(points[0].t)}),${num(points[0].gain)},${expr})`;
+  return `${gain}*${expr}`;
+}
+
+// atempo steps for `speed` (each step must stay within 0.5 .. 2)
+function atempoFilters(speed) {
+  const steps = [];
+  let rest = speed;
+  while (rest > 2) {
+    steps.push("atempo=2");
+    rest /= 2;
+  }
+  while (rest < 0.5) {
+    steps.push("atempo=0.5");
+    rest /= 0.5;
+  }
+  if (Math.abs(rest - 1) > 1e-6) steps.push(`atempo=${num(rest)}`);
+  return steps;
+}
+
+/**
+ * `pan` filter equivalent to a Web Audio StereoPannerNode on stereo input
+ * (equal-power; see the StereoPannerNode panning algorithm).
+ */
+function stereoPanFilter(pan) {
+  const x = pan <= 0 ? pan + 1 : pan;
+  const gainL = num(Math.cos((x * Math.PI) / 2));
+  const gainR = num(Math.sin((x * Math.PI) / 2));
+  return pan <= 0
+    ? `pan=stereo|c0=c0+${gainL}*c1|c1=${gainR}*c1`
+    : `pan=stereo|c0=${gainL}*c0|c1=c1+${gainR}*c0`;
+}
+
+const isDip = (type) => type === "dipToBlack" || type === "dipToWhite";
+
+/**
+ * Transitions touching each main-track clip, as
+ * clipId -> { incoming, outgoing } with { type, start, duration } each.
+ */
+function getClipTransitions(clips) {
+  const fades = getTransitionFades(clips);
+  const main = sortByStart(clips.filter(isMainTrackClip));
+  const byClip = new Map();
+  main.forEach((clip, i) => {
+    const next = main[i + 1];
+    const { fadeIn, fadeOut } = fades.get(clip.id);
+    byClip.set(clip.id, {
+      incoming:
+        fadeIn > 0
+          ? { type: clip.transition.type, start: clip.startTime, duration: fadeIn }
+          : null,
+      outgoing:
+        fadeOut > 0
+          ? { type: next.transition.type, start: next.startTime, duration: fadeOut }
+          : null,
+    });
+  });
+  return byClip;
+}
+
+// Filters appended to a clip's chain (timestamps already on the timeline) so
+// it blends like compositor.drawTransition. The incoming clip is overlaid on
+// top of the outgoing one, so most types only touch the incoming alpha.
+function transitionFilters({ incoming, outgoing }) {
+  const filters = [];
+  if (incoming) {
+    const start = sec(incoming.start);
+    const duration = sec(incoming.duration);
+    if (incoming.type === "crossfade") {
+      filters.push(`fade=t=in:st=${start}:d=${duration}:alpha=1`);
+    } else if (isDip(incoming.type)) {
+      const half = sec(incoming.duration / 2);
+      filters.push(
+        `fade=t=in:st=${sec(incoming.start + incoming.duration / 2)}:d=${half}:alpha=1`
+      );
+    } else if (incoming.type === "wipe") {
+      filters.push(
+        `geq=lum='lum(X,Y)':cb='cb(X,Y)':cr='cr(X,Y)':a='if(lte(X,W*(T-${start})/${duration}),alpha(X,Y),0)'`
+      );
+    }
+  }
+  if (outgoing && isDip(outgoing.type)) {
+    const color = outgoing.type === "dipToWhite" ? "white" : "black";
+    filters.push(
+      `fade=t=out:st=${sec(outgoing.start)}:d=${sec(outgoing.duration / 2)}:color=${color}`
+    );
+  }
+  return filters;
+}
+
+// Horizontal offset expression for slide transitions (overlay `x`)
+function slideOffset({ incoming, outgoing }, outWidth) {
+  let expr = "";
+  if (incoming?.type === "slide") {
+    expr += `+${outWidth}*max(0,1-(t-${sec(incoming.start)})/${sec(incoming.duration)})`;
+  }
+  if (outgoing?.type === "slide") {
+    expr += `-${outWidth}*min(1,max(0,(t-${sec(outgoing.start)})/${sec(outgoing.duration)}))`;
+  }
+  return expr;
+}
+
+// drawtext filter for a text clip whose content is in `textFile`
+function textFilter(clip, textFile, outWidth, outHeight) {
+  const style = getTextStyle(clip);
+  const { x, y, scale, opacity } = getClipTransform(clip);
+  const fontSize = Math.max(
+    1,
+    Math.round(style.fontSize * (outHeight / TEXT_REFERENCE_HEIGHT) * scale)
+  );
+  const family = style.fontFamily.replace(/\s*,\s*/g, ",");
+  const font = `${family}${style.fontWeight === "bold" ? ":weight=bold" : ""}`;
+  const options = [
+    `textfile=${filterValue(textFile)}`,
+    "expansion=none",
+    `font=${filterValue(font)}`,
+    `fontsize=${fontSize}`,
+    `fontcolor=${ffmpegColor(style.color, opacity)}`,
+    `line_spacing=${Math.round(fontSize * 0.2)}`,
+    `x='(w-text_w)/2+${Math.round(x * outWidth)}'`,
+    `y='(h-text_h)/2+${Math.round(y * outHeight)}'`,
+  ];
+  if (style.background) {
+    options.push(
+      "box=1",
+      `boxcolor=${ffmpegColor(style.background, opacity * style.backgroundOpacity)}`,
+      `boxborderw=${Math.round(fontSize * 0.35)}`
+    );
+  } else {
+    options.push(
+      `shadowcolor=${ffmpegColor("#000000", 0.6 * opacity)}`,
+      "shadowx=2",
+      "shadowy=2"
+    );
+  }
+  // Per-line alignment needs ffmpeg 6.1+, so only ask for it when it matters
+  if (style.align !== "left" && String(style.text).includes("\n")) {
+    options.push(`text_align=${style.align === "right" ? "R" : "C"}`);
+  }
+  options.push(
+    `enable='between(t,${sec(clip.startTime)},${sec(clip.startTime + getClipLength(clip))})'`
+  );
+  return `drawtext=${options.join(":")}`;
+}
+
+/**
+ * Build the ffmpeg argument list for a render.
+ * @param {object} params
+ *  - clips        : Array (normalized clips, see projectFile.readProject)
+ *  - tracks       : track states (see tracks.js), optional
+ *  - resolveInput : (clip) => local file path ffmpeg can read, or null
+ *                   (inputs may only use ffmpeg's file protocol)
+ *  - textFilePath : (clip, index) => path the caller will write the clip's
+ *                   text to (see the returned `textFiles`)
+ *  - output       : output file path (.mp4)
+ *  - width, height, fps, videoBitrate, audioBitrate : see RENDER_DEFAULTS
+ *  - burnSubtitles: draw the subtitle cues into the picture
+ *  - background   : project background colour (shown in gaps)
+ *  - duration     : optional length (sec), defaults to the end of the edit
+ * @returns {{ args: string[], duration: number, textFiles: Array<{path, text}> }}
+ */
+export function buildRenderArgs({
+  clips,
+  tracks = {},
+  resolveInput,
+  textFilePath = (clip, index) => `text-${index}.txt`,
+  output,
+  width = RENDER_DEFAULTS.width,
+  height = RENDER_DEFAULTS.height,
+  fps = RENDER_DEFAULTS.fps,
+  videoBitrate = RENDER_DEFAULTS.videoBitrate,
+  audioBitrate = RENDER_DEFAULTS.audioBitrate,
+  burnSubtitles = RENDER_DEFAULTS.burnSubtitles,
+  background = DEFAULT_BACKGROUND,
+  duration = getTimelineEnd(clips),
+}) {
+  if (!(duration > 0)) throw new Error("Nothing to render: the timeline is empty");
+
+  const outWidth = even(width);
+  const outHeight = even(height);
+  const inputArgs = [];
+  const filters = [];
+  const visualLayers = []; // { clip, input }
+  const audioLayers = []; // { clip, input }
+  const textFiles = [];
+
+  const isRendered = (c) => getClipLength(c) > 0 && c.startTime < duration;
+  // Hidden tracks draw nothing, muted (or un-soloed) tracks are silent
+  const shows = (c) => isVisualClip(c) && !isClipHidden(c, tracks);
+  const sounds = (c) =>
+    isAudibleClip(c) && getTrackGain(tracks, getClipTrackKey(c)) > 0;
+
+  // 1) Inputs, one per media clip that shows or sounds
+  const usable = clips.filter(
+    (c) => isMediaClip(c) && (shows(c) || sounds(c)) && isRendered(c)
+  );
+  usable.forEach((clip, input) => {
+    const source = resolveInput(clip);
+    if (!source) throw new Error(`No media for clip "${clip.fileName || clip.id}"`);
+
+    // Only plain files: no network or nested protocols (concat:, subfile:...)
+    inputArgs.push("-protocol_whitelist", "file");
+    if (clip.type === "image") {
+      const length = sec(getClipLength(clip));
+      inputArgs.push("-loop", "1", "-framerate", String(fps), "-t", length, "-i", source);
+    } else {
+      const length = sec(getClipSourceLength(clip));
+      inputArgs.push("-ss", sec(clip.trimStart || 0), "-t", length, "-i", source);
+    }
+
+    if (shows(clip)) visualLayers.push({ clip, input });
+    if (sounds(clip)) audioLayers.push({ clip, input });
+  });
+
+  // 2) Picture: background canvas, then clips bottom track first
+  filters.push(
+    `color=c=${ffmpegColor(background)}:s=${outWidth}x${outHeight}:r=${fps}:d=${sec(duration)},format=yuv420p[base]`
+  );
+  clips
+    .filter((c) => isTextClip(c) && shows(c) && isRendered(c))
+    .forEach((clip) => {
+      visualLayers.push({ clip, input: null });
+    });
+
+  const transitions = getClipTransitions(clips);
+  const noTransition = { incoming: null, outgoing: null };
+
+  let below = "base";
+  visualLayers
+    .sort(
+      (a, b) =>
+        (a.clip.track || 0) - (b.clip.track || 0) ||
+        a.clip.startTime - b.clip.startTime
+    )
+    .forEach(({ clip, input }, i) => {
+      const layer = `l${i}`;
+      if (isTextClip(clip)) {
+        const path = textFilePath(clip, textFiles.length);
+        textFiles.push({ path, text: String(getTextStyle(clip).text) });
+        filters.push(
+          `[${below}]${textFilter(clip, path, outWidth, outHeight)}[${layer}]`
+        );
+        below = layer;
+        return;
+      }
+
+      const { x, y, scale, opacity } = getClipTransform(clip);
+      const chain = [
+        // object-fit: contain inside the frame, times the clip scale
+        `scale=w=${even(outWidth * scale)}:h=${even(outHeight * scale)}:force_original_aspect_ratio=decrease:force_divisible_by=2`,
+        "setsar=1",
+        `fps=${fps}`,
+        "format=yuva420p",
+      ];
+      if (opacity < 1) {
+        chain.push(`colorchannelmixer=aa=${Math.max(0, opacity).toFixed(3)}`);
+      }
+      if (isClipReversed(clip)) chain.push("reverse");
+      const speed = getClipSpeed(clip);
+      chain.push(
+        speed === 1
+          ? `setpts=PTS-STARTPTS+${sec(clip.startTime)}/TB`
+          : `setpts=(PTS-STARTPTS)/${num(speed)}+${sec(clip.startTime)}/TB`
+      );
+      const clipTransitions = transitions.get(clip.id) || noTransition;
+      chain.push(...transitionFilters(clipTransitions));
+      filters.push(`[${input}:v]${chain.join(",")}[v${i}]`);
+
+      const start = sec(clip.startTime);
+      const end = sec(clip.startTime + getClipLength(clip));
+      const xExpr = `(W-w)/2+${Math.round(x * outWidth)}${slideOffset(
+        clipTransitions,
+        outWidth
+      )}`;
+      const yExpr = `(H-h)/2+${Math.round(y * outHeight)}`;
+      filters.push(
+        `[${below}][v${i}]overlay=x='${xExpr}':y='${yExpr}':eof_action=pass:enable='between(t,${start},${end})'[${layer}]`
+      );
+      below = layer;
+    });
+
+  // Captions on top; like the preview, a cue gives way to the next one
+  if (burnSubtitles) {
+    const cues = getSubtitleClips(clips).filter(
+      (c) => !isClipHidden(c, tracks) && isRendered(c) && c.text
+    );
+    cues.forEach((cue, i) => {
+      const end = Math.min(cue.endTime, cues[i + 1]?.startTime ?? Infinity);
+      if (end <= cue.startTime) return;
+      const caption = { ...getCaptionClip(cue), duration: end - cue.startTime };
+      const path = textFilePath(caption, textFiles.length);
+      textFiles.push({ path, text: String(caption.text) });
+      filters.push(
+        `[${below}]${textFilter(caption, path, outWidth, outHeight)}[s${i}]`
+      );
+      below = `s${i}`;
+    });
+  }
+  filters.push(`[${below}]format=yuv420p[vout]`);
+
+  // 3) Sound: every audible clip delayed to its start and mixed
+  if (audioLayers.length) {
+    const fades = getTransitionFades(clips);
+    audioLayers.forEach(({ clip, input }, i) => {
+      const delayMs = Math.round(clip.startTime * 1000);
+      const chain = [
+        `aformat=sample_rates=${AUDIO_SAMPLE_RATE}:channel_layouts=stereo`,
+        `volume='${volumeExpression(clip)}':eval=frame`,
+      ];
+      // Envelope above is in source time; speed and fades below are not
+      if (isClipReversed(clip)) chain.push("areverse");
+      chain.push(...atempoFilters(getClipSpeed(clip)));
+      // The clip's own fades, lengthened where sound crossfades with the
+      // picture in transitions
+      const { fadeIn, fadeOut } = getClipFades(clip, fades);
+      if (fadeIn > 0) chain.push(`afade=t=in:st=0:d=${sec(fadeIn)}`);
+      if (fadeOut > 0) {
+        const length = getClipLength(clip);
+        chain.push(`afade=t=out:st=${sec(length - fadeOut)}:d=${sec(fadeOut)}`);
+      }
+      // Track volume and pan
+      const trackKey = getClipTrackKey(clip);
+      const trackGain = getTrackGain(tracks, trackKey);
+      if (trackGain !== 1) chain.push(`volume=${num(trackGain)}`);
+      const pan = getTrackPan(tracks, trackKey);
+      if (pan !== 0) chain.push(stereoPanFilter(pan));
+      chain.push(`adelay=${delayMs}:all=1`);
+      filters.push(`[${input}:a]${chain.join(",")}[a${i}]`);
+    });
+    const mixInputs = audioLayers.map((_, i) => `[a${i}]`).join("");
+    filters.push(
+      `${mixInputs}amix=inputs=${audioLayers.length}:duration=longest:normalize=0,apad,atrim=0:${sec(duration)}[aout]`
+    );
+  } else {
+    filters.push(
+      `anullsrc=r=${AUDIO_SAMPLE_RATE}:cl=stereo,atrim=0:${sec(duration)}[aout]`
+    );
+  }
+
+  const args = [
+    "-hide_banner",
+    "-nostats",
+    "-y",
+    ...inputArgs,
+    "-filter_complex",
+    filters.join(";"),
+    "-map",
+    "[vout]",
+    "-map",
+    "[aout]",
+    "-c:v",
+    "libx264",
+    "-preset",
+    "veryfast",
+    "-pix_fmt",
+    "yuv420p",
+    "-b:v",
+    String(videoBitrate),
+    "-r",
+    String(fps),
+    "-c:a",
+    "aac",
+    "-b:a",
+    String(audioBitrate),
+    "-t",
+    sec(duration),
+    "-movflags",
+    "+faststart",
+    "-progress",
+    "pipe:1",
+    output,
+  ];
+
+  return { args, duration, textFiles };
+}
+
+/**
+ * Fraction done from one line of `-progress` output, or null if the line
+ * carries no timing.
+ */
+export function parseProgressLine(line, duration) {
+  const match = /^out_time_(?:us|ms)=(\d+)/.exec(line.trim());
+  if (!match || !(duration > 0)) return null;
+  // Both keys are in microseconds (out_time_ms is misnamed in ffmpeg)
+  return Math.min(1, Number(match[1]) / 1e6 / duration);
+}
@@ -0,0 +1,184 @@
+import { describe, expect, it } from "vitest";
+import { buildRenderArgs, parseProgressLine } from "./renderGraph";
+
+const video = (id, startTime, length, extra = {}) => ({
+  id,
+  type: "video",
+  fileName: `${id}.mp4`,
+  duration: length,
+  startTime,
+  endTime: startTime + length,
+  trimStart: 0,
+  trimEnd: 0,
+  hasAudio: true,
+  track: 0,
+  ...extra,
+});
+
+const image = (id, startTime, length, extra = {}) => ({
+  ...video(id, startTime, length, extra),
+  type: "image",
+  hasAudio: false,
+});
+
+const audio = (id, startTime, length, track = 0, extra = {}) => ({
+  ...video(id, startTime, length, extra),
+  type: "audio",
+  track,
+});
+
+const render = (clips, params = {}) =>
+  buildRenderArgs({
+    clips,
+    resolveInput: (clip) => `/media/${clip.id}`,
+    output: "/out/render.mp4",
+    ...params,
+  });
+
+// The -filter_complex graph, one filter chain per entry
+const graph = ({ args }) =>
+  args[args.indexOf("-filter_complex") + 1].split(";");
+
+// Arguments of each input, up to and including its -i
+const inputs = ({ args }) => {
+  const list = [];
+  let start = args.indexOf("-protocol_whitelist");
+  while (start !== -1) {
+    const end = args.indexOf("-i", start) + 2;
+    list.push(args.slice(start, end));
+    start = args.indexOf("-protocol_whitelist", end);
+  }
+  return list;
+};
+
+describe("buildRenderArgs", () => {
+  it("trims each media input and only reads plain files", () => {
+    const result = render([
+      video("a", 0, 10, { trimStart: 2, trimEnd: 3, endTime: 5 }),
+      image("i", 5, 4),
+    ]);
+    expect(inputs(result)).toEqual([
+      ["-protocol_whitelist", "file", "-ss", "2", "-t", "5", "-i", "/media/a"],
+      [
+        "-protocol_whitelist",
+        "file",
+        "-loop",
+        "1",
+        "-framerate",
+        "30",
+        "-t",
+        "4",
+        "-i",
+        "/media/i",
+      ],
+    ]);
+    expect(result.duration).toBe(9);
+    expect(result.args.slice(-3)).toEqual([
+      "-progress",
+      "pipe:1",
+      "/out/render.mp4",
+    ]);
+  });
+
+  it("overlays pictures bottom track first, each at its start", () => {
+    const filters = graph(
+      render([
+        image("o", 1, 2, { track: 1 }),
+        video("a", 0, 4),
+        video("b", 4, 4),
+      ])
+    );
+    expect(filters[0]).toMatch(/^color=c=0x000000@1\.000:s=1280x720:r=30:d=8,/);
+    const overlays = filters.filter((f) => f.includes("overlay="));
+    expect(
+      overlays.map((f) => f.match(/^\[(\w+)\]\[(\w+)\]/).slice(1))
+    ).toEqual([
+      ["base", "v0"],
+      ["l0", "v1"],
+      ["l1", "v2"],
+    ]);
+    expect(filters.find((f) => f.startsWith("[1:v]"))).toContain(
+      "setpts=PTS-STARTPTS+0/TB"
+    );
+    expect(filters.find((f) => f.startsWith("[0:v]"))).toContain(
+      "setpts=PTS-STARTPTS+1/TB"
+    );
+    expect(filters).toContain("[l2]format=yuv420p[vout]");
+  });
+
+  it("delays, stretches and mixes sound with the track settings", () => {
+    const filters = graph(
+      render(
+        [
+          video("a", 0, 4, { hasAudio: false }),
+          audio("m", 1.5, 4, 0, { speed: 4 }),
+          audio("n", 0, 2, 1),
+        ],
+        { tracks: { "audio-0": { volume: 0.5, pan: 1 } } }
+      )
+    );
+    const m = filters.find((f) => f.startsWith("[1:a]"));
+    expect(m).toContain("atempo=2,atempo=2");
+    expect(m).toContain("volume=0.5");
+    expect(m).toContain("pan=stereo");
+    expect(m).toMatch(/adelay=1500:all=1\[a0\]$/);
+    expect(filters.find((f) => f.startsWith("[2:a]"))).toMatch(
+      /adelay=0:all=1\[a1\]$/
+    );
+    expect(filters.at(-1)).toMatch(/^\[a0\]\[a1\]amix=inputs=2:/);
+  });
+
+  it("leaves out hidden pictures and silent tracks", () => {
+    const result = render([video("a", 0, 4), audio("m", 0, 4)], {
+      tracks: { "video-0": { hidden: true }, "audio-0": { muted: true } },
+    });
+    expect(inputs(result)).toHaveLength(1);
+    const filters = graph(result);
+    expect(filters.some((f) => f.includes("overlay="))).toBe(false);
+    expect(filters.find((f) => f.startsWith("[0:a]"))).toBeDefined();
+    expect(filters.at(-1)).toBe(
+      "[a0]amix=inputs=1:duration=longest:normalize=0,apad,atrim=0:4[aout]"
+    );
+  });
+
+  it("renders silence when nothing is audible", () => {
+    const filters = graph(render([image("i", 0, 3)]));
+    expect(filters.at(-1)).toBe("anullsrc=r=48000:cl=stereo,atrim=0:3[aout]");
+  });
+
+  it("draws text and captions from the text files it lists", () => {
+    const clips = [
+      video("a", 0, 6),
+      { ...image("t", 0, 2, { track: 1 }), type: "text", text: "it's [on]" },
+      { ...image("s", 1, 2), type: "subtitle", text: "Hi" },
+    ];
+    const textFilePath = (clip, i) => `/tmp/job's/${i}.txt`;
+    const result = render(clips, { textFilePath });
+    expect(result.textFiles).toEqual([
+      { path: "/tmp/job's/0.txt", text: "it's [on]" },
+      { path: "/tmp/job's/1.txt", text: "Hi" },
+    ]);
+    const drawtext = graph(result).filter((f) => f.includes("drawtext="));
+    expect(drawtext).toHaveLength(2);
+    // Escaped for the option list, then again for the filtergraph
+    expect(drawtext[0]).toContain("textfile=/tmp/job\\\\\\'s/0.txt");
+
+    const burned = render(clips, { textFilePath, burnSubtitles: false });
+    expect(burned.textFiles.map((f) => f.text)).toEqual(["it's [on]"]);
+  });
+
+  it("refuses an empty timeline and clips without media", () => {
+    expect(() => render([])).toThrow("Nothing to render");
+    expect(() =>
+      render([video("a", 0, 4)], { resolveInput: () => null })
+    ).toThrow('No media for clip "a.mp4"');
+  });
+});
+
+describe("parseProgressLine", () => {
+  it("reads out_time as a fraction of the duration", () => {
+    expect(parseProgressLine("out_time_us=5000000", 10)).toBe(0.5);
+    expect(parseProgressLine("out_time_ms=20000000\n", 10)).toBe(1);
+    expect(parseProgressLine("frame=12", 10)).toBeNull();
+  });
+});
@@ -0,0 +1,198 @@
+// utils/renderJobs.js
+//
+// Background ffmpeg renders for the /api/render routes (server only).
+// Jobs run one at a time from a FIFO queue and report progress parsed from
+// ffmpeg's `-progress` output. State lives in memory, so jobs do not survive
+// a server restart; finished outputs are deleted after JOB_TTL_MS. Uploaded
+// media is deleted once no queued or running job needs it, and after
+// JOB_TTL_MS if no job ever used it.
+import { spawn } from "child_process";
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { buildRenderArgs, parseProgressLine } from "./renderGraph";
+import {
+  OUTPUT_DIR,
+  deleteMedia,
+  getMediaSize,
+  pruneMedia,
+  resolveClipInput,
+} from "./renderMedia";
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || "ffmpeg";
+const MAX_CONCURRENT_RENDERS = 1;
+const JOB_TTL_MS = 60 * 60 * 1000;
+// Tail of ffmpeg's stderr kept for error reports
+const MAX_LOG_CHARS = 4000;
+
+// Kept on globalThis so API routes reloaded in dev share one registry
+const registry =
+  globalThis.__canvaeditRenderJobs ||
+  (globalThis.__canvaeditRenderJobs = { jobs: new Map(), queue: [], running: 0 });
+
+// Status shape returned by the API
+export function describeJob(job) {
+  return {
+    id: job.id,
+    status: job.status, // queued | running | done | failed | cancelled
+    progress: job.progress,
+    duration: job.duration,
+    error: job.error,
+    createdAt: job.createdAt,
+    finishedAt: job.finishedAt,
+  };
+}
+
+export const getRenderJob = (jobId) => registry.jobs.get(jobId) || null;
+
+// Whether a queued or running job renders from the uploaded `mediaId`
+const isMediaInUse = (mediaId) =>
+  [...registry.jobs.values()].some(
+    (job) => !job.finishedAt && job.mediaIds.includes(mediaId)
+  );
+
+function pruneJobs() {
+  const now = Date.now();
+  for (const job of registry.jobs.values()) {
+    if (job.finishedAt && now - job.finishedAt > JOB_TTL_MS) {
+      fs.rm(job.outputPath, { force: true }, () => {});
+      registry.jobs.delete(job.id);
+    }
+  }
+  pruneMedia(JOB_TTL_MS, isMediaInUse);
+}
+
+function finishJob(job, status, error = null) {
+  if (job.finishedAt) return;
+  for (const file of job.textFiles) fs.rm(file, { force: true }, () => {});
+  job.status = status;
+  job.error = error;
+  job.finishedAt = Date.now();
+  job.process = null;
+  if (status === "done") job.progress = 1;
+  else fs.rm(job.outputPath, { force: true }, () => {});
+  for (const mediaId of job.mediaIds) {
+    if (!isMediaInUse(mediaId)) deleteMedia(mediaId);
+  }
+
+  registry.running = Math.max(0, registry.running - (job.started ? 1 : 0));
+  runQueue();
+}
+
+function startJob(job) {
+  job.status = "running";
+  job.started = true;
+  registry.running += 1;
+
+  let log = "";
+  let pending = "";
+  const child = spawn(FFMPEG_PATH, job.args, { stdio: ["ignore", "pipe", "pipe"] });
+  job.process = child;
+
+  child.stdout.on("data", (data) => {
+    pending += data.toString();
+    const lines = pending.split("\n");
+    pending = lines.pop();
+    for (const line of lines) {
+      const progress = parseProgressLine(line, job.duration);
+      if (progress != null) job.progress = progress;
+    }
+  });
+  child.stderr.on("data", (data) => {
+    log = (log + data.toString()).slice(-MAX_LOG_CHARS);
+  });
+
+  child.on("error", (err) => {
+    finishJob(
+      job,
+      "failed",
+      err.code === "ENOENT"
+        ? `ffmpeg not found (looked for "${FFMPEG_PATH}", set FFMPEG_PATH)`
+        : err.message
+    );
+  });
+  child.on("close", (code) => {
+    if (job.status === "cancelled") return;
+    if (code === 0) finishJob(job, "done");
+    else finishJob(job, "failed", log.trim() || `ffmpeg exited with code ${code}`);
+  });
+}
+
+function runQueue() {
+  while (registry.running < MAX_CONCURRENT_RENDERS && registry.queue.length) {
+    const job = registry.queue.shift();
+    if (job.status === "queued") startJob(job);
+  }
+}
+
+/**
+ * Queue a render of `clips` to MP4.
+ * @param {object} params
+ *  - clips    : Array (normalized clips, see projectFile.readProject)
+ *  - tracks   : track states (see tracks.js), optional
+ *  - background : project background colour, optional
+ *  - settings : { width, height, fps, videoBitrate, audioBitrate,
+ *               burnSubtitles } (optional)
+ * @returns {object} the job (see describeJob)
+ * Throws if the graph can't be built, e.g. a clip has no media on the server.
+ */
+export function createRenderJob({
+  clips,
+  tracks = {},
+  background,
+  settings = {},
+}) {
+  const id = crypto.randomUUID();
+  const outputPath = path.join(OUTPUT_DIR, `${id}.mp4`);
+  const { args, duration, textFiles } = buildRenderArgs({
+    ...settings,
+    clips,
+    tracks,
+    background,
+    resolveInput: resolveClipInput,
+    textFilePath: (clip, index) =>
+      path.join(OUTPUT_DIR, `${id}-text-${index}.txt`),
+    output: outputPath,
+  });
+  fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+  for (const file of textFiles) fs.writeFileSync(file.path, file.text);
+
+  const job = {
+    id,
+    status: "queued",
+    progress: 0,
+    duration,
+    error: null,
+    createdAt: Date.now(),
+    finishedAt: null,
+    args,
+    outputPath,
+    textFiles: textFiles.map((f) => f.path),
+    // Uploads read by this render (see renderMedia.resolveClipInput)
+    mediaIds: [
+      ...new Set(
+        clips
+          .map((c) => c.mediaId)
+          .filter((mediaId) => mediaId && getMediaSize(mediaId) != null)
+      ),
+    ],
+    process: null,
+    started: false,
+  };
+  registry.jobs.set(id, job);
+  registry.queue.push(job);
+  // After registering, so this job's media counts as in use
+  pruneJobs();
+  runQueue();
+  return job;
+}
+
+// Stop a queued or running job; finished jobs are left as they are
+export function cancelRenderJob(jobId) {
+  const job = getRenderJob(jobId);
+  if (!job || job.finishedAt) return job;
+
+  job.process?.kill("SIGKILL");
+  finishJob(job, "cancelled");
+  return job;
+}
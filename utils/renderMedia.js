@@ -0,0 +1,135 @@
+// utils/renderMedia.js
+//
+// Server-side store for media uploaded for renders (API routes only).
+// Files are kept under RENDER_DIR (default: <tmp>/canvaedit-render) and keyed
+// by the same mediaId the browser uses in IndexedDB, so a project's clips can
+// be matched to their files without renaming anything. An upload is at most
+// RENDER_MAX_MEDIA_MB (default 1024) and never replaces a stored file; files
+// are deleted once the renders using them end (see renderJobs.js).
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { Transform } from "stream";
+import { pipeline } from "stream/promises";
+
+export const RENDER_ROOT =
+  process.env.RENDER_DIR || path.join(os.tmpdir(), "canvaedit-render");
+export const MEDIA_DIR = path.join(RENDER_ROOT, "media");
+export const OUTPUT_DIR = path.join(RENDER_ROOT, "output");
+
+const PUBLIC_DIR = path.join(process.cwd(), "public");
+
+export const MAX_MEDIA_BYTES =
+  (Number(process.env.RENDER_MAX_MEDIA_MB) || 1024) * 1024 * 1024;
+
+// mediaIds come from the client; keep them to safe file names
+export const isValidMediaId = (id) =>
+  typeof id === "string" && /^[\w-]{1,128}$/.test(id);
+
+export function getMediaPath(mediaId) {
+  if (!isValidMediaId(mediaId)) throw new Error("Invalid media id");
+  return path.join(MEDIA_DIR, mediaId);
+}
+
+export function getMediaSize(mediaId) {
+  try {
+    return fs.statSync(getMediaPath(mediaId)).size;
+  } catch {
+    return null;
+  }
+}
+
+// Passes a stream through until it grows past `maxBytes`, then fails it
+function limitBytes(maxBytes) {
+  let total = 0;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      total += chunk.length;
+      if (total > maxBytes) {
+        callback(
+          Object.assign(new Error("Upload is too large"), { code: "EFBIG" })
+        );
+      } else {
+        callback(null, chunk);
+      }
+    },
+  });
+}
+
+/**
+ * Write an upload stream to the media store. The file only appears under its
+ * final name once fully written, so a render never reads half a file.
+ * Fails with code "EFBIG" past `maxBytes` and "EEXIST" if the id is taken.
+ * @returns {Promise<number>} size in bytes
+ */
+export async function saveMediaStream(
+  mediaId,
+  stream,
+  maxBytes = MAX_MEDIA_BYTES
+) {
+  const target = getMediaPath(mediaId);
+  const partial = `${target}.${process.pid}.${Date.now()}.part`;
+  await fs.promises.mkdir(MEDIA_DIR, { recursive: true });
+  try {
+    await pipeline(stream, limitBytes(maxBytes), fs.createWriteStream(partial));
+    // link (unlike rename) refuses to replace a file stored meanwhile
+    await fs.promises.link(partial, target);
+  } finally {
+    await fs.promises.rm(partial, { force: true });
+  }
+  return (await fs.promises.stat(target)).size;
+}
+
+export function deleteMedia(mediaId) {
+  fs.rm(getMediaPath(mediaId), { force: true }, () => {});
+}
+
+/**
+ * Delete stored media (and leftover partial uploads) older than `maxAgeMs`,
+ * e.g. uploads no render ever used.
+ * @param {(mediaId) => boolean} isInUse - files to keep regardless of age
+ */
+export function pruneMedia(maxAgeMs, isInUse = () => false) {
+  let names;
+  try {
+    names = fs.readdirSync(MEDIA_DIR);
+  } catch {
+    return;
+  }
+  const now = Date.now();
+  for (const name of names) {
+    const file = path.join(MEDIA_DIR, name);
+    try {
+      if (now - fs.statSync(file).mtimeMs <= maxAgeMs || isInUse(name)) continue;
+    } catch {
+      continue;
+    }
+    fs.rm(file, { force: true }, () => {});
+  }
+}
+
+/**
+ * Local file ffmpeg can read for a clip: its uploaded file or a file shipped
+ * in public/ (e.g. the default clip). Null if none. Remote URLs are never
+ * handed to ffmpeg, the server would fetch whatever a client names; their
+ * media has to be uploaded like any other.
+ */
+export function resolveClipInput(clip) {
+  if (clip.mediaId && getMediaSize(clip.mediaId) != null) {
+    return getMediaPath(clip.mediaId);
+  }
+
+  const url = clip.url;
+  if (typeof url !== "string") return null;
+  if (url.startsWith("/") && !url.startsWith("//")) {
+    let name;
+    try {
+      name = decodeURIComponent(url.split("?")[0]);
+    } catch {
+      return null; // a malformed escape names no file
+    }
+    const file = path.join(PUBLIC_DIR, name);
+    if (file.startsWith(PUBLIC_DIR + path.sep) && fs.existsSync(file)) return file;
+  }
+  return null;
+}
@@ -0,0 +1,28 @@
+import path from "path";
+import { describe, expect, it } from "vitest";
+import { resolveClipInput } from "./renderMedia";
+
+const PUBLIC_DIR = path.join(process.cwd(), "public");
+
+describe("resolveClipInput", () => {
+  it("finds media shipped in public/", () => {
+    expect(resolveClipInput({ url: "/parameters_example.mp4?v=1" })).toBe(
+      path.join(PUBLIC_DIR, "parameters_example.mp4")
+    );
+  });
+
+  it("returns null for a malformed escape instead of throwing", () => {
+    expect(resolveClipInput({ url: "/a%zz.mp4" })).toBeNull();
+  });
+
+  it("never leaves public/ or fetches remote URLs", () => {
+    expect(resolveClipInput({ url: "/%2e%2e/package.json" })).toBeNull();
+    expect(resolveClipInput({ url: "//example.com/a.mp4" })).toBeNull();
+    expect(resolveClipInput({ url: "https://example.com/a.mp4" })).toBeNull();
+  });
+
+  it("returns null for clips without a local file", () => {
+    expect(resolveClipInput({ mediaId: "missing", url: "blob:x" })).toBeNull();
+    expect(resolveClipInput({})).toBeNull();
+  });
+});
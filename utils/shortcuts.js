@@ -0,0 +1,194 @@
+// utils/shortcuts.js
+//
+// Keyboard shortcut registry. Every editor command has an id, a label for
+// the cheat sheet and default key bindings. A binding is a combo string of
+// modifiers and a KeyboardEvent.code, e.g. "KeyS", "Alt+ArrowLeft" or
+// "Mod+Shift+KeyZ" ("Mod" is Ctrl, or Cmd on a Mac). The user's remapped
+// bindings are kept in localStorage as { [shortcutId]: [combo, ...] } and
+// only for the shortcuts they changed.
+
+const STORAGE_KEY = "canvaedit:shortcuts";
+
+// [id, label, ...default keys] for each group of the cheat sheet
+const SHORTCUT_TABLE = {
+  Playback: [
+    ["playPause", "Play / pause", "Space"],
+    ["shuttleBack", "Play backwards (again: faster)", "KeyJ"],
+    ["shuttleStop", "Stop", "KeyK"],
+    ["shuttleForward", "Play forwards (again: faster)", "KeyL"],
+    ["frameBack", "Previous frame", "Comma"],
+    ["frameForward", "Next frame", "Period"],
+    ["jumpBack", "Back 1 second", "ArrowLeft"],
+    ["jumpForward", "Forward 1 second", "ArrowRight"],
+    ["goToStart", "Go to start", "Home"],
+    ["goToEnd", "Go to end", "End"],
+  ],
+  Marking: [
+    ["markIn", "Set in point", "KeyI"],
+    ["markOut", "Set out point", "KeyO"],
+    ["clearInOut", "Clear in / out", "Alt+KeyX"],
+    ["addMarker", "Add marker", "KeyM"],
+    ["previousMarker", "Previous marker", "BracketLeft"],
+    ["nextMarker", "Next marker", "BracketRight"],
+  ],
+  Editing: [
+    ["undo", "Undo", "Mod+KeyZ"],
+    ["redo", "Redo", "Mod+Shift+KeyZ", "Mod+KeyY"],
+    ["split", "Split at playhead", "KeyS"],
+    ["delete", "Delete selected clips", "Delete", "Backspace"],
+    ["lift", "Delete, leaving a gap", "Shift+Delete", "Shift+Backspace"],
+    ["copy", "Copy", "Mod+KeyC"],
+    ["cut", "Cut", "Mod+KeyX"],
+    ["paste", "Paste at playhead", "Mod+KeyV"],
+    ["duplicate", "Duplicate", "Mod+KeyD"],
+    ["nudgeBack", "Nudge left 1 frame", "Alt+ArrowLeft"],
+    ["nudgeForward", "Nudge right 1 frame", "Alt+ArrowRight"],
+    ["nudgeBackMore", "Nudge left 1 second", "Alt+Shift+ArrowLeft"],
+    ["nudgeForwardMore", "Nudge right 1 second", "Alt+Shift+ArrowRight"],
+  ],
+  View: [
+    ["zoomIn", "Zoom timeline in", "Equal", "Shift+Equal", "NumpadAdd"],
+    ["zoomOut", "Zoom timeline out", "Minus", "NumpadSubtract"],
+    ["showShortcuts", "Keyboard shortcuts", "Shift+Slash"],
+  ],
+};
+
+export const SHORTCUT_GROUPS = Object.keys(SHORTCUT_TABLE);
+
+export const SHORTCUTS = Object.entries(SHORTCUT_TABLE).flatMap(
+  ([group, rows]) =>
+    rows.map(([id, label, ...keys]) => ({ id, group, label, keys }))
+);
+
+export const DEFAULT_BINDINGS = Object.fromEntries(
+  SHORTCUTS.map((s) => [s.id, s.keys])
+);
+
+const EDITABLE_SELECTOR = [
+  "input",
+  "textarea",
+  "select",
+  '[contenteditable=""]',
+  '[contenteditable="true"]',
+  '[role="textbox"]',
+].join(", ");
+
+const MODIFIER_CODES = /^(Control|Shift|Alt|Meta|OS)(Left|Right)?$/;
+
+/**
+ * Whether a key event comes from somewhere the user types: any form field
+ * (sliders and checkboxes too, they use the arrow keys and Space) or an
+ * editable element, including anything inside one.
+ */
+export function isEditableTarget(target) {
+  if (!target || typeof target.closest !== "function") return false;
+  return !!target.isContentEditable || !!target.closest(EDITABLE_SELECTOR);
+}
+
+// Combo string of a key event, or null for a bare modifier key
+export function eventToCombo(e) {
+  if (!e.code || MODIFIER_CODES.test(e.code)) return null;
+  const parts = [];
+  if (e.ctrlKey || e.metaKey) parts.push("Mod");
+  if (e.altKey) parts.push("Alt");
+  if (e.shiftKey) parts.push("Shift");
+  parts.push(e.code);
+  return parts.join("+");
+}
+
+// The shortcut bound to `combo`, or null
+export function findShortcut(bindings, combo) {
+  if (!combo) return null;
+  const match = SHORTCUTS.find((s) =>
+    (bindings[s.id] || []).includes(combo)
+  );
+  return match?.id ?? null;
+}
+
+/**
+ * Bind `combo` to a shortcut in place of its current keys. A shortcut that
+ * had the combo loses it, so a key never does two things.
+ * @returns {object} new bindings
+ */
+export function rebindShortcut(bindings, shortcutId, combo) {
+  const next = {};
+  for (const s of SHORTCUTS) {
+    next[s.id] = (bindings[s.id] || []).filter((k) => k !== combo);
+  }
+  next[shortcutId] = [combo];
+  return next;
+}
+
+// Bindings saved by the user over the defaults
+export function loadBindings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    const bindings = { ...DEFAULT_BINDINGS };
+    for (const s of SHORTCUTS) {
+      const keys = saved[s.id];
+      if (Array.isArray(keys) && keys.every((k) => typeof k === "string")) {
+        bindings[s.id] = keys;
+      }
+    }
+    return bindings;
+  } catch {
+    return { ...DEFAULT_BINDINGS };
+  }
+}
+
+// Store the bindings that differ from the defaults
+export function saveBindings(bindings) {
+  const changed = SHORTCUTS.filter(
+    (s) => (bindings[s.id] || []).join() !== s.keys.join()
+  ).map((s) => [s.id, bindings[s.id] || []]);
+  try {
+    if (changed.length) {
+      localStorage.setItem(
+        STORAGE_KEY,
+        JSON.stringify(Object.fromEntries(changed))
+      );
+    } else {
+      localStorage.removeItem(STORAGE_KEY);
+    }
+  } catch (err) {
+    console.warn("⚠️ Could not save keyboard shortcuts:", err);
+  }
+}
+
+const KEY_LABELS = {
+  Space: "Space",
+  ArrowLeft: "←",
+  ArrowRight: "→",
+  ArrowUp: "↑",
+  ArrowDown: "↓",
+  Comma: ",",
+  Period: ".",
+  Slash: "/",
+  Backslash: "\\",
+  Semicolon: ";",
+  Quote: "'",
+  Backquote: "`",
+  BracketLeft: "[",
+  BracketRight: "]",
+  Equal: "=",
+  Minus: "-",
+  NumpadAdd: "Num +",
+  NumpadSubtract: "Num -",
+  Escape: "Esc",
+};
+
+// "Mod+Shift+KeyZ" -> "Ctrl+Shift+Z" (Cmd on a Mac)
+export function formatCombo(combo) {
+  const isMac =
+    typeof navigator !== "undefined" &&
+    /Mac|iP(hone|ad)/.test(navigator.platform);
+  return combo
+    .split("+")
+    .map((part) => {
+      if (part === "Mod") return isMac ? "⌘" : "Ctrl";
+      if (part === "Alt") return isMac ? "⌥" : "Alt";
+      if (KEY_LABELS[part]) return KEY_LABELS[part];
+      return part.replace(/^(Key|Digit|Numpad)/, "");
+    })
+    .join("+");
+}
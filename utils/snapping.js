@@ -0,0 +1,113 @@
+// utils/snapping.js
+//
+// Magnetic snapping of dragged clip edges. Targets are the playhead, the
+// edges of other clips on any track and markers; when none is close enough
+// the edge falls back to the grid: whole frames when zoomed in far enough to
+// tell them apart, whole seconds otherwise. "Close enough" is a distance on
+// screen (SNAP_THRESHOLD_PX), so it covers less time as the zoom grows.
+
+// How close an edge has to get to a target to snap to it (px)
+export const SNAP_THRESHOLD_PX = 8;
+
+// Frame grid used when zoomed in (fps)
+export const SNAP_FRAME_RATE = 30;
+
+export const DEFAULT_SNAP_SETTINGS = {
+  enabled: true,
+  playhead: true,
+  clips: true,
+  markers: true,
+  grid: true,
+};
+
+/**
+ * Times an edge can snap to, sorted.
+ * @param {object} params
+ *  - clips     : Array
+ *  - excludeId : id of the clip being dragged (its own edges don't count)
+ *  - playhead  : timeline time (sec) or null
+ *  - markers   : Array<{ time }> (optional)
+ *  - settings  : see DEFAULT_SNAP_SETTINGS
+ * @returns {number[]}
+ */
+export function getSnapTargets({
+  clips,
+  excludeId = null,
+  playhead = null,
+  markers = [],
+  settings = DEFAULT_SNAP_SETTINGS,
+}) {
+  const targets = [];
+  if (settings.playhead && playhead != null) targets.push(playhead);
+  if (settings.clips) {
+    for (const clip of clips) {
+      if (clip.id !== excludeId) targets.push(clip.startTime, clip.endTime);
+    }
+  }
+  if (settings.markers) targets.push(...markers.map((m) => m.time));
+  return targets.sort((a, b) => a - b);
+}
+
+/**
+ * Where `time` snaps to: the nearest target within `threshold` seconds, or
+ * else the nearest grid line within it (if `gridStep`).
+ * @returns {{ time: number, target: number } | null} null if nothing is close
+ */
+export function snapTime(time, targets, threshold, gridStep = 0) {
+  let best = null;
+  for (const target of targets) {
+    const distance = Math.abs(target - time);
+    if (distance <= threshold && (!best || distance < best.distance)) {
+      best = { time: target, target, distance };
+    }
+  }
+  if (!best && gridStep > 0) {
+    const line = Math.round(time / gridStep) * gridStep;
+    if (Math.abs(line - time) <= threshold) {
+      best = { time: line, target: line };
+    }
+  }
+  return best && { time: best.time, target: best.target };
+}
+
+// Grid spacing (sec) at a zoom: frames once they are far enough apart
+export const getSnapGridStep = (pixelsPerSecond) =>
+  pixelsPerSecond / SNAP_FRAME_RATE >= SNAP_THRESHOLD_PX * 2
+    ? 1 / SNAP_FRAME_RATE
+    : 1;
+
+/**
+ * Snap a drag. `edges` are the dragged edge times (both edges for a move,
+ * one for a trim), all shifted by the same delta; the edge closest to a
+ * target wins.
+ * @param {number[]} edges - edge times at the current (unsnapped) delta
+ * @param {object} params
+ *  - targets         : from getSnapTargets
+ *  - pixelsPerSecond : current zoom
+ *  - grid            : whether to fall back to the grid
+ * @returns {{ offset: number, target: number | null }} add `offset` to the
+ *   drag delta; `target` is the time snapped to (for the indicator)
+ */
+export function snapEdges(edges, { targets, pixelsPerSecond, grid = true }) {
+  const threshold = SNAP_THRESHOLD_PX / pixelsPerSecond;
+  const gridStep = grid ? getSnapGridStep(pixelsPerSecond) : 0;
+
+  // Edge that needs the smallest nudge; grid only when no target is near
+  const nearest = (snap) => {
+    let best = null;
+    for (const edge of edges) {
+      const snapped = snap(edge);
+      const offset = snapped && snapped.time - edge;
+      if (snapped && (!best || Math.abs(offset) < Math.abs(best.offset))) {
+        best = { offset, target: snapped.target };
+      }
+    }
+    return best;
+  };
+  const onTarget = nearest((edge) => snapTime(edge, targets, threshold));
+  const onGrid =
+    !onTarget && gridStep
+      ? nearest((edge) => snapTime(edge, [], threshold, gridStep))
+      : null;
+  return onTarget || onGrid || { offset: 0, target: null };
+}
@@ -0,0 +1,185 @@
+// utils/subtitles.js
+//
+// Subtitle cues: clips of type "subtitle" on their own track under the
+// pictures, each with `text` and a start / end like a still clip. They are
+// imported from and exported to SubRip (.srt) and WebVTT (.vtt), shown on
+// the preview as captions (in the "caption" text preset style, see
+// textClips.js) and can be burned into exports.
+import { isSubtitleClip, sortByStart } from "./timelineEngine";
+import { TEXT_DEFAULTS, TEXT_PRESETS } from "./textClips";
+import { downloadText } from "./download";
+
+// Length of a cue added by hand (sec)
+export const SUBTITLE_CUE_DURATION = 2;
+
+export const SUBTITLE_FILE_TYPES = ".srt,.vtt";
+
+/**
+ * New subtitle cue clip.
+ * @param {object} params
+ *  - id        : string
+ *  - startTime : sec
+ *  - endTime   : sec (default startTime + SUBTITLE_CUE_DURATION)
+ *  - text      : string
+ */
+export function createSubtitleClip({
+  id,
+  startTime,
+  endTime = startTime + SUBTITLE_CUE_DURATION,
+  text = "",
+}) {
+  const start = Math.max(0, startTime);
+  const end = Math.max(start + 0.1, endTime);
+  return {
+    id,
+    type: "subtitle",
+    fileName: "Subtitle",
+    url: null,
+    text,
+    duration: end - start,
+    startTime: start,
+    endTime: end,
+    trimStart: 0,
+    trimEnd: 0,
+    hasAudio: false,
+    thumbnail: null,
+    track: 0,
+  };
+}
+
+// Subtitle clips in playback order
+export const getSubtitleClips = (clips) =>
+  sortByStart(clips.filter(isSubtitleClip));
+
+// The cue showing at `time`, or null (the latest one wins on overlaps)
+export function getActiveSubtitle(clips, time) {
+  const active = getSubtitleClips(clips).filter(
+    (c) => time >= c.startTime && time < c.endTime
+  );
+  return active[active.length - 1] || null;
+}
+
+// A cue drawn as a text clip (compositor / render graph)
+export const getCaptionClip = (cue) => ({
+  ...cue,
+  ...TEXT_DEFAULTS,
+  ...TEXT_PRESETS.caption.style,
+  ...TEXT_PRESETS.caption.transform,
+  type: "text",
+  text: cue.text,
+});
+
+/**
+ * Join a cue with the one after it: one cue from the first start to the
+ * second end, texts on separate lines.
+ */
+export function mergeWithNextSubtitle(clips, clipId) {
+  const cues = getSubtitleClips(clips);
+  const index = cues.findIndex((c) => c.id === clipId);
+  const first = cues[index];
+  const second = cues[index + 1];
+  if (!first || !second) return clips;
+
+  const endTime = Math.max(first.endTime, second.endTime);
+  const merged = {
+    ...first,
+    text: [first.text, second.text].filter(Boolean).join("\n"),
+    endTime,
+    duration: endTime - first.startTime,
+  };
+  return clips
+    .filter((c) => c.id !== second.id)
+    .map((c) => (c.id === first.id ? merged : c));
+}
+
+// "00:01:02,500" / "01:02.500" -> 62.5
+function parseTimestamp(text) {
+  const match = /(?:(\d+):)?(\d{1,2}):(\d{2})[,.](\d{1,3})/.exec(text);
+  if (!match) return null;
+  const [, h = 0, m, s, ms] = match;
+  return (
+    Number(h) * 3600 +
+    Number(m) * 60 +
+    Number(s) +
+    Number(ms.padEnd(3, "0")) / 1000
+  );
+}
+
+/**
+ * Cues of an .srt or .vtt file. Both are blocks separated by blank lines
+ * with a "start --> end" line followed by the text; numbers, cue ids, VTT
+ * headers, NOTE / STYLE blocks, cue settings and markup tags are dropped,
+ * and so are cues left without text.
+ * @param {string} text
+ * @returns {Array<{ start: number, end: number, text: string }>}
+ */
+export function parseSubtitles(text) {
+  const blocks = String(text)
+    .replace(/^\uFEFF/, "")
+    .replace(/\r\n?/g, "\n")
+    .split(/\n{2,}/);
+  const cues = [];
+
+  for (const block of blocks) {
+    const lines = block.split("\n");
+    const timing = lines.findIndex((line) => line.includes("-->"));
+    if (timing === -1) continue;
+    const [from, to] = lines[timing].split("-->");
+    const start = parseTimestamp(from);
+    const end = parseTimestamp(to);
+    if (start == null || end == null || end <= start) continue;
+
+    const cueText = lines
+      .slice(timing + 1)
+      .join("\n")
+      .replace(/<[^>]*>/g, "")
+      .replace(/&amp;/g, "&")
+      .replace(/&lt;/g, "<")
+      .replace(/&gt;/g, ">")
+      .trim();
+    if (cueText) cues.push({ start, end, text: cueText });
+  }
+  if (!cues.length) throw new Error("No subtitle cues found");
+  return cues.sort((a, b) => a.start - b.start);
+}
+
+// 62.5 -> "00:01:02,500" (SRT) / "00:01:02.500" (VTT)
+function formatTimestamp(seconds, separator) {
+  const ms = Math.round(Math.max(0, seconds) * 1000);
+  const pad = (n, width = 2) => String(n).padStart(width, "0");
+  return (
+    `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:` +
+    `${pad(Math.floor(ms / 1000) % 60)}${separator}${pad(ms % 1000, 3)}`
+  );
+}
+
+// SubRip file of the timeline's subtitle cues
+export function toSRT(clips) {
+  return getSubtitleClips(clips)
+    .map(
+      (cue, i) =>
+        `${i + 1}\n${formatTimestamp(cue.startTime, ",")} --> ` +
+        `${formatTimestamp(cue.endTime, ",")}\n${cue.text}`
+    )
+    .join("\n\n")
+    .concat("\n");
+}
+
+// WebVTT file of the timeline's subtitle cues
+export function toVTT(clips) {
+  const cues = getSubtitleClips(clips).map(
+    (cue) =>
+      `${formatTimestamp(cue.startTime, ".")} --> ` +
+      `${formatTimestamp(cue.endTime, ".")}\n` +
+      cue.text
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/-->/g, "->")
+  );
+  return `WEBVTT\n\n${cues.join("\n\n")}\n`;
+}
+
+// Trigger a browser download of a subtitle file
+export function downloadSubtitles(text, fileName, type = "text/plain") {
+  downloadText(text, fileName, type);
+}
@@ -0,0 +1,95 @@
+import { describe, expect, it } from "vitest";
+import { createSubtitleClip, parseSubtitles, toSRT, toVTT } from "./subtitles";
+
+const cue = (id, startTime, endTime, text) =>
+  createSubtitleClip({ id, startTime, endTime, text });
+
+describe("parseSubtitles", () => {
+  it("reads SRT cues in time order", () => {
+    const srt = [
+      "2",
+      "00:00:05,000 --> 00:00:06,500",
+      "<i>Second</i>",
+      "",
+      "1",
+      "00:00:01,000 --> 00:00:02,000",
+      "First",
+      "line two",
+    ].join("\r\n");
+    expect(parseSubtitles(srt)).toEqual([
+      { start: 1, end: 2, text: "First\nline two" },
+      { start: 5, end: 6.5, text: "Second" },
+    ]);
+  });
+
+  it("reads VTT cues and skips headers, notes and cue settings", () => {
+    const vtt = [
+      "\uFEFFWEBVTT",
+      "",
+      "NOTE a comment",
+      "",
+      "intro",
+      "01:02.5 --> 01:04.000 align:start",
+      "Fish &amp; chips &lt;3",
+    ].join("\n");
+    expect(parseSubtitles(vtt)).toEqual([
+      { start: 62.5, end: 64, text: "Fish & chips <3" },
+    ]);
+  });
+
+  it("skips cues without text or with an empty span", () => {
+    const srt = [
+      "1",
+      "00:00:01,000 --> 00:00:02,000",
+      "",
+      "2",
+      "00:00:03,000 --> 00:00:04,000",
+      "   ",
+      "",
+      "3",
+      "00:00:05,000 --> 00:00:05,000",
+      "Zero",
+      "",
+      "4",
+      "00:00:05,000 --> 00:00:06,000",
+      "Hello",
+    ].join("\n");
+    expect(parseSubtitles(srt)).toEqual([{ start: 5, end: 6, text: "Hello" }]);
+  });
+
+  it("throws when there are no cues", () => {
+    expect(() => parseSubtitles("WEBVTT\n\n")).toThrow(
+      "No subtitle cues found"
+    );
+  });
+});
+
+describe("toSRT / toVTT", () => {
+  const clips = [
+    cue("b", 62.5, 64, "Fish & chips <3 --> more"),
+    cue("a", 1, 2, "First"),
+    { id: "v", type: "video", startTime: 0, endTime: 4, track: 0 },
+  ];
+
+  it("numbers SRT cues in time order", () => {
+    expect(toSRT(clips)).toBe(
+      "1\n00:00:01,000 --> 00:00:02,000\nFirst\n\n" +
+        "2\n00:01:02,500 --> 00:01:04,000\nFish & chips <3 --> more\n"
+    );
+  });
+
+  it("escapes VTT cue text", () => {
+    expect(toVTT(clips)).toBe(
+      "WEBVTT\n\n" +
+        "00:00:01.000 --> 00:00:02.000\nFirst\n\n" +
+        "00:01:02.500 --> 00:01:04.000\nFish &amp; chips &lt;3 -> more\n"
+    );
+  });
+
+  it("writes VTT that reads back as the same cues", () => {
+    expect(parseSubtitles(toVTT(clips))).toEqual([
+      { start: 1, end: 2, text: "First" },
+      { start: 62.5, end: 64, text: "Fish & chips <3 -> more" },
+    ]);
+  });
+});
@@ -0,0 +1,118 @@
+// utils/textClips.js
+//
+// Text clips: titles, lower-thirds and captions generated by the editor.
+// Style fields live on the clip next to the usual timing/transform fields:
+//   text, fontFamily, fontSize (px on the 720p project frame), fontWeight,
+//   color, background (box colour or null), backgroundOpacity, align.
+
+export const TEXT_DEFAULTS = {
+  text: "Your text",
+  fontFamily: "sans-serif",
+  fontSize: 48,
+  fontWeight: "bold",
+  color: "#ffffff",
+  background: null,
+  backgroundOpacity: 0.6,
+  align: "center",
+};
+
+// Default on-screen length of a new text clip (sec)
+export const TEXT_CLIP_DURATION = 3;
+
+export const TEXT_FONTS = [
+  { label: "Sans", value: "sans-serif" },
+  { label: "Serif", value: "serif" },
+  { label: "Mono", value: "monospace" },
+  { label: "Georgia", value: "Georgia, serif" },
+  { label: "Impact", value: "Impact, sans-serif" },
+];
+
+export const TEXT_ALIGNMENTS = ["left", "center", "right"];
+
+export const TEXT_WEIGHTS = ["normal", "bold"];
+
+// "#rrggbb", the only colour form text clips and the project background use
+export const isHexColor = (value) =>
+  typeof value === "string" && /^#[0-9a-f]{6}$/i.test(value);
+
+// Starting points offered by "Add text"
+export const TEXT_PRESETS = {
+  title: {
+    label: "Title",
+    style: { text: "Title", fontSize: 72 },
+    transform: { x: 0, y: 0 },
+  },
+  lowerThird: {
+    label: "Lower third",
+    style: {
+      text: "Name Surname\nRole",
+      fontSize: 32,
+      align: "left",
+      background: "#000000",
+    },
+    transform: { x: -0.25, y: 0.3 },
+  },
+  caption: {
+    label: "Caption",
+    style: {
+      text: "Caption",
+      fontSize: 36,
+      fontWeight: "normal",
+      background: "#000000",
+    },
+    transform: { x: 0, y: 0.38 },
+  },
+};
+
+// Style values a project may carry: they end up in canvas fonts and in
+// ffmpeg filter options (see renderGraph.js), so nothing else is accepted
+const TEXT_STYLE_CHECKS = {
+  fontFamily: (v) => TEXT_FONTS.some((f) => f.value === v),
+  fontWeight: (v) => TEXT_WEIGHTS.includes(v),
+  align: (v) => TEXT_ALIGNMENTS.includes(v),
+  color: isHexColor,
+  background: isHexColor,
+};
+
+// Name of the first unsupported style field of `clip`, or null
+export function findInvalidTextStyle(clip) {
+  for (const [key, isValid] of Object.entries(TEXT_STYLE_CHECKS)) {
+    if (clip[key] != null && !isValid(clip[key])) return key;
+  }
+  return null;
+}
+
+// Style of a text clip with defaults filled in
+export function getTextStyle(clip) {
+  const style = {};
+  for (const key of Object.keys(TEXT_DEFAULTS)) {
+    style[key] = clip[key] ?? TEXT_DEFAULTS[key];
+  }
+  return style;
+}
+
+/**
+ * New, unplaced text clip (see timelineEngine.insertOverlayClip).
+ * @param {object} params
+ *  - id     : string
+ *  - preset : key of TEXT_PRESETS (default "title")
+ */
+export function createTextClip({ id, preset = "title" }) {
+  const { style, transform } = TEXT_PRESETS[preset] || TEXT_PRESETS.title;
+  return {
+    id,
+    type: "text",
+    fileName: "Text",
+    url: null,
+    duration: TEXT_CLIP_DURATION,
+    startTime: 0,
+    endTime: TEXT_CLIP_DURATION,
+    trimStart: 0,
+    trimEnd: 0,
+    hasAudio: false,
+    thumbnail: null,
+    ...TEXT_DEFAULTS,
+    ...style,
+    ...transform,
+  };
+}
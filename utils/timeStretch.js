@@ -0,0 +1,142 @@
+// utils/timeStretch.js
+//
+// Sound of clips with a speed or reverse (see timelineEngine.getClipSpeed):
+// the whole source, reversed and / or time-stretched with WSOLA (wsola.js,
+// keeps the pitch), computed once per source and speed in a worker
+// (timeStretch.worker.js) so the page never stalls on it.
+import {
+  getClipSourceTime,
+  getClipSpeed,
+  isClipReversed,
+} from "./timelineEngine";
+import { stretchChannels } from "./wsola";
+
+// Stretched versions kept per source buffer (one per speed / direction)
+const CACHE_SIZE = 4;
+
+// AudioBuffer -> Map(key -> { promise, stretched: AudioBuffer | null })
+const cache = new WeakMap();
+
+// Whether a clip's sound has to go through getStretchedBuffer
+export const needsTimeStretch = (clip) =>
+  getClipSpeed(clip) !== 1 || isClipReversed(clip);
+
+let worker = null;
+let nextJobId = 0;
+const jobs = new Map(); // job id -> { resolve, reject }
+
+// The worker failed (script error, crash, unreadable message): fail every
+// job it still had and drop it, so the next job starts a fresh worker
+function failWorker(message) {
+  worker?.terminate();
+  worker = null;
+  const pending = [...jobs.values()];
+  jobs.clear();
+  pending.forEach((job) => job.reject(new Error(message)));
+}
+
+function getWorker() {
+  if (!worker) {
+    worker = new Worker(new URL("./timeStretch.worker.js", import.meta.url));
+    worker.onmessage = ({ data: { id, channels, error } }) => {
+      const job = jobs.get(id);
+      jobs.delete(id);
+      if (error) job?.reject(new Error(error));
+      else job?.resolve(channels);
+    };
+    worker.onerror = (event) => {
+      event.preventDefault();
+      failWorker(event.message || "Time-stretch worker failed");
+    };
+    worker.onmessageerror = () => {
+      failWorker("Time-stretch worker sent an unreadable message");
+    };
+  }
+  return worker;
+}
+
+// stretchChannels in the worker (inline where workers are unavailable)
+function stretchOffThread(channels, speed, reverse, sampleRate) {
+  if (typeof Worker === "undefined") {
+    return Promise.resolve(
+      stretchChannels(channels, speed, reverse, sampleRate)
+    );
+  }
+  const id = nextJobId++;
+  return new Promise((resolve, reject) => {
+    jobs.set(id, { resolve, reject });
+    getWorker().postMessage(
+      { id, channels, speed, reverse, sampleRate },
+      channels.map((data) => data.buffer)
+    );
+  });
+}
+
+const stretchKey = (clip) =>
+  `${getClipSpeed(clip)}:${isClipReversed(clip) ? "r" : "f"}`;
+
+/**
+ * Start computing the stretched sound of `clip`: the whole of `buffer`,
+ * reversed if the clip is and stretched to its speed, so trim edits reuse
+ * it. Cached per source buffer, speed and direction.
+ * @param {AudioBuffer} buffer - the decoded source
+ * @param {object} clip
+ * @returns {Promise<AudioBuffer>}
+ */
+export function prepareStretchedBuffer(buffer, clip) {
+  const key = stretchKey(clip);
+  let entries = cache.get(buffer);
+  if (!entries) {
+    entries = new Map();
+    cache.set(buffer, entries);
+  }
+  const cached = entries.get(key);
+  if (cached) return cached.promise;
+
+  const { sampleRate, numberOfChannels } = buffer;
+  const channels = [];
+  for (let c = 0; c < numberOfChannels; c++) {
+    channels.push(buffer.getChannelData(c).slice());
+  }
+
+  const entry = { promise: null, stretched: null };
+  entry.promise = stretchOffThread(
+    channels,
+    getClipSpeed(clip),
+    isClipReversed(clip),
+    sampleRate
+  ).then((parts) => {
+    const stretched = new AudioBuffer({
+      length: Math.max(1, parts[0].length),
+      numberOfChannels,
+      sampleRate,
+    });
+    parts.forEach((data, c) => stretched.copyToChannel(data, c));
+    entry.stretched = stretched;
+    return stretched;
+  });
+  // Failed jobs are not cached so a later play retries
+  entry.promise.catch(() => {
+    if (entries.get(key) === entry) entries.delete(key);
+  });
+
+  if (entries.size >= CACHE_SIZE) {
+    entries.delete(entries.keys().next().value);
+  }
+  entries.set(key, entry);
+  return entry.promise;
+}
+
+// Stretched sound of `clip` if prepareStretchedBuffer has finished, else null
+export function getStretchedBuffer(buffer, clip) {
+  return cache.get(buffer)?.get(stretchKey(clip))?.stretched || null;
+}
+
+// Position (sec) in the stretched buffer heard at timeline time `time`
+export function getStretchedOffset(buffer, clip, time) {
+  const sourceTime = getClipSourceTime(clip, time);
+  const position = isClipReversed(clip)
+    ? buffer.duration - sourceTime
+    : sourceTime;
+  return Math.max(0, position / getClipSpeed(clip));
+}
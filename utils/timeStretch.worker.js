@@ -0,0 +1,17 @@
+// utils/timeStretch.worker.js
+//
+// Runs wsola.stretchChannels off the main thread. Messages carry
+// { id, channels, speed, reverse, sampleRate }; the reply is { id, channels }
+// (or { id, error }), with the sample buffers transferred both ways.
+import { stretchChannels } from "./wsola";
+
+self.onmessage = ({ data: { id, channels, speed, reverse, sampleRate } }) => {
+  try {
+    const result = stretchChannels(channels, speed, reverse, sampleRate);
+    // Results can be views into one larger buffer; send each once
+    const buffers = [...new Set(result.map((data) => data.buffer))];
+    self.postMessage({ id, channels: result }, buffers);
+  } catch (err) {
+    self.postMessage({ id, error: err.message });
+  }
+};
@@ -0,0 +1,1145 @@
+// utils/timelineEngine.js
+//
+// Pure timeline edit rules shared by the page and the Timeline component.
+// Every function takes a clips array (never mutated) and returns a new one,
+// so results depend only on the inputs. No React, DOM or timers in here.
+
+// Minimum duration in seconds to prevent trim collapse
+export const MIN_CLIP_DURATION = 0.1;
+
+// Splits closer than this to a clip edge are ignored
+export const SPLIT_EDGE_TOLERANCE = 0.05;
+
+// Playback speed range of video / audio clips (1 = normal)
+export const MIN_CLIP_SPEED = 0.25;
+export const MAX_CLIP_SPEED = 4;
+
+const TIMING_FIELDS = [
+  "startTime",
+  "trimStart",
+  "trimEnd",
+  "duration",
+  "track",
+  "transition",
+  "speed",
+  "reverse",
+];
+
+// How a timing edit on the main track treats the other clips:
+//  - ripple    : the track stays gapless, later clips close up or move over
+//  - overwrite : the clip lands where it is put; whatever it covers is
+//                trimmed, split or removed, and gaps are left as they are
+//  - insert    : the clip under its new start is split and everything from
+//                there on is pushed right to make room
+// `rippleAudio` moves audio clips along with the picture they start on.
+export const EDIT_MODES = ["ripple", "overwrite", "insert"];
+export const DEFAULT_EDIT_SETTINGS = { mode: "ripple", rippleAudio: false };
+
+// Edits take an `isLocked` option, (clip) => boolean, telling which clips sit
+// on locked tracks (see tracks.js): those are never changed, nothing moves
+// onto their tracks and they do not ripple along.
+const notLocked = () => false;
+
+// Clips that ripple with the main track (see rippleFollowers)
+const getFollows =
+  ({ rippleAudio, isLocked }) =>
+  (c) =>
+    !isLocked(c) && (isSubtitleClip(c) || (rippleAudio && isAudioClip(c)));
+
+// Updates that change a clip's length (anything else retiming it is a move)
+const LENGTH_FIELDS = ["trimStart", "trimEnd", "duration", "speed"];
+
+// Per-clip compositing defaults. x / y offset the clip's centre from the frame
+// centre as a fraction of the frame size; scale 1 fits the clip to the frame.
+export const DEFAULT_TRANSFORM = { x: 0, y: 0, scale: 1, opacity: 1 };
+
+export const isVisualClip = (clip) =>
+  clip.type === "video" || clip.type === "image" || clip.type === "text";
+
+export const isAudioClip = (clip) => clip.type === "audio";
+
+export const isTextClip = (clip) => clip.type === "text";
+
+// Subtitle cues live on their own track (see subtitles.js)
+export const isSubtitleClip = (clip) => clip.type === "subtitle";
+
+// Empty stretch of the main track, held open between shots and shown as the
+// project background
+export const isGapClip = (clip) => clip.type === "gap";
+
+// Clips backed by an uploaded/linked file (text is generated)
+export const isMediaClip = (clip) =>
+  clip.type === "video" || clip.type === "image" || clip.type === "audio";
+
+// Clips without a source timeline: their `duration` is simply how long they
+// stay on screen, so trimming/splitting resizes them instead of moving trims
+export const isStillClip = (clip) =>
+  clip.type === "image" ||
+  clip.type === "text" ||
+  clip.type === "subtitle" ||
+  clip.type === "gap";
+
+// Visual track 0 is the main (A-roll) track: gapless and reflowed.
+// Higher visual tracks are overlays, freely positioned and drawn on top.
+export const isMainTrackClip = (clip) =>
+  (isVisualClip(clip) || isGapClip(clip)) && !(clip.track > 0);
+
+export const isOverlayClip = (clip) => isVisualClip(clip) && clip.track > 0;
+
+// Clips that contribute sound to the mix: audio clips, plus videos whose
+// file has an audio stream
+export const isAudibleClip = (clip) =>
+  isAudioClip(clip) || (clip.type === "video" && !!clip.hasAudio);
+
+export function getClipTransform(clip) {
+  return {
+    x: clip.x ?? DEFAULT_TRANSFORM.x,
+    y: clip.y ?? DEFAULT_TRANSFORM.y,
+    scale: clip.scale ?? DEFAULT_TRANSFORM.scale,
+    opacity: clip.opacity ?? DEFAULT_TRANSFORM.opacity,
+  };
+}
+
+// Number of visual tracks in use (always at least the main track)
+export function getVisualTrackCount(clips) {
+  const visuals = clips.filter(isVisualClip);
+  return visuals.length
+    ? Math.max(1, ...visuals.map((c) => (c.track || 0) + 1))
+    : 1;
+}
+
+// Playback speed of a clip: `speed` on video / audio clips, 1 for stills
+export function getClipSpeed(clip) {
+  if (isStillClip(clip)) return 1;
+  const speed = Number(clip.speed) || 1;
+  return Math.min(MAX_CLIP_SPEED, Math.max(MIN_CLIP_SPEED, speed));
+}
+
+// Whether a clip plays its source backwards (tail first)
+export const isClipReversed = (clip) => !isStillClip(clip) && !!clip.reverse;
+
+// Length of the part of the source a clip plays (seconds)
+export function getClipSourceLength(clip) {
+  const duration = Math.max(0, Number(clip.duration) || 0);
+  const trimStart = Math.max(0, Number(clip.trimStart) || 0);
+  const trimEnd = Math.max(0, Number(clip.trimEnd) || 0);
+  return Math.max(0, duration - trimStart - trimEnd);
+}
+
+// Length of a clip on the timeline (seconds)
+export function getClipLength(clip) {
+  return getClipSourceLength(clip) / getClipSpeed(clip);
+}
+
+export const sortByStart = (clips) =>
+  [...clips].sort((a, b) => a.startTime - b.startTime);
+
+// End of the last visual clip on any track, i.e. the length of the edit
+export function getTimelineEnd(clips) {
+  const visuals = clips.filter(isVisualClip);
+  return visuals.length ? Math.max(...visuals.map((c) => c.endTime)) : 0;
+}
+
+// End of the main visual track (where new uploads are appended)
+export function getMainTrackEnd(clips) {
+  const main = clips.filter(isMainTrackClip);
+  return main.length ? Math.max(...main.map((c) => c.endTime)) : 0;
+}
+
+/**
+ * Visual clips showing at `time`, bottom track first (draw order).
+ */
+export function getActiveVisualClips(clips, time) {
+  return clips
+    .filter(
+      (c) => isVisualClip(c) && time >= c.startTime && time < c.endTime
+    )
+    .sort((a, b) => (a.track || 0) - (b.track || 0));
+}
+
+// Position inside the source asset (sec) for timeline time `time`
+export function getClipSourceTime(clip, time) {
+  const local = Math.min(
+    Math.max(0, time - clip.startTime),
+    getClipLength(clip)
+  );
+  const offset = local * getClipSpeed(clip);
+  return isClipReversed(clip)
+    ? clip.duration - (clip.trimEnd || 0) - offset
+    : (clip.trimStart || 0) + offset;
+}
+
+// Part of the source a clip plays, as { start, end } in source seconds
+export function getClipSourceRange(clip) {
+  const start = clip.trimStart || 0;
+  return { start, end: start + getClipSourceLength(clip) };
+}
+
+// Timeline time at which a clip plays source position `sourceTime`
+export function getClipTimeAtSource(clip, sourceTime) {
+  const offset = isClipReversed(clip)
+    ? clip.duration - (clip.trimEnd || 0) - sourceTime
+    : sourceTime - (clip.trimStart || 0);
+  return clip.startTime + offset / getClipSpeed(clip);
+}
+
+/**
+ * How far `clip` overlaps `prev` (the main-track clip before it) because of
+ * its incoming transition. Capped at half of either clip so a transition
+ * never swallows a whole clip.
+ */
+export function getTransitionOverlap(prev, clip) {
+  if (!prev || isGapClip(prev) || !clip.transition) return 0;
+  return Math.max(
+    0,
+    Math.min(
+      Number(clip.transition.duration) || 0,
+      getClipLength(prev) / 2,
+      getClipLength(clip) / 2
+    )
+  );
+}
+
+/**
+ * The main-track transition playing at `time`, if any.
+ * @returns {{ type, from, to, progress: number, duration: number } | null}
+ */
+export function getActiveTransition(clips, time) {
+  const [from, to] = sortByStart(
+    clips.filter(
+      (c) => isMainTrackClip(c) && time >= c.startTime && time < c.endTime
+    )
+  );
+  if (!from || !to || !to.transition) return null;
+
+  const duration = from.endTime - to.startTime;
+  if (duration <= 0) return null;
+  return {
+    type: to.transition.type,
+    from,
+    to,
+    duration,
+    progress: Math.min(1, Math.max(0, (time - to.startTime) / duration)),
+  };
+}
+
+/**
+ * Fade lengths (sec) at the head and tail of every main-track clip caused by
+ * transitions, for audio: clipId -> { fadeIn, fadeOut }.
+ */
+export function getTransitionFades(clips) {
+  const fades = new Map();
+  const main = sortByStart(clips.filter(isMainTrackClip));
+  main.forEach((clip, i) => {
+    const prev = main[i - 1];
+    const next = main[i + 1];
+    fades.set(clip.id, {
+      fadeIn:
+        prev && clip.transition ? Math.max(0, prev.endTime - clip.startTime) : 0,
+      fadeOut:
+        next?.transition ? Math.max(0, clip.endTime - next.startTime) : 0,
+    });
+  });
+  return fades;
+}
+
+// Automatically arrange main-track visual clips sequentially: end to end, or
+// overlapping where a clip has an incoming transition
+export function reflowClips(clips) {
+  let curTime = 0;
+  let prev = null;
+  const adjusted = sortByStart(clips.filter(isMainTrackClip)).map((clip) => {
+    const newStart = Math.max(0, curTime - getTransitionOverlap(prev, clip));
+    const newEnd = newStart + getClipLength(clip);
+    curTime = newEnd;
+    prev = clip;
+    return { ...clip, startTime: newStart, endTime: newEnd };
+  });
+
+  const others = clips.filter((c) => !isMainTrackClip(c));
+  return [...adjusted, ...others];
+}
+
+// Holes shorter than this are rounding, not gaps (sec)
+const GAP_TOLERANCE = 0.001;
+
+/**
+ * Hold every hole on the main track open with a gap clip, so later ripple
+ * edits (which pack the track end to end) keep it. Neighbouring gaps are
+ * merged into one.
+ * @param {object} options
+ *  - makeId : (startTime) => id of a new gap clip
+ */
+export function fillGaps(
+  clips,
+  { makeId = (start) => `gap-${Math.round(start * 1000)}` } = {}
+) {
+  const main = sortByStart(clips.filter(isMainTrackClip));
+  const track = [];
+  let end = 0;
+
+  const addGap = (startTime, endTime, id = makeId(startTime)) => {
+    const last = track[track.length - 1];
+    if (last && isGapClip(last) && last.endTime >= startTime - GAP_TOLERANCE) {
+      last.endTime = Math.max(last.endTime, endTime);
+      last.duration = last.endTime - last.startTime;
+      return;
+    }
+    track.push({
+      id,
+      type: "gap",
+      fileName: "Gap",
+      url: null,
+      duration: endTime - startTime,
+      startTime,
+      endTime,
+      trimStart: 0,
+      trimEnd: 0,
+      hasAudio: false,
+      thumbnail: null,
+      track: 0,
+    });
+  };
+
+  for (const clip of main) {
+    if (clip.startTime > end + GAP_TOLERANCE) addGap(end, clip.startTime);
+    if (isGapClip(clip)) {
+      if (clip.endTime > clip.startTime + GAP_TOLERANCE) {
+        addGap(clip.startTime, clip.endTime, clip.id);
+      }
+    } else {
+      track.push(clip);
+    }
+    end = Math.max(end, clip.endTime);
+  }
+  // A gap after the last shot holds nothing open
+  while (track.length && isGapClip(track[track.length - 1])) track.pop();
+
+  return [...track, ...clips.filter((c) => !isMainTrackClip(c))];
+}
+
+/**
+ * Close gaps on the main track (all of them, or the gap clips in `gapIds`):
+ * the clips after each gap move up, with their followers (see updateClip).
+ */
+export function closeGaps(
+  clips,
+  gapIds = null,
+  {
+    rippleAudio = DEFAULT_EDIT_SETTINGS.rippleAudio,
+    isLocked = notLocked,
+  } = {}
+) {
+  const closes = (c) =>
+    isGapClip(c) && !isLocked(c) && (!gapIds || gapIds.includes(c.id));
+  const remaining = clips.filter((c) => !closes(c));
+  if (remaining.length === clips.length) return clips;
+
+  const follows = getFollows({ rippleAudio, isLocked });
+  return rippleFollowers(clips, reflowClips(remaining), follows);
+}
+
+/**
+ * Keep audio clips from overlapping on a layer (track number): a clip stays
+ * on its layer unless it runs into one placed there before it, and then
+ * moves to the lowest free layer. Layers keep their number when they empty
+ * out, so track state (tracks.js) stays with the clips it was set for.
+ * Clips on locked layers stay put and no clip is moved onto one.
+ * @param {object} options
+ *  - isLocked : see DEFAULT_EDIT_SETTINGS
+ */
+export function layerAudioClips(clips, { isLocked = notLocked } = {}) {
+  const layers = new Map(); // track -> clips placed on it
+  const trackById = new Map();
+  const isFree = (track, clip) =>
+    (layers.get(track) || []).every(
+      (c) => c.endTime <= clip.startTime || c.startTime >= clip.endTime
+    );
+  const place = (clip, track) => {
+    layers.set(track, [...(layers.get(track) || []), clip]);
+    trackById.set(clip.id, track);
+  };
+
+  const audio = sortByStart(clips.filter(isAudioClip));
+  audio.filter(isLocked).forEach((c) => place(c, c.track || 0));
+  for (const clip of audio.filter((c) => !isLocked(c))) {
+    let track = clip.track || 0;
+    if (!isFree(track, clip)) {
+      track = 0;
+      while (!isFree(track, clip) || isLocked({ ...clip, track })) track++;
+    }
+    place(clip, track);
+  }
+
+  return clips.map((c) =>
+    trackById.has(c.id) && trackById.get(c.id) !== c.track
+      ? { ...c, track: trackById.get(c.id) }
+      : c
+  );
+}
+
+/**
+ * Move followers (subtitle cues, and audio clips with `rippleAudio`) along
+ * with the main-track clip they started on, from `before` to `after` an
+ * edit: a follower stays on the same moment of the clip's source, so it
+ * ripples when the clip is moved, reflowed or trimmed. Only clips passing
+ * `isAnchor` carry followers.
+ */
+function rippleFollowers(before, after, follows, isAnchor = () => true) {
+  const anchors = before.filter((c) => isMainTrackClip(c) && isAnchor(c));
+  const beforeById = new Map(before.map((c) => [c.id, c]));
+  const mainAfter = new Map(
+    after.filter(isMainTrackClip).map((c) => [c.id, c])
+  );
+
+  return after.map((cue) => {
+    if (!follows(cue)) return cue;
+    // Where it was, so followers the edit itself moved are not counted twice
+    const was = beforeById.get(cue.id) || cue;
+    const anchor = anchors.find(
+      (c) => was.startTime >= c.startTime && was.startTime < c.endTime
+    );
+    const moved = anchor && mainAfter.get(anchor.id);
+    if (!moved || moved === anchor) return cue;
+
+    const shift =
+      getClipTimeAtSource(moved, getClipSourceTime(anchor, was.startTime)) -
+      was.startTime;
+    if (Math.abs(shift) < 1e-6) return cue;
+    const startTime = Math.max(0, cue.startTime + shift);
+    return {
+      ...cue,
+      startTime,
+      endTime: startTime + (cue.endTime - cue.startTime),
+    };
+  });
+}
+
+const shiftClip = (clip, delta) => ({
+  ...clip,
+  startTime: clip.startTime + delta,
+  endTime: clip.endTime + delta,
+});
+
+/**
+ * Insert edit of `clip` (already updated in `clips`; `before` is the state
+ * ahead of the edit). A moved clip splits the main-track clip under its new
+ * start and pushes everything from there right by its length; a clip whose
+ * length changed keeps its start and pushes what follows it by the change.
+ * Followers on the clip itself are left for the caller to move with it.
+ */
+function insertEdit(before, clips, clip, { isMove, follows, makeId }) {
+  const previous = before.find((c) => c.id === clip.id);
+  const length = getClipLength(clip);
+  let at = clip.startTime;
+  let delta = length;
+  let placed = clip;
+
+  if (!isMove && previous && isMainTrackClip(previous)) {
+    at = previous.endTime - SPLIT_EDGE_TOLERANCE;
+    delta = length - getClipLength(previous);
+    placed = {
+      ...clip,
+      startTime: previous.startTime,
+      endTime: previous.startTime + length,
+    };
+  }
+
+  let others = clips.filter((c) => c.id !== clip.id);
+  if (isMove) {
+    const under = others.find(
+      (c) => isMainTrackClip(c) && c.startTime < at && c.endTime > at
+    );
+    if (under) {
+      others = splitClip(others, under.id, at, {
+        ids: [under.id, makeId(under)],
+      });
+    }
+  }
+
+  const isOnClip = (c) =>
+    previous &&
+    isMainTrackClip(previous) &&
+    c.startTime >= previous.startTime &&
+    c.startTime < previous.endTime;
+  const pushes = (c) =>
+    c.startTime >= at &&
+    (isMainTrackClip(c) || (follows(c) && !isOnClip(c)));
+  return [
+    placed,
+    ...others.map((c) => (pushes(c) ? shiftClip(c, delta) : c)),
+  ];
+}
+
+/**
+ * Overwrite edit of `clip` (already updated in `clips`): main-track clips it
+ * covers are removed, the ones it partly covers trimmed back to its edges,
+ * and one it lands inside of split around it.
+ */
+function overwriteEdit(clips, clip, { makeId }) {
+  const { startTime: start, endTime: end } = clip;
+  const result = [];
+
+  // Cut a neighbour's head back to `end`; a cut head loses its transition
+  const trimHead = (c) => ({
+    ...c,
+    ...getTrimUpdates(c, "trim-left", end - c.startTime),
+    transition: null,
+  });
+  const trimTail = (c) => ({
+    ...c,
+    ...getTrimUpdates(c, "trim-right", start - c.endTime),
+  });
+
+  for (const c of clips) {
+    if (
+      c.id === clip.id ||
+      !isMainTrackClip(c) ||
+      c.endTime <= start ||
+      c.startTime >= end
+    ) {
+      result.push(c);
+      continue;
+    }
+    const keepsHead = c.startTime < start - MIN_CLIP_DURATION;
+    const keepsTail = c.endTime > end + MIN_CLIP_DURATION;
+    if (keepsHead && keepsTail) {
+      const [head, tail] = splitClip([c], c.id, start, {
+        ids: [c.id, makeId(c)],
+      });
+      result.push(head, trimHead(tail));
+    } else if (keepsHead) {
+      result.push(trimTail(c));
+    } else if (keepsTail) {
+      result.push(trimHead(c));
+    }
+    // Covered entirely: dropped
+  }
+  return result;
+}
+
+/**
+ * Merge `updates` into one clip. When the update touches timing (position,
+ * trims, image duration, track or speed) the main visual track follows the
+ * edit mode: reflowed in ripple mode (and always for a transition change,
+ * since transitions are laid out by the reflow), or resolved as an
+ * overwrite / insert of the clip. Subtitle cues ripple with the picture. A
+ * new speed also moves the clip's end. A clip on a locked track, or moved
+ * onto one, is left as it is.
+ * @param {object} options - see DEFAULT_EDIT_SETTINGS, plus
+ *  - makeId   : (clip) => id for the second part of a clip split by the edit
+ *  - isLocked : (clip) => boolean (see DEFAULT_EDIT_SETTINGS)
+ */
+export function updateClip(
+  clips,
+  clipId,
+  updates,
+  {
+    mode = DEFAULT_EDIT_SETTINGS.mode,
+    rippleAudio = DEFAULT_EDIT_SETTINGS.rippleAudio,
+    makeId = (clip) => `${clip.id}-b`,
+    isLocked = notLocked,
+  } = {}
+) {
+  const target = clips.find((c) => c.id === clipId);
+  if (target && (isLocked(target) || isLocked({ ...target, ...updates }))) {
+    return clips;
+  }
+  const retimed = updates.speed !== undefined && updates.endTime === undefined;
+  const updated = clips.map((c) => {
+    if (c.id !== clipId) return c;
+    const next = { ...c, ...updates };
+    if (retimed) next.endTime = next.startTime + getClipLength(next);
+    return next;
+  });
+  const touchesTiming = TIMING_FIELDS.some((k) => updates[k] !== undefined);
+  if (!touchesTiming) return updated;
+
+  const follows = getFollows({ rippleAudio, isLocked });
+  const clip = updated.find((c) => c.id === clipId);
+  if (
+    mode === "ripple" ||
+    !clip ||
+    !isMainTrackClip(clip) ||
+    updates.transition !== undefined
+  ) {
+    return rippleFollowers(clips, reflowClips(updated), follows);
+  }
+  const isMove = !LENGTH_FIELDS.some((k) => updates[k] !== undefined);
+  const edited =
+    mode === "insert"
+      ? insertEdit(clips, updated, clip, { isMove, follows, makeId })
+      : overwriteEdit(updated, clip, { makeId });
+  // Followers on the edited clip stay on it; holes left behind become gaps
+  return fillGaps(
+    rippleFollowers(clips, edited, follows, (c) => c.id === clipId)
+  );
+}
+
+/**
+ * Add a clip at the end of its kind: visuals after the last main-track clip,
+ * audio after the last audio clip on the lowest free layer.
+ */
+export function insertClip(clips, clip) {
+  const length = getClipLength(clip);
+  let startTime = 0;
+  let track = 0;
+
+  if (isVisualClip(clip)) {
+    startTime = getMainTrackEnd(clips);
+  } else if (isAudioClip(clip)) {
+    const audioClips = clips.filter(isAudioClip);
+    startTime = audioClips.length
+      ? Math.max(...audioClips.map((c) => c.endTime))
+      : 0;
+
+    const usedTracks = new Set(audioClips.map((c) => c.track));
+    while (usedTracks.has(track)) track++;
+  }
+
+  const placed = { ...clip, startTime, endTime: startTime + length, track };
+  return layerAudioClips([...clips, placed]);
+}
+
+/**
+ * Add a clip on top of the picture at `startTime`: on the lowest overlay
+ * track that is free for the clip's whole span and not locked (a new track
+ * if none is).
+ * @param {object} options
+ *  - isLocked : see DEFAULT_EDIT_SETTINGS
+ */
+export function insertOverlayClip(
+  clips,
+  clip,
+  startTime,
+  { isLocked = notLocked } = {}
+) {
+  const length = getClipLength(clip);
+  const start = Math.max(0, startTime);
+  const end = start + length;
+
+  let track = 1;
+  const isBusy = (t) =>
+    clips.some(
+      (c) =>
+        isVisualClip(c) &&
+        (c.track || 0) === t &&
+        c.startTime < end &&
+        c.endTime > start
+    );
+  while (isBusy(track) || isLocked({ ...clip, track })) track++;
+
+  return [...clips, { ...clip, startTime: start, endTime: end, track }];
+}
+
+/**
+ * Add an audio clip at `startTime`: on its own layer if that is free for the
+ * clip's whole span and not locked, else on the lowest layer that is.
+ * @param {object} options
+ *  - isLocked : see DEFAULT_EDIT_SETTINGS
+ */
+export function insertAudioClip(
+  clips,
+  clip,
+  startTime,
+  { isLocked = notLocked } = {}
+) {
+  const start = Math.max(0, startTime);
+  const end = start + getClipLength(clip);
+
+  const isBusy = (t) =>
+    isLocked({ ...clip, track: t }) ||
+    clips.some(
+      (c) =>
+        isAudioClip(c) &&
+        (c.track || 0) === t &&
+        c.startTime < end &&
+        c.endTime > start
+    );
+  let track = clip.track || 0;
+  if (isBusy(track)) {
+    track = 0;
+    while (isBusy(track)) track++;
+  }
+
+  return [...clips, { ...clip, startTime: start, endTime: end, track }];
+}
+
+// Updates for moving a clip by `deltaTime` from `snapshot` (its drag-start state)
+export function getMoveUpdates(snapshot, deltaTime) {
+  const startTime = Math.max(0, snapshot.startTime + deltaTime);
+  return {
+    startTime,
+    endTime: startTime + (snapshot.endTime - snapshot.startTime),
+  };
+}
+
+// Move a clip to a new start time (audio layers are fixed on drop)
+export function moveClip(clips, clipId, startTime, options = {}) {
+  const clip = clips.find((c) => c.id === clipId);
+  if (!clip) return clips;
+  return updateClip(
+    clips,
+    clipId,
+    getMoveUpdates(clip, startTime - clip.startTime),
+    options
+  );
+}
+
+/**
+ * Move several clips together by `deltaTime`, keeping their offsets to each
+ * other (the earliest stops at 0). Clips off the main track just shift.
+ * Selected main-track clips move as one block that follows the edit mode:
+ * ripple lands the block between the clips it ends up among, overwrite cuts
+ * away what it covers, insert pushes what comes after it. Followers of the
+ * moved clips ripple with them unless they are selected themselves. Clips
+ * on locked tracks stay put.
+ * @param {object} options - see updateClip
+ */
+export function moveClips(clips, clipIds, deltaTime, options = {}) {
+  const { isLocked = notLocked } = options;
+  const ids = new Set(
+    clips.filter((c) => clipIds.includes(c.id) && !isLocked(c)).map((c) => c.id)
+  );
+  const moving = clips.filter((c) => ids.has(c.id) && !isGapClip(c));
+  if (!moving.length) return clips;
+  if (moving.length === 1) {
+    const [clip] = moving;
+    return updateClip(
+      clips,
+      clip.id,
+      getMoveUpdates(clip, deltaTime),
+      options
+    );
+  }
+
+  const {
+    mode = DEFAULT_EDIT_SETTINGS.mode,
+    rippleAudio = DEFAULT_EDIT_SETTINGS.rippleAudio,
+    makeId = (clip) => `${clip.id}-b`,
+  } = options;
+  const delta = Math.max(
+    deltaTime,
+    -Math.min(...moving.map((c) => c.startTime))
+  );
+  const isMoving = (c) => ids.has(c.id) && !isGapClip(c);
+  const shifted = clips.map((c) => (isMoving(c) ? shiftClip(c, delta) : c));
+  const block = sortByStart(
+    shifted.filter((c) => isMoving(c) && isMainTrackClip(c))
+  );
+  if (!block.length) return shifted;
+
+  const ripples = getFollows({ rippleAudio, isLocked });
+  const follows = (c) => !ids.has(c.id) && ripples(c);
+  const isBlock = (c) => block.some((b) => b.id === c.id);
+  const blockStart = block[0].startTime;
+
+  if (mode === "ripple") {
+    // The block lands before the first other clip that now starts after it;
+    // the reflow lays the new order out end to end
+    const rest = sortByStart(
+      shifted.filter((c) => isMainTrackClip(c) && !isBlock(c))
+    );
+    const at = rest.findIndex((c) => c.startTime >= blockStart);
+    const order =
+      at === -1
+        ? [...rest, ...block]
+        : [...rest.slice(0, at), ...block, ...rest.slice(at)];
+    const ordered = order.map((c, i) => ({ ...c, startTime: i, endTime: i }));
+    const reflowed = reflowClips([
+      ...ordered,
+      ...shifted.filter((c) => !isMainTrackClip(c)),
+    ]);
+    return rippleFollowers(clips, reflowed, follows);
+  }
+
+  let edited;
+  if (mode === "insert") {
+    // Like insertEdit for one clip: cut the clip under the block's start and
+    // push the rest of the track (and its followers) right by the block
+    const span = block[block.length - 1].endTime - blockStart;
+    let others = shifted.filter((c) => !isBlock(c));
+    const under = others.find(
+      (c) =>
+        isMainTrackClip(c) &&
+        c.startTime < blockStart &&
+        c.endTime > blockStart
+    );
+    if (under) {
+      others = splitClip(others, under.id, blockStart, {
+        ids: [under.id, makeId(under)],
+      });
+    }
+    const wasOnBlock = (c) => {
+      const was = clips.find((o) => o.id === c.id) || c;
+      return clips.some(
+        (b) =>
+          isBlock(b) &&
+          was.startTime >= b.startTime &&
+          was.startTime < b.endTime
+      );
+    };
+    const pushes = (c) =>
+      c.startTime >= blockStart &&
+      (isMainTrackClip(c) || (follows(c) && !wasOnBlock(c)));
+    edited = [
+      ...block,
+      ...others.map((c) => (pushes(c) ? shiftClip(c, span) : c)),
+    ];
+  } else {
+    // Block clips are left out so a transition overlap inside the block is
+    // not cut away
+    edited = [
+      ...block,
+      ...block.reduce(
+        (acc, clip) => overwriteEdit(acc, clip, { makeId }),
+        shifted.filter((c) => !isBlock(c))
+      ),
+    ];
+  }
+  return fillGaps(rippleFollowers(clips, edited, follows, isBlock));
+}
+
+/**
+ * Updates for trimming one edge of a clip by `deltaTime` seconds, measured
+ * from `snapshot` (the clip as it was when the gesture started).
+ * Stills (images, text) change their duration; video/audio change their trims
+ * (scaled by the clip's speed; a reversed clip's left edge is its source
+ * tail, so it trims `trimEnd`).
+ * @param {object} clip
+ * @param {'trim-left'|'trim-right'} edge
+ * @param {number} deltaTime
+ * @param {object} snapshot - { startTime, endTime, trimStart, trimEnd }
+ */
+export function getTrimUpdates(clip, edge, deltaTime, snapshot = clip) {
+  const { startTime, endTime, trimStart, trimEnd } = snapshot;
+
+  if (isStillClip(clip)) {
+    if (edge === "trim-left") {
+      const newStart = Math.max(0, startTime + deltaTime);
+      return {
+        startTime: newStart,
+        endTime,
+        duration: Math.max(MIN_CLIP_DURATION, endTime - newStart),
+      };
+    }
+    const newEnd = Math.max(endTime + deltaTime, startTime + MIN_CLIP_DURATION);
+    return { duration: newEnd - startTime, endTime: newEnd };
+  }
+
+  const speed = getClipSpeed(clip);
+  const trims = { trimStart, trimEnd };
+  const [leftKey, rightKey] = isClipReversed(clip)
+    ? ["trimEnd", "trimStart"]
+    : ["trimStart", "trimEnd"];
+  const maxTrim = (other) =>
+    clip.duration - other - MIN_CLIP_DURATION * speed;
+  const length = ({ trimStart: ts, trimEnd: te }) =>
+    (clip.duration - ts - te) / speed;
+
+  if (edge === "trim-left") {
+    const newTrim = Math.min(
+      Math.max(0, trims[leftKey] + deltaTime * speed),
+      maxTrim(trims[rightKey])
+    );
+    const newStart = startTime + (newTrim - trims[leftKey]) / speed;
+    return {
+      [leftKey]: newTrim,
+      startTime: newStart,
+      endTime: newStart + length({ ...trims, [leftKey]: newTrim }),
+    };
+  }
+
+  const newTrim = Math.min(
+    Math.max(0, trims[rightKey] - deltaTime * speed),
+    maxTrim(trims[leftKey])
+  );
+  return {
+    [rightKey]: newTrim,
+    endTime: startTime + length({ ...trims, [rightKey]: newTrim }),
+  };
+}
+
+// Trim one edge of a clip (see getTrimUpdates; options as for updateClip)
+export function trimClip(
+  clips,
+  clipId,
+  edge,
+  deltaTime,
+  snapshot,
+  options = {}
+) {
+  const clip = clips.find((c) => c.id === clipId);
+  if (!clip) return clips;
+  return updateClip(
+    clips,
+    clipId,
+    getTrimUpdates(clip, edge, deltaTime, snapshot),
+    options
+  );
+}
+
+/**
+ * Cut a clip in two at timeline time `time`. The halves replace the clip
+ * in place. Returns the input unchanged if `time` is (nearly) on an edge.
+ * Video/audio halves get complementary trims; stills divide their duration.
+ * An incoming transition stays with the first half. Audio detached from a
+ * split video is cut at the same source position, and each part stays
+ * linked to the half it belongs to (so reattachAudio brings back just that).
+ * Clips on locked tracks are not cut.
+ * @param {Array} clips
+ * @param {string} clipId
+ * @param {number} time
+ * @param {object} options
+ *  - ids      : [firstId, secondId] for the new halves (defaults derived
+ *               from clipId)
+ *  - isLocked : see DEFAULT_EDIT_SETTINGS
+ */
+export function splitClip(
+  clips,
+  clipId,
+  time,
+  { ids, isLocked = notLocked } = {}
+) {
+  const index = clips.findIndex((c) => c.id === clipId);
+  if (index === -1) return clips;
+
+  const clip = clips[index];
+  if (
+    isLocked(clip) ||
+    time <= clip.startTime + SPLIT_EDGE_TOLERANCE ||
+    time >= clip.endTime - SPLIT_EDGE_TOLERANCE
+  ) {
+    return clips;
+  }
+
+  const [firstId, secondId] = ids || [`${clip.id}-a`, `${clip.id}-b`];
+  let firstPart;
+  let secondPart;
+
+  if (isStillClip(clip)) {
+    firstPart = {
+      ...clip,
+      id: firstId,
+      endTime: time,
+      duration: time - clip.startTime,
+    };
+    secondPart = {
+      ...clip,
+      id: secondId,
+      startTime: time,
+      duration: clip.endTime - time,
+      transition: null,
+    };
+  } else {
+    // Source position of the cut; a reversed clip plays its tail first, so
+    // its first half keeps the end of the source
+    const sourceTime = getClipSourceTime(clip, time);
+    const headTrim = isClipReversed(clip)
+      ? { trimStart: sourceTime }
+      : { trimEnd: clip.duration - sourceTime };
+    const tailTrim = isClipReversed(clip)
+      ? { trimEnd: clip.duration - sourceTime }
+      : { trimStart: sourceTime };
+    firstPart = {
+      ...clip,
+      ...headTrim,
+      id: firstId,
+      endTime: time,
+    };
+    secondPart = {
+      ...clip,
+      ...tailTrim,
+      id: secondId,
+      startTime: time,
+      transition: null,
+    };
+  }
+
+  // Audio fades stay at the outer ends of the clip
+  if (clip.fadeOut) firstPart.fadeOut = 0;
+  if (clip.fadeIn) secondPart.fadeIn = 0;
+
+  const updated = [...clips];
+  updated.splice(index, 1, firstPart, secondPart);
+  if (isStillClip(clip)) return updated;
+
+  const sourceCut = getClipSourceTime(clip, time);
+  const firstRange = getClipSourceRange(firstPart);
+  const halfOf = (audio) => {
+    const { start, end } = getClipSourceRange(audio);
+    const middle = (start + end) / 2;
+    return middle >= firstRange.start && middle <= firstRange.end
+      ? firstId
+      : secondId;
+  };
+  const isLinked = (c) => c.linkedClipId === clip.id;
+  const cut = updated.filter(isLinked).reduce(
+    (acc, audio) =>
+      splitClip(acc, audio.id, getClipTimeAtSource(audio, sourceCut), {
+        ids: [audio.id, `${secondId}-audio`],
+        isLocked,
+      }),
+    updated
+  );
+  return cut.map((c) =>
+    isLinked(c) ? { ...c, linkedClipId: halfOf(c) } : c
+  );
+}
+
+/**
+ * Split every clip under `time`, on all tracks at once.
+ * @param {Array} clips
+ * @param {number} time
+ * @param {object} options
+ *  - makeIds  : (clip) => [firstId, secondId] (defaults derived from clip
+ *               ids)
+ *  - filter   : (clip) => boolean, restrict which clips may be cut
+ *  - isLocked : see DEFAULT_EDIT_SETTINGS
+ */
+export function splitClipsAtTime(
+  clips,
+  time,
+  { makeIds, filter, isLocked = notLocked } = {}
+) {
+  return clips
+    .filter(
+      (c) =>
+        time > c.startTime &&
+        time < c.endTime &&
+        (!filter || filter(c))
+    )
+    .reduce(
+      (acc, clip) =>
+        splitClip(acc, clip.id, time, { ids: makeIds?.(clip), isLocked }),
+      clips
+    );
+}
+
+// Sound fields that move with a video's audio when it is detached / re-attached
+const SOUND_FIELDS = ["gain", "fadeIn", "fadeOut", "envelope"];
+
+/**
+ * Move a video's sound onto an audio clip of its own, so it can be trimmed,
+ * faded, split and moved independently. The video is muted and flagged
+ * `audioDetached`; the audio clip starts in sync, on the lowest free audio
+ * layer, and keeps `linkedClipId` pointing back at the video.
+ * @param {Array} clips
+ * @param {string} clipId - a video clip with sound
+ * @param {object} options
+ *  - id       : id of the new audio clip (default derived from clipId)
+ *  - isLocked : see DEFAULT_EDIT_SETTINGS
+ */
+export function detachAudio(clips, clipId, { id, isLocked = notLocked } = {}) {
+  const video = clips.find((c) => c.id === clipId);
+  if (!video || video.type !== "video" || !video.hasAudio || isLocked(video)) {
+    return clips;
+  }
+
+  const audio = {
+    id: id || `${video.id}-audio`,
+    type: "audio",
+    url: video.url,
+    mediaId: video.mediaId,
+    fileName: video.fileName,
+    mimeType: video.mimeType,
+    duration: video.duration,
+    startTime: video.startTime,
+    endTime: video.endTime,
+    trimStart: video.trimStart,
+    trimEnd: video.trimEnd,
+    speed: video.speed,
+    reverse: video.reverse,
+    hasAudio: true,
+    thumbnail: null,
+    track: 0,
+    linkedClipId: video.id,
+  };
+  for (const key of SOUND_FIELDS) {
+    if (video[key] != null) audio[key] = video[key];
+  }
+
+  const muted = { ...video, hasAudio: false, audioDetached: true };
+  for (const key of SOUND_FIELDS) delete muted[key];
+
+  return layerAudioClips(
+    [...clips.map((c) => (c.id === clipId ? muted : c)), audio],
+    { isLocked }
+  );
+}
+
+/**
+ * Undo detachAudio: the video plays its own sound again and the audio clips
+ * linked to it are removed. Takes either the video or a linked audio clip.
+ * Volume, fades and envelope come back from the linked clip (the first one
+ * if it was split); its timing does not, the sound follows the video again.
+ * Nothing changes while the video or one of those clips is locked.
+ * @param {object} options
+ *  - isLocked : see DEFAULT_EDIT_SETTINGS
+ */
+export function reattachAudio(clips, clipId, { isLocked = notLocked } = {}) {
+  const clip = clips.find((c) => c.id === clipId);
+  const videoId = clip?.linkedClipId || clipId;
+  const video = clips.find((c) => c.id === videoId);
+  if (!video || !video.audioDetached) return clips;
+
+  const linked = sortByStart(
+    clips.filter((c) => isAudioClip(c) && c.linkedClipId === videoId)
+  );
+  if ([video, ...linked].some(isLocked)) return clips;
+  const restored = { ...video, hasAudio: true, audioDetached: false };
+  for (const key of SOUND_FIELDS) {
+    if (linked[0]?.[key] != null) restored[key] = linked[0][key];
+  }
+
+  const linkedIds = new Set(linked.map((c) => c.id));
+  return layerAudioClips(
+    clips
+      .filter((c) => !linkedIds.has(c.id))
+      .map((c) => (c.id === videoId ? restored : c)),
+    { isLocked }
+  );
+}
+
+/**
+ * Remove clips by id. In ripple and insert mode the main track closes up
+ * behind deleted shots, their followers rippling along (see updateClip); in
+ * overwrite mode, or with `leaveGap`, a gap holds their place. Deleting a
+ * gap always closes it (together with any hole it now merges with). Clips
+ * on locked tracks are kept.
+ * @param {object} options - see DEFAULT_EDIT_SETTINGS, plus
+ *  - leaveGap : keep a gap in place of deleted shots, whatever the mode
+ *  - isLocked : (clip) => boolean (see DEFAULT_EDIT_SETTINGS)
+ */
+export function deleteClips(
+  clips,
+  clipIds,
+  {
+    mode = DEFAULT_EDIT_SETTINGS.mode,
+    rippleAudio = DEFAULT_EDIT_SETTINGS.rippleAudio,
+    leaveGap = false,
+    isLocked = notLocked,
+  } = {}
+) {
+  const ids = new Set(
+    clips.filter((c) => clipIds.includes(c.id) && !isLocked(c)).map((c) => c.id)
+  );
+  const ripples = !leaveGap && mode !== "overwrite";
+  const closes = (c) => isGapClip(c) || (ripples && isMainTrackClip(c));
+  // Lifted shots become gaps; shots and gaps that close up stay for now
+  const filled = fillGaps(clips.filter((c) => !ids.has(c.id) || closes(c)));
+
+  const gaps = clips.filter((c) => ids.has(c.id) && isGapClip(c));
+  const isRemoved = (c) =>
+    isGapClip(c)
+      ? gaps.some((g) => g.startTime < c.endTime && g.endTime > c.startTime)
+      : ids.has(c.id);
+  if (!filled.some(isRemoved)) return filled;
+
+  const follows = getFollows({ rippleAudio, isLocked });
+  return rippleFollowers(
+    filled,
+    reflowClips(filled.filter((c) => !isRemoved(c))),
+    follows
+  );
+}
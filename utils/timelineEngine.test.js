@@ -0,0 +1,608 @@
+import { describe, expect, it } from "vitest";
+import {
+  closeGaps,
+  deleteClips,
+  detachAudio,
+  fillGaps,
+  getActiveVisualClips,
+  getClipLength,
+  getClipSourceRange,
+  getMoveUpdates,
+  getTrimUpdates,
+  getVisualTrackCount,
+  insertAudioClip,
+  insertClip,
+  insertOverlayClip,
+  isMainTrackClip,
+  layerAudioClips,
+  moveClip,
+  moveClips,
+  reattachAudio,
+  reflowClips,
+  sortByStart,
+  splitClip,
+  splitClipsAtTime,
+  trimClip,
+  updateClip,
+} from "./timelineEngine";
+
+// Fixtures: a 0-based timeline in seconds, one clip per helper call
+const video = (id, startTime, length, extra = {}) => ({
+  id,
+  type: "video",
+  url: `/${id}.mp4`,
+  fileName: `${id}.mp4`,
+  duration: length,
+  startTime,
+  endTime: startTime + length,
+  trimStart: 0,
+  trimEnd: 0,
+  hasAudio: true,
+  track: 0,
+  ...extra,
+});
+
+const image = (id, startTime, length, extra = {}) => ({
+  ...video(id, startTime, length, extra),
+  type: "image",
+  hasAudio: false,
+});
+
+const audio = (id, startTime, length, track = 0, extra = {}) => ({
+  ...video(id, startTime, length, extra),
+  type: "audio",
+  track,
+});
+
+const subtitle = (id, startTime, endTime) => ({
+  id,
+  type: "subtitle",
+  text: id,
+  startTime,
+  endTime,
+  track: 0,
+});
+
+const byId = (clips, id) => clips.find((c) => c.id === id);
+
+// [id, startTime, endTime] of the main track, in timeline order
+const mainTrack = (clips) =>
+  sortByStart(clips.filter(isMainTrackClip)).map((c) => [
+    c.id,
+    c.startTime,
+    c.endTime,
+  ]);
+
+const lockTrack = (type, track) => (clip) =>
+  (clip.type === "audio" ? "audio" : "video") === type &&
+  (clip.track || 0) === track;
+
+describe("insertClip", () => {
+  it("appends pictures to the end of the main track", () => {
+    const clips = insertClip([video("a", 0, 4)], image("b", 0, 2));
+    expect(mainTrack(clips)).toEqual([
+      ["a", 0, 4],
+      ["b", 4, 6],
+    ]);
+  });
+
+  it("appends audio after the last audio clip on a free layer", () => {
+    const clips = insertClip([audio("m", 0, 5)], audio("n", 0, 3));
+    expect(byId(clips, "n")).toMatchObject({ startTime: 5, endTime: 8 });
+    expect(byId(clips, "n").track).toBe(1);
+  });
+});
+
+describe("insertOverlayClip", () => {
+  it("uses the lowest overlay track free for the clip's span", () => {
+    const clips = insertOverlayClip(
+      [video("a", 0, 10), image("o", 2, 4, { track: 1 })],
+      image("p", 0, 2),
+      3
+    );
+    expect(byId(clips, "p")).toMatchObject({ startTime: 3, endTime: 5 });
+    expect(byId(clips, "p").track).toBe(2);
+  });
+
+  it("skips locked tracks", () => {
+    const clips = insertOverlayClip([video("a", 0, 10)], image("p", 0, 2), 0, {
+      isLocked: lockTrack("video", 1),
+    });
+    expect(byId(clips, "p").track).toBe(2);
+  });
+});
+
+describe("overlay tracks", () => {
+  const clips = () => [
+    video("a", 0, 4),
+    video("b", 4, 4),
+    image("o", 6, 6, { track: 1 }),
+    image("p", 1, 2, { track: 2 }),
+  ];
+
+  it("keep their own timing when the main track reflows", () => {
+    const reflowed = reflowClips(clips().filter((c) => c.id !== "a"));
+    expect(mainTrack(reflowed)).toEqual([["b", 0, 4]]);
+    expect(byId(reflowed, "o")).toMatchObject({ startTime: 6, endTime: 12 });
+  });
+
+  it("are drawn above the main track, bottom track first", () => {
+    const active = getActiveVisualClips(clips(), 1.5).map((c) => c.id);
+    expect(active).toEqual(["a", "p"]);
+  });
+
+  it("don't count as the end of the main track", () => {
+    const inserted = insertClip(clips(), image("i", 0, 1));
+    expect(byId(inserted, "i")).toMatchObject({ startTime: 8, endTime: 9 });
+    expect(getVisualTrackCount(inserted)).toBe(3);
+  });
+});
+
+describe("reflowClips", () => {
+  it("lays the main track end to end", () => {
+    const clips = reflowClips([video("a", 1, 4), video("b", 9, 2)]);
+    expect(mainTrack(clips)).toEqual([
+      ["a", 0, 4],
+      ["b", 4, 6],
+    ]);
+  });
+
+  it("overlaps a clip with its incoming transition", () => {
+    const clips = reflowClips([
+      video("a", 0, 4),
+      video("b", 4, 4, { transition: { type: "crossfade", duration: 1 } }),
+    ]);
+    expect(mainTrack(clips)).toEqual([
+      ["a", 0, 4],
+      ["b", 3, 7],
+    ]);
+  });
+
+  it("leaves audio where it is", () => {
+    const clips = reflowClips([video("a", 1, 4), audio("m", 3, 2)]);
+    expect(byId(clips, "m")).toMatchObject({ startTime: 3, endTime: 5 });
+  });
+});
+
+describe("updateClip", () => {
+  it("reflows the main track when timing changes", () => {
+    const clips = [video("a", 0, 4), video("b", 4, 2)];
+    const updated = updateClip(clips, "a", { trimStart: 1 });
+    expect(byId(updated, "b").startTime).toBe(3);
+  });
+
+  it("leaves timing alone for other updates", () => {
+    const clips = [video("a", 0, 4), video("b", 6, 2)];
+    const updated = updateClip(clips, "a", { fileName: "renamed.mp4" });
+    expect(byId(updated, "a").fileName).toBe("renamed.mp4");
+    expect(byId(updated, "b").startTime).toBe(6);
+  });
+});
+
+describe("moveClip", () => {
+  it("reorders the main track", () => {
+    const clips = [video("a", 0, 4), video("b", 4, 2), video("c", 6, 3)];
+    expect(mainTrack(moveClip(clips, "a", 7))).toEqual([
+      ["b", 0, 2],
+      ["c", 2, 5],
+      ["a", 5, 9],
+    ]);
+  });
+
+  it("moves audio freely", () => {
+    const clips = [video("a", 0, 4), audio("m", 1, 2)];
+    expect(byId(moveClip(clips, "m", 6), "m")).toMatchObject({
+      startTime: 6,
+      endTime: 8,
+    });
+  });
+});
+
+describe("edit modes", () => {
+  const track = () => [video("a", 0, 4), video("b", 4, 4), video("c", 8, 4)];
+  const move = (clips, id, startTime, options) => {
+    const clip = byId(clips, id);
+    const updates = getMoveUpdates(clip, startTime - clip.startTime);
+    return updateClip(clips, id, updates, options);
+  };
+  const trim = (clips, id, deltaTime, options) => {
+    const updates = getTrimUpdates(byId(clips, id), "trim-right", deltaTime);
+    return updateClip(clips, id, updates, options);
+  };
+
+  it("ripple keeps the track gapless", () => {
+    expect(mainTrack(move(track(), "c", 2))).toEqual([
+      ["a", 0, 4],
+      ["c", 4, 8],
+      ["b", 8, 12],
+    ]);
+  });
+
+  it("ripple moves subtitle cues with the shot they start on", () => {
+    const clips = [video("a", 0, 4), video("b", 4, 2), subtitle("s", 1, 2)];
+    const moved = move(clips, "a", 5);
+    expect(byId(moved, "a").startTime).toBe(2);
+    expect(byId(moved, "s")).toMatchObject({ startTime: 3, endTime: 4 });
+  });
+
+  it("leaves audio alone unless rippleAudio is on", () => {
+    const clips = [video("a", 0, 4), video("b", 4, 2), audio("m", 1, 2)];
+    expect(byId(move(clips, "a", 5), "m").startTime).toBe(1);
+    expect(
+      byId(move(clips, "a", 5, { rippleAudio: true }), "m").startTime
+    ).toBe(3);
+  });
+
+  it("overwrite cuts away what the clip lands on", () => {
+    const clips = move(track(), "c", 2, { mode: "overwrite" });
+    const spans = mainTrack(clips);
+    expect(spans[0]).toEqual(["a", 0, 2]);
+    expect(byId(clips, "c")).toMatchObject({ startTime: 2, endTime: 6 });
+    expect(byId(clips, "b")).toMatchObject({ startTime: 6, endTime: 8 });
+    expect(byId(clips, "b").trimStart).toBe(2);
+    expect(spans.at(-1)).toEqual(["b", 6, 8]);
+  });
+
+  it("insert splits the clip under the new start and pushes the rest", () => {
+    const clips = move(track(), "c", 2, { mode: "insert" });
+    expect(mainTrack(clips)).toEqual([
+      ["a", 0, 2],
+      ["c", 2, 6],
+      ["a-b", 6, 8],
+      ["b", 8, 12],
+    ]);
+  });
+
+  it("overwrite trims a neighbour when a clip grows into it", () => {
+    const grown = trim([image("i", 0, 3), video("b", 3, 4)], "i", 1, {
+      mode: "overwrite",
+    });
+    expect(mainTrack(grown)).toEqual([
+      ["i", 0, 4],
+      ["b", 4, 7],
+    ]);
+    expect(byId(grown, "b").trimStart).toBe(1);
+  });
+
+  it("overwrite leaves a gap where a clip gets shorter", () => {
+    expect(mainTrack(trim(track(), "a", -1, { mode: "overwrite" }))).toEqual([
+      ["a", 0, 3],
+      ["gap-3000", 3, 4],
+      ["b", 4, 8],
+      ["c", 8, 12],
+    ]);
+  });
+
+  it("a transition change always reflows", () => {
+    const clips = updateClip(
+      track(),
+      "b",
+      { transition: { type: "crossfade", duration: 1 } },
+      { mode: "overwrite" }
+    );
+    expect(byId(clips, "b").startTime).toBe(3);
+    expect(byId(clips, "c").startTime).toBe(7);
+  });
+});
+
+describe("trimClip", () => {
+  it("trims the right edge and ripples what follows", () => {
+    const clips = [video("a", 0, 4), video("b", 4, 2)];
+    const trimmed = trimClip(clips, "a", "trim-right", -1, byId(clips, "a"));
+    expect(byId(trimmed, "a").trimEnd).toBe(1);
+    expect(mainTrack(trimmed)).toEqual([
+      ["a", 0, 3],
+      ["b", 3, 5],
+    ]);
+  });
+
+  it("trims the left edge into the source", () => {
+    const clips = [video("a", 0, 4), video("b", 4, 2)];
+    const trimmed = trimClip(clips, "a", "trim-left", 1.5, byId(clips, "a"));
+    expect(byId(trimmed, "a")).toMatchObject({ trimStart: 1.5 });
+    expect(mainTrack(trimmed)).toEqual([
+      ["a", 0, 2.5],
+      ["b", 2.5, 4.5],
+    ]);
+  });
+
+  it("never trims a clip below the minimum length", () => {
+    const clips = [video("a", 0, 4)];
+    const trimmed = trimClip(clips, "a", "trim-right", -10, byId(clips, "a"));
+    expect(getClipLength(byId(trimmed, "a"))).toBeCloseTo(0.1);
+  });
+
+  it("changes the duration of stills", () => {
+    const clips = [image("i", 0, 3), video("b", 3, 2)];
+    const trimmed = trimClip(clips, "i", "trim-right", 2, byId(clips, "i"));
+    expect(byId(trimmed, "i").duration).toBe(5);
+    expect(byId(trimmed, "b").startTime).toBe(5);
+  });
+});
+
+describe("splitClip", () => {
+  it("cuts a video into halves with complementary trims", () => {
+    const [first, second] = splitClip([video("a", 0, 6)], "a", 2);
+    expect(first).toMatchObject({ id: "a-a", startTime: 0, endTime: 2 });
+    expect(first).toMatchObject({ trimStart: 0, trimEnd: 4 });
+    expect(second).toMatchObject({ id: "a-b", startTime: 2, endTime: 6 });
+    expect(second).toMatchObject({ trimStart: 2, trimEnd: 0 });
+  });
+
+  it("uses the ids it is given", () => {
+    const clips = splitClip([video("a", 0, 6)], "a", 3, { ids: ["x", "y"] });
+    expect(clips.map((c) => c.id)).toEqual(["x", "y"]);
+  });
+
+  it("ignores cuts on an edge and clips on locked tracks", () => {
+    const clips = [video("a", 0, 6)];
+    expect(splitClip(clips, "a", 0.01)).toBe(clips);
+    expect(splitClip(clips, "a", 5.99)).toBe(clips);
+    expect(splitClip(clips, "a", 3, { isLocked: () => true })).toBe(clips);
+  });
+
+  it("keeps the end of the source in the first half of a reversed clip", () => {
+    const [first, second] = splitClip(
+      [video("a", 0, 6, { reverse: true })],
+      "a",
+      2
+    );
+    expect(getClipSourceRange(first)).toEqual({ start: 4, end: 6 });
+    expect(getClipSourceRange(second)).toEqual({ start: 0, end: 4 });
+  });
+
+  it("divides the duration of stills", () => {
+    const [first, second] = splitClip([image("i", 0, 5)], "i", 2, {
+      ids: ["x", "y"],
+    });
+    expect(first).toMatchObject({ id: "x", duration: 2, endTime: 2 });
+    expect(second).toMatchObject({ id: "y", duration: 3, startTime: 2 });
+  });
+
+  it("cuts every clip under the time across tracks", () => {
+    const clips = splitClipsAtTime(
+      [video("a", 0, 6), audio("m", 1, 4), audio("n", 4, 2)],
+      3
+    );
+    expect(clips.map((c) => c.id).sort()).toEqual(
+      ["a-a", "a-b", "m-a", "m-b", "n"].sort()
+    );
+  });
+
+  it("cuts only the clips the filter lets through", () => {
+    const clips = splitClipsAtTime([video("a", 0, 6), audio("m", 1, 4)], 3, {
+      filter: (c) => c.type === "audio",
+      makeIds: (c) => [`${c.id}1`, `${c.id}2`],
+    });
+    expect(clips.map((c) => c.id)).toEqual(["a", "m1", "m2"]);
+  });
+});
+
+describe("layerAudioClips", () => {
+  it("moves a clip that collides to the lowest free layer", () => {
+    const clips = layerAudioClips([audio("m", 0, 4), audio("n", 2, 4)]);
+    expect(byId(clips, "m").track).toBe(0);
+    expect(byId(clips, "n").track).toBe(1);
+  });
+
+  it("keeps layers where they are when lower ones empty out", () => {
+    const clips = layerAudioClips([audio("m", 0, 2), audio("n", 2, 2, 1)]);
+    expect(byId(clips, "n").track).toBe(1);
+  });
+
+  it("never moves clips onto or off locked layers", () => {
+    const isLocked = lockTrack("audio", 1);
+    const clips = layerAudioClips(
+      [audio("m", 0, 4), audio("n", 2, 4), audio("l", 0, 1, 1)],
+      { isLocked }
+    );
+    expect(byId(clips, "l").track).toBe(1);
+    expect(byId(clips, "n").track).toBe(2);
+  });
+
+  it("adds audio on its own layer when that is free", () => {
+    const clips = insertAudioClip([audio("m", 0, 4)], audio("n", 0, 2, 3), 5);
+    expect(byId(clips, "n")).toMatchObject({ track: 3, startTime: 5 });
+  });
+});
+
+describe("gaps", () => {
+  it("fills holes on the main track with one gap each", () => {
+    const clips = fillGaps([video("a", 0, 2), video("b", 5, 2)]);
+    expect(mainTrack(clips)).toEqual([
+      ["a", 0, 2],
+      ["gap-2000", 2, 5],
+      ["b", 5, 7],
+    ]);
+  });
+
+  it("closes gaps and ripples the clips after them", () => {
+    const clips = fillGaps([
+      video("a", 0, 2),
+      video("b", 5, 2),
+      subtitle("s", 5.5, 6),
+    ]);
+    const closed = closeGaps(clips);
+    expect(mainTrack(closed)).toEqual([
+      ["a", 0, 2],
+      ["b", 2, 4],
+    ]);
+    expect(byId(closed, "s")).toMatchObject({ startTime: 2.5, endTime: 3 });
+  });
+
+  it("keeps gaps through later ripple edits", () => {
+    const clips = fillGaps([video("a", 0, 2), video("b", 5, 2)]);
+    const trimmed = trimClip(clips, "a", "trim-right", -1, byId(clips, "a"));
+    expect(byId(trimmed, "b").startTime).toBe(4);
+  });
+});
+
+describe("deleteClips", () => {
+  const track = () => [video("a", 0, 4), video("b", 4, 2), video("c", 6, 3)];
+
+  it("removes clips by id", () => {
+    const clips = deleteClips([...track(), audio("m", 0, 2)], ["c", "m"]);
+    expect(clips.map((c) => c.id)).toEqual(["a", "b"]);
+  });
+
+  it("ripple-deletes shots", () => {
+    expect(mainTrack(deleteClips(track(), ["b"]))).toEqual([
+      ["a", 0, 4],
+      ["c", 4, 7],
+    ]);
+  });
+
+  it("leaves a gap in overwrite mode or when lifting", () => {
+    const gapped = [
+      ["a", 0, 4],
+      ["gap-4000", 4, 6],
+      ["c", 6, 9],
+    ];
+    expect(
+      mainTrack(deleteClips(track(), ["b"], { mode: "overwrite" }))
+    ).toEqual(gapped);
+    expect(mainTrack(deleteClips(track(), ["b"], { leaveGap: true }))).toEqual(
+      gapped
+    );
+  });
+
+  it("closes a deleted gap", () => {
+    const lifted = deleteClips(track(), ["b"], { leaveGap: true });
+    expect(mainTrack(deleteClips(lifted, ["gap-4000"]))).toEqual([
+      ["a", 0, 4],
+      ["c", 4, 7],
+    ]);
+  });
+
+  it("ripples subtitle cues after the deleted shot", () => {
+    const clips = deleteClips([...track(), subtitle("s", 7, 8)], ["b"]);
+    expect(byId(clips, "s")).toMatchObject({ startTime: 5, endTime: 6 });
+  });
+
+  it("keeps clips on locked tracks", () => {
+    const clips = deleteClips(track(), ["b"], {
+      isLocked: lockTrack("video", 0),
+    });
+    expect(mainTrack(clips)).toEqual(mainTrack(track()));
+  });
+});
+
+describe("detachAudio / reattachAudio", () => {
+  it("moves a video's sound onto a linked audio clip and back", () => {
+    const clips = [video("a", 0, 4, { gain: 0.5 }), audio("m", 0, 2)];
+    const detached = detachAudio(clips, "a");
+    expect(byId(detached, "a")).toMatchObject({
+      hasAudio: false,
+      audioDetached: true,
+    });
+    expect(byId(detached, "a").gain).toBeUndefined();
+    expect(byId(detached, "a-audio")).toMatchObject({
+      type: "audio",
+      linkedClipId: "a",
+      gain: 0.5,
+      startTime: 0,
+      endTime: 4,
+      track: 1,
+    });
+
+    const reattached = reattachAudio(detached, "a-audio");
+    expect(byId(reattached, "a-audio")).toBeUndefined();
+    expect(byId(reattached, "a")).toMatchObject({
+      hasAudio: true,
+      audioDetached: false,
+      gain: 0.5,
+    });
+  });
+
+  it("splits detached sound with its video and relinks each part", () => {
+    const detached = detachAudio([video("a", 0, 6)], "a");
+    const split = splitClip(detached, "a", 2);
+    expect(byId(split, "a-audio")).toMatchObject({
+      linkedClipId: "a-a",
+      endTime: 2,
+    });
+    expect(byId(split, "a-b-audio")).toMatchObject({
+      linkedClipId: "a-b",
+      startTime: 2,
+    });
+
+    // Reattaching one half removes only the sound that half plays
+    const reattached = reattachAudio(split, "a-b");
+    expect(byId(reattached, "a-b").hasAudio).toBe(true);
+    expect(byId(reattached, "a-b-audio")).toBeUndefined();
+    expect(byId(reattached, "a-a").hasAudio).toBe(false);
+    expect(byId(reattached, "a-audio").linkedClipId).toBe("a-a");
+  });
+
+  it("does nothing while the video or its sound is locked", () => {
+    const detached = detachAudio([video("a", 0, 4)], "a");
+    const isLocked = lockTrack("audio", 0);
+    expect(reattachAudio(detached, "a", { isLocked })).toBe(detached);
+    expect(
+      detachAudio([video("b", 0, 4)], "b", { isLocked: () => true })
+    ).toEqual([video("b", 0, 4)]);
+  });
+});
+
+describe("moveClips", () => {
+  const clips = () => [
+    video("a", 0, 2),
+    video("b", 2, 2),
+    video("c", 4, 2),
+    video("d", 6, 2),
+    audio("m", 1, 1),
+  ];
+
+  it("moves a main-track block as one in ripple mode", () => {
+    expect(mainTrack(moveClips(clips(), ["a", "b"], 5))).toEqual([
+      ["c", 0, 2],
+      ["a", 2, 4],
+      ["b", 4, 6],
+      ["d", 6, 8],
+    ]);
+  });
+
+  it("shifts clips off the main track and keeps their offsets", () => {
+    const moved = moveClips(clips(), ["m", "a"], 1);
+    expect(byId(moved, "m").startTime).toBe(2);
+  });
+
+  it("stops the earliest clip at 0", () => {
+    const moved = moveClips(
+      [audio("m", 1, 1), audio("n", 3, 1, 1)],
+      ["m", "n"],
+      -5
+    );
+    expect(byId(moved, "m").startTime).toBe(0);
+    expect(byId(moved, "n").startTime).toBe(2);
+  });
+
+  it("leaves clips on locked tracks where they are", () => {
+    const moved = moveClips(clips(), ["m", "c"], 1, {
+      isLocked: lockTrack("audio", 0),
+    });
+    expect(byId(moved, "m").startTime).toBe(1);
+  });
+});
+
+describe("locks", () => {
+  it("refuses updates to a locked clip or onto a locked track", () => {
+    const clips = [video("a", 0, 4), image("o", 0, 2, { track: 1 })];
+    const isLocked = lockTrack("video", 2);
+    expect(updateClip(clips, "o", { track: 2 }, { isLocked })).toBe(clips);
+    expect(
+      updateClip(clips, "a", { gain: 0 }, { isLocked: lockTrack("video", 0) })
+    ).toBe(clips);
+  });
+
+  it("does not ripple followers on a locked track", () => {
+    const clips = [video("a", 0, 4), video("b", 4, 2), audio("m", 5, 1)];
+    const options = { rippleAudio: true };
+    expect(byId(moveClip(clips, "a", 5, options), "m").startTime).toBe(1);
+
+    const isLocked = lockTrack("audio", 0);
+    const moved = moveClip(clips, "a", 5, { ...options, isLocked });
+    expect(byId(moved, "b").startTime).toBe(0);
+    expect(byId(moved, "m").startTime).toBe(5);
+  });
+});
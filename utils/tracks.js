@@ -0,0 +1,98 @@
+// utils/tracks.js
+//
+// Track state: mute, solo, lock (no edits), hide (visual tracks only),
+// volume and pan. Kept on the project as
+//   tracks: { [trackKey]: { muted, solo, locked, hidden, volume, pan } }
+// where the key names the kind and layer of a track: "video-0" is the main
+// track, "video-1" the first overlay, "audio-0" the first audio layer and
+// "subtitle-0" the subtitle track. Audio layers keep their number as clips
+// come and go (see timelineEngine.layerAudioClips), so a layer's state stays
+// with its clips.
+// Tracks without an entry use TRACK_DEFAULTS. Mute, solo, volume and pan
+// act on sound (including the sound of videos on visual tracks); hide acts
+// on the picture.
+import {
+  isAudioClip,
+  isSubtitleClip,
+  isVisualClip,
+} from "./timelineEngine";
+
+export const TRACK_DEFAULTS = {
+  muted: false,
+  solo: false,
+  locked: false,
+  hidden: false,
+  volume: 1,
+  pan: 0, // -1 (left) .. 1 (right)
+};
+
+export const MAX_TRACK_VOLUME = 1;
+
+export const getTrackKey = (kind, index) => `${kind}-${index}`;
+
+export const SUBTITLE_TRACK_KEY = getTrackKey("subtitle", 0);
+
+// Track a clip sits on: its audio layer, the subtitle track, or its visual
+// track
+export function getClipTrackKey(clip) {
+  if (isSubtitleClip(clip)) return SUBTITLE_TRACK_KEY;
+  return getTrackKey(isAudioClip(clip) ? "audio" : "video", clip.track || 0);
+}
+
+export const getTrackState = (tracks, key) => ({
+  ...TRACK_DEFAULTS,
+  ...tracks?.[key],
+});
+
+export const isClipLocked = (clip, tracks) =>
+  getTrackState(tracks, getClipTrackKey(clip)).locked;
+
+export const isClipHidden = (clip, tracks) =>
+  (isVisualClip(clip) || isSubtitleClip(clip)) &&
+  getTrackState(tracks, getClipTrackKey(clip)).hidden;
+
+// Clips whose picture is shown (audio clips always pass)
+export const getVisibleClips = (clips, tracks) =>
+  clips.filter((clip) => !isClipHidden(clip, tracks));
+
+/**
+ * Level a track's sound is mixed at: its volume, or 0 when it is muted or
+ * other tracks are soloed.
+ */
+export function getTrackGain(tracks, key) {
+  const state = getTrackState(tracks, key);
+  const hasSolo = Object.values(tracks || {}).some((t) => t?.solo);
+  if (state.muted || (hasSolo && !state.solo)) return 0;
+  return state.volume;
+}
+
+export const getTrackPan = (tracks, key) => getTrackState(tracks, key).pan;
+
+export const updateTrack = (tracks, key, updates) => ({
+  ...tracks,
+  [key]: { ...tracks?.[key], ...updates },
+});
+
+const clampNumber = (value, min, max, fallback) => {
+  const n = Number(value);
+  return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback;
+};
+
+// Track states read from a project file, with bad values dropped
+export function normalizeTracks(raw) {
+  const tracks = {};
+  if (!raw || typeof raw !== "object") return tracks;
+
+  for (const [key, state] of Object.entries(raw)) {
+    if (!/^(video|audio|subtitle)-\d+$/.test(key) || !state) continue;
+    tracks[key] = {
+      muted: !!state.muted,
+      solo: !!state.solo,
+      locked: !!state.locked,
+      hidden: !!state.hidden,
+      volume: clampNumber(state.volume, 0, MAX_TRACK_VOLUME, 1),
+      pan: clampNumber(state.pan, -1, 1, 0),
+    };
+  }
+  return tracks;
+}
@@ -0,0 +1,41 @@
+// utils/transitions.js
+//
+// Transitions between adjacent main-track clips. A transition is stored on
+// the incoming clip as `clip.transition = { type, duration }`; the reflow
+// overlaps that clip with the previous one by the duration (see
+// timelineEngine.getTransitionOverlap) and the compositor blends the two.
+
+export const TRANSITION_TYPES = [
+  { type: "crossfade", label: "Crossfade" },
+  { type: "dipToBlack", label: "Dip to black" },
+  { type: "dipToWhite", label: "Dip to white" },
+  { type: "wipe", label: "Wipe" },
+  { type: "slide", label: "Slide" },
+];
+
+export const DEFAULT_TRANSITION_DURATION = 1;
+export const MIN_TRANSITION_DURATION = 0.1;
+export const MAX_TRANSITION_DURATION = 5;
+
+// MIME type used when dragging a transition from the palette
+export const TRANSITION_DRAG_TYPE = "application/x-canvaedit-transition";
+
+export const isTransitionType = (type) =>
+  TRANSITION_TYPES.some((t) => t.type === type);
+
+export const getTransitionLabel = (type) =>
+  TRANSITION_TYPES.find((t) => t.type === type)?.label || type;
+
+export function createTransition(type, duration = DEFAULT_TRANSITION_DURATION) {
+  return {
+    type: isTransitionType(type) ? type : "crossfade",
+    duration: Math.min(
+      MAX_TRANSITION_DURATION,
+      Math.max(MIN_TRANSITION_DURATION, Number(duration) || 0)
+    ),
+  };
+}
+
+// Colour a dip transition passes through
+export const getDipColor = (type) =>
+  type === "dipToWhite" ? "#ffffff" : "#000000";
@@ -0,0 +1,122 @@
+import { useState, useCallback } from "react";
+
+const DEFAULT_LIMIT = 100;
+
+/**
+ * Undo/redo history around a single piece of state (the timeline clips).
+ *
+ * Every `set` call records one undoable step unless it runs inside a group:
+ * between `beginGroup()` and `endGroup()` all updates coalesce into the step
+ * recorded by the first of them (used for drag / trim gestures). Updates
+ * made with `record: false` are applied to the undo and redo steps as well,
+ * so undoing never brings back what they replaced.
+ *
+ * @param {any} initialPresent
+ * @param {object} options
+ *  - limit : max number of undo steps kept (default 100)
+ */
+export function useHistory(initialPresent, { limit = DEFAULT_LIMIT } = {}) {
+  const [history, setHistory] = useState({
+    past: [],
+    present: initialPresent,
+    future: [],
+    // { recorded } while a gesture is open: whether its step is on `past`
+    group: null,
+  });
+
+  /**
+   * Update the present value.
+   * @param {any|Function} updater - next value or (present) => next
+   * @param {object} options
+   *  - record : false to change the present without creating an undo step
+   *             (e.g. metadata / thumbnails arriving asynchronously); an
+   *             updater function is then run on every undo / redo step too
+   */
+  const set = useCallback(
+    (updater, { record = true } = {}) => {
+      setHistory((prev) => {
+        const isFunction = typeof updater === "function";
+        const next = isFunction ? updater(prev.present) : updater;
+        if (next === prev.present) return prev;
+
+        if (!record) {
+          if (!isFunction) return { ...prev, present: next };
+          return {
+            ...prev,
+            past: prev.past.map(updater),
+            present: next,
+            future: prev.future.map(updater),
+          };
+        }
+
+        // Inside a gesture: once the pre-gesture state is on the undo stack,
+        // keep replacing the present instead of pushing new steps.
+        if (prev.group?.recorded) {
+          return { ...prev, present: next, future: [] };
+        }
+
+        return {
+          past: [...prev.past, prev.present].slice(-limit),
+          present: next,
+          future: [],
+          group: prev.group && { recorded: true },
+        };
+      });
+    },
+    [limit]
+  );
+
+  const undo = useCallback(() => {
+    setHistory((prev) => {
+      if (!prev.past.length) return prev;
+      const previous = prev.past[prev.past.length - 1];
+      return {
+        past: prev.past.slice(0, -1),
+        present: previous,
+        future: [prev.present, ...prev.future],
+        group: prev.group && { recorded: false },
+      };
+    });
+  }, []);
+
+  const redo = useCallback(() => {
+    setHistory((prev) => {
+      if (!prev.future.length) return prev;
+      const [next, ...rest] = prev.future;
+      return {
+        past: [...prev.past, prev.present].slice(-limit),
+        present: next,
+        future: rest,
+        group: prev.group && { recorded: false },
+      };
+    });
+  }, [limit]);
+
+  // Replace the present and forget all history (e.g. after opening a project)
+  const reset = useCallback((present) => {
+    setHistory({ past: [], present, future: [], group: null });
+  }, []);
+
+  const beginGroup = useCallback(() => {
+    setHistory((prev) => ({ ...prev, group: { recorded: false } }));
+  }, []);
+
+  const endGroup = useCallback(() => {
+    setHistory((prev) => (prev.group ? { ...prev, group: null } : prev));
+  }, []);
+
+  return {
+    present: history.present,
+    set,
+    undo,
+    redo,
+    reset,
+    beginGroup,
+    endGroup,
+    canUndo: history.past.length > 0,
+    canRedo: history.future.length > 0,
+    // Undo / redo steps (oldest first), e.g. to keep their media around
+    past: history.past,
+    future: history.future,
+  };
+}
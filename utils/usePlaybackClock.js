@@ -0,0 +1,79 @@
+import { useEffect, useRef } from "react";
+
+/**
+ * Timeline transport clock. While playing, advances the timeline time every
+ * animation frame and stops at `duration`. While sound plays the time is
+ * read from the audio clock (`getAudioTime`), so picture and sound can't
+ * drift apart; otherwise it runs from a fixed origin on the system clock
+ * (no accumulated drift). Media elements follow this clock, never the
+ * other way round.
+ *
+ * @param {object} params
+ *  - isPlaying  : boolean
+ *  - getTime    : () => current timeline time (sec), read when (re)starting
+ *  - seekToken  : changes whenever the playhead jumps, to re-anchor the clock
+ *  - duration   : end of the timeline (sec)
+ *  - rate       : playback rate, negative to play backwards (default 1)
+ *  - getAudioTime : () => timeline time (sec) the sound is at, or null when
+ *                 none is playing (optional)
+ *  - onTick     : (timeSec) => void, once per frame while playing
+ *  - onEnd      : () => void, when the playhead reaches `duration` (or 0
+ *                 when playing backwards)
+ */
+export function usePlaybackClock({
+  isPlaying,
+  getTime,
+  seekToken,
+  duration,
+  rate = 1,
+  getAudioTime = () => null,
+  onTick,
+  onEnd,
+}) {
+  const getTimeRef = useRef(getTime);
+  const getAudioTimeRef = useRef(getAudioTime);
+  const durationRef = useRef(duration);
+  const onTickRef = useRef(onTick);
+  const onEndRef = useRef(onEnd);
+
+  useEffect(() => {
+    getTimeRef.current = getTime;
+    getAudioTimeRef.current = getAudioTime;
+    durationRef.current = duration;
+    onTickRef.current = onTick;
+    onEndRef.current = onEnd;
+  }, [getTime, getAudioTime, duration, onTick, onEnd]);
+
+  useEffect(() => {
+    if (!isPlaying) return;
+
+    // System clock origin; re-anchored whenever the audio clock drops out
+    let origin = { time: getTimeRef.current(), now: performance.now() };
+    let lastTime = origin.time;
+    let rafId = null;
+
+    const step = (now) => {
+      const audioTime = getAudioTimeRef.current();
+      if (audioTime != null) {
+        origin = null;
+      } else if (!origin) {
+        origin = { time: lastTime, now };
+      }
+      const time =
+        audioTime ??
+        origin.time + (rate * Math.max(0, now - origin.now)) / 1000;
+      lastTime = time;
+      const atStart = rate < 0 && time <= 0;
+      if (atStart || time >= durationRef.current) {
+        onTickRef.current(atStart ? 0 : durationRef.current);
+        onEndRef.current();
+        return;
+      }
+      onTickRef.current(time);
+      rafId = requestAnimationFrame(step);
+    };
+
+    rafId = requestAnimationFrame(step);
+    return () => cancelAnimationFrame(rafId);
+  }, [isPlaying, seekToken, rate]);
+}
@@ -0,0 +1,123 @@
+// utils/wsola.js
+//
+// WSOLA (waveform-similarity overlap-add) time stretching: changes the
+// tempo of sound but keeps its pitch by overlap-adding short windows of the
+// source, each taken near where the speed says it should come from, nudged
+// to where it best continues the waveform laid down so far. Plain sample
+// arrays in and out, so it runs in a worker (see timeStretch.worker.js).
+
+// Analysis window (sec); frames overlap by half of it
+const WINDOW_TIME = 0.04;
+// How far a frame may move from its ideal source position (sec)
+const SEEK_TIME = 0.012;
+// Sample stride of the coarse similarity search
+const SEARCH_STRIDE = 4;
+// Periodic Hann window: sums to 1 at 50% overlap
+function hann(size) {
+  const w = new Float32Array(size);
+  for (let i = 0; i < size; i++) {
+    w[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / size);
+  }
+  return w;
+}
+
+// Input position near `ideal` whose next `length` samples best match those
+// at `natural` (the seamless continuation of the previous frame)
+function findBestOffset(mono, natural, ideal, tolerance, length) {
+  const last = mono.length - length;
+  if (natural > last) return Math.min(Math.max(0, ideal), Math.max(0, last));
+  const lo = Math.max(0, ideal - tolerance);
+  const hi = Math.min(last, ideal + tolerance);
+  if (hi < lo) return Math.min(Math.max(0, ideal), Math.max(0, last));
+
+  const similarity = (candidate, stride) => {
+    let sum = 0;
+    for (let i = 0; i < length; i += stride) {
+      sum += mono[candidate + i] * mono[natural + i];
+    }
+    return sum;
+  };
+
+  let best = lo;
+  let bestScore = -Infinity;
+  for (let c = lo; c <= hi; c += SEARCH_STRIDE) {
+    const score = similarity(c, SEARCH_STRIDE * 2);
+    if (score > bestScore) {
+      bestScore = score;
+      best = c;
+    }
+  }
+  // Refine around the coarse pick
+  const from = Math.max(lo, best - SEARCH_STRIDE + 1);
+  const to = Math.min(hi, best + SEARCH_STRIDE - 1);
+  bestScore = -Infinity;
+  for (let c = from; c <= to; c++) {
+    const score = similarity(c, 2);
+    if (score > bestScore) {
+      bestScore = score;
+      best = c;
+    }
+  }
+  return best;
+}
+
+/**
+ * Play `channels` `speed` times as fast without changing the pitch.
+ * @param {Float32Array[]} channels
+ * @param {number} speed - > 0
+ * @param {number} sampleRate
+ * @returns {Float32Array[]} about length / speed samples per channel
+ */
+export function timeStretch(channels, speed, sampleRate) {
+  const inLength = channels[0]?.length || 0;
+  const outLength = Math.max(1, Math.round(inLength / speed));
+  const size = 2 * Math.max(1, Math.round((WINDOW_TIME * sampleRate) / 2));
+  const hop = size / 2;
+  const tolerance = Math.round(SEEK_TIME * sampleRate);
+  const window = hann(size);
+
+  const mono = new Float32Array(inLength);
+  for (const data of channels) {
+    for (let i = 0; i < inLength; i++) mono[i] += data[i] / channels.length;
+  }
+
+  const out = channels.map(() => new Float32Array(outLength + size));
+  const norm = new Float32Array(outLength + size);
+  let previous = 0;
+
+  for (let outPos = 0; outPos < outLength; outPos += hop) {
+    const pos =
+      outPos === 0
+        ? 0
+        : findBestOffset(
+            mono,
+            previous + hop,
+            Math.round(outPos * speed),
+            tolerance,
+            hop
+          );
+    for (let i = 0; i < size && pos + i < inLength; i++) {
+      const w = window[i];
+      norm[outPos + i] += w;
+      channels.forEach((data, c) => {
+        out[c][outPos + i] += data[pos + i] * w;
+      });
+    }
+    previous = pos;
+  }
+
+  // Undo the window where frames don't fully overlap (first / last half)
+  return out.map((data) => {
+    const result = data.subarray(0, outLength);
+    for (let i = 0; i < outLength; i++) {
+      if (norm[i] > 1e-3) result[i] /= norm[i];
+    }
+    return result;
+  });
+}
+
+// Reverse and / or stretch `channels` (in place when only reversing)
+export function stretchChannels(channels, speed, reverse, sampleRate) {
+  const parts = reverse ? channels.map((data) => data.reverse()) : channels;
+  return speed === 1 ? parts : timeStretch(parts, speed, sampleRate);
+}